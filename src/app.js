@@ -7,10 +7,14 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 
-const configRoutes = require('./routes/configRoutes');
+const createConfigRoutes = require('./routes/configRoutes');
+const ConfigService = require('./services/configService');
+const ConfigScheduler = require('./services/configScheduler');
+const { migrateUp } = require('./database/migrate');
 const ConfigNotifier = require('./websocket/configNotifier');
 const { requestLogger, errorHandler, corsHandler } = require('./middleware/validation');
 const logger = require('./utils/logger');
+const { ENVIRONMENTS, DEFAULT_ENVIRONMENT } = require('./utils/environments');
 
 class ConfigServiceApp {
     constructor() {
@@ -18,6 +22,9 @@ class ConfigServiceApp {
         this.server = http.createServer(this.app);
         this.port = process.env.PORT || 3000;
         this.host = process.env.HOST || '0.0.0.0';
+
+        // Instância única do serviço: as rotas e o notificador WebSocket compartilham cache e subscribers
+        this.configService = new ConfigService();
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -35,15 +42,20 @@ class ConfigServiceApp {
         this.app.use(cors({
             origin: '*',
             credentials: true,
-            methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-            allowedHeaders: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization', 'X-API-Key']
+            methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+            allowedHeaders: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization', 'X-API-Key', 'X-Config-Environment', 'X-Tenant-Id', 'If-Match'],
+            exposedHeaders: ['X-Config-Environment', 'ETag']
         }));
 
         // Compressão
         this.app.use(compression());
 
         // Parsing
-        this.app.use(express.json({ limit: '10mb' }));
+        this.app.use(express.json({
+            limit: '10mb',
+            type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json']
+        }));
+        this.app.use(express.text({ limit: '10mb', type: ['application/yaml', 'application/x-yaml', 'text/yaml'] }));
         this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
         // Logging
@@ -118,7 +130,9 @@ class ConfigServiceApp {
             });
         });
 
-        // Rotas da API
+        // Rotas da API (ambiente via segmento /env/:environment ou header X-Config-Environment)
+        const configRoutes = createConfigRoutes(this.configService);
+        this.app.use('/api/v1/env/:environment', configRoutes);
         this.app.use('/api/v1', configRoutes);
 
         // Documentação básica da API
@@ -130,34 +144,80 @@ class ConfigServiceApp {
                 baseUrl: `${req.protocol}://${req.get('host')}/api/v1`,
                 endpoints: {
                     'GET /health': 'Health check do serviço',
-                    'GET /configs': 'Listar todas as configurações',
+                    'GET /configs': 'Listar configurações (q, type, category, updated_since, updated_by, sort, page/limit ou cursor; as_of para leitura em uma data passada)',
                     'POST /configs': 'Criar nova configuração',
-                    'GET /config/:key': 'Buscar configuração específica',
+                    'GET /config/:key': 'Buscar configuração específica com referências resolvidas (as_of para leitura em uma data passada, raw=true para o valor gravado)',
                     'GET /config/:key/value': 'Buscar apenas o valor da configuração',
-                    'PUT /config/:key': 'Atualizar configuração',
-                    'DELETE /config/:key': 'Deletar configuração',
-                    'GET /config/:key/history': 'Histórico de mudanças',
+                    'PUT /config/:key': 'Atualizar configuração (If-Match ou expected_version para evitar sobrescritas)',
+                    'PATCH /config/:key': 'Atualização parcial (application/merge-patch+json ou application/json-patch+json, aceita If-Match)',
+                    'DELETE /config/:key': 'Deletar configuração (aceita If-Match)',
+                    'GET /configs/deleted': 'Listar configurações deletadas',
+                    'POST /config/:key/restore': 'Restaurar configuração deletada',
+                    'DELETE /config/:key/purge': 'Remover definitivamente uma configuração deletada (admin)',
+                    'GET /constraints': 'Listar restrições entre configurações e as violações no ambiente',
+                    'GET /schemas': 'Listar schemas registrados (versão mais recente de cada um)',
+                    'POST /schemas': 'Registrar um schema reutilizável (admin)',
+                    'GET /schemas/:name': 'Buscar a versão mais recente de um schema e suas versões',
+                    'PUT /schemas/:name': 'Criar nova versão do schema com relatório de impacto (dry_run opcional, admin)',
+                    'GET /schemas/:name/versions/:version': 'Buscar uma versão específica do schema',
+                    'DELETE /schemas/:name/versions/:version': 'Remover versão de schema sem uso (admin)',
+                    'POST /config/:key/schema/check': 'Verificar a compatibilidade de um novo validation_schema com o atual (backward, forward, full, none)',
+                    'POST /config/:key/reveal': 'Revelar valores secretos, com motivo obrigatório e auditoria (admin)',
+                    'GET /config/:key/reveals': 'Auditoria das revelações de segredos (admin)',
+                    'POST /configs/secrets/rotate': 'Recifrar todos os segredos com a chave mestra atual (admin)',
+                    'GET /config/:key/history': 'Histórico de versões (page, limit, changed_by, from, to)',
+                    'GET /config/:key/diff': 'Diff entre versões (from, to) como JSON Patch (RFC 6902) e resumo por campo',
+                    'POST /config/:key/rollback': 'Reverter para uma versão anterior (version ou history_id)',
+                    'GET /config/:key/overrides': 'Listar overrides por tenant',
+                    'PUT /config/:key/overrides/:tenant': 'Criar/atualizar override de um tenant',
+                    'DELETE /config/:key/overrides/:tenant': 'Remover override de um tenant',
+                    'POST /config/:key/schedule': 'Agendar mudança de valor (effective_from e effective_until opcional)',
+                    'GET /config/:key/schedule': 'Listar mudanças agendadas (status opcional)',
+                    'DELETE /config/:key/schedule/:id': 'Cancelar mudança agendada pendente',
+                    'POST /config/:key/change-requests': 'Propor mudança que exige aprovação (tipos cpa e security)',
+                    'GET /config/:key/change-requests': 'Listar solicitações de mudança (status opcional)',
+                    'GET /config/:key/change-requests/:id': 'Buscar solicitação de mudança com comentários',
+                    'POST /config/:key/change-requests/:id/approve': 'Aprovar e aplicar solicitação (aprovador diferente do solicitante)',
+                    'POST /config/:key/change-requests/:id/reject': 'Rejeitar solicitação de mudança',
+                    'POST /config/:key/change-requests/:id/comments': 'Comentar em uma solicitação de mudança',
+                    'POST /configs/batch': 'Aplicar lote de create/update/delete em uma única transação',
+                    'GET /configs/export': 'Exportar pacote de configurações (format=json|yaml, type, category)',
+                    'POST /configs/import': 'Importar pacote JSON ou YAML (dry_run, mode=merge|replace) com relatório por chave',
+                    'POST /configs/reconcile': 'Reconciliar com o estado desejado em config/desired-state (dry_run, flag_extra; admin)',
+                    'POST /configs/promote': 'Promover uma configuração ou categoria entre ambientes (dry_run mostra o diff)',
                     'GET /configs/category/:category': 'Configurações por categoria',
                     'GET /configs/type/:type': 'Configurações por tipo',
-                    'POST /config/validate': 'Validar configuração',
+                    'POST /config/validate': 'Validar configuração com JSON Schema 2020-12, como na escrita',
                     'DELETE /cache/:key?': 'Limpar cache',
                     'GET /cpa/level-amounts': 'Valores CPA por nível',
                     'GET /cpa/validation-rules': 'Regras de validação CPA',
+                    'POST /cpa/evaluate': 'Avaliar a qualificação CPA de um jogador (metrics: deposit, bets, ggr)',
+                    'POST /cpa/simulate': 'Simular a distribuição do CPA de uma indicação pela upline (aceita valores propostos)',
                     'GET /system/settings': 'Configurações do sistema',
                     'GET /mlm/settings': 'Configurações MLM',
                     'GET /external-apis/settings': 'Configurações de APIs externas'
                 },
+                tenants: {
+                    selection: 'Header X-Tenant-Id ou ?tenant= resolve tenant → base em GET /config/:key e /value',
+                    response: 'resolved_from indica a camada (tenant ou base) do valor retornado'
+                },
+                environments: {
+                    available: ENVIRONMENTS,
+                    default: DEFAULT_ENVIRONMENT,
+                    selection: 'Header X-Config-Environment ou prefixo /api/v1/env/:environment em qualquer rota'
+                },
                 authentication: {
                     type: 'API Key',
-                    header: 'X-API-Key ou Authorization',
+                    header: 'X-API-Key ou Authorization (Bearer <token de usuário> identifica a pessoa para auditoria e aprovações)',
                     description: 'Incluir API Key no header da requisição'
                 },
                 websocket: {
                     url: `ws://${req.get('host')}/ws/config`,
                     events: {
-                        'subscribe': 'Subscrever a mudanças de configurações',
+                        'subscribe': 'Subscrever a mudanças de configurações ({ keys, tags, environment })',
                         'unsubscribe': 'Cancelar subscrição',
                         'config_changed': 'Notificação de mudança (recebido)',
+                        'config_batch_changed': 'Notificação agrupada de um lote aplicado (recebido)',
                         'ping': 'Teste de conectividade'
                     }
                 }
@@ -209,9 +269,10 @@ class ConfigServiceApp {
 
     async start() {
         try {
-            // Comentar migração automática - será feita manualmente no Railway
-            // const { createTables } = require('./database/migrate');
-            // await createTables();
+            // Migrações pendentes são aplicadas na subida (protegidas por advisory lock entre instâncias)
+            if (process.env.AUTO_MIGRATE !== 'false') {
+                await migrateUp();
+            }
             
             this.server.listen(this.port, this.host, () => {
                 logger.info(`🚀 Config Service iniciado em http://${this.host}:${this.port}`);
@@ -223,6 +284,12 @@ class ConfigServiceApp {
             // Configurar notificações
             this.setupConfigNotifications();
 
+            // Aplicar/reverter mudanças agendadas (desativável com SCHEDULER_ENABLED=false)
+            if (process.env.SCHEDULER_ENABLED !== 'false') {
+                this.configScheduler = new ConfigScheduler(this.configService);
+                this.configScheduler.start();
+            }
+
         } catch (error) {
             logger.error('Erro ao iniciar o serviço:', error);
             process.exit(1);
@@ -230,21 +297,20 @@ class ConfigServiceApp {
     }
 
     setupConfigNotifications() {
-        // Integrar ConfigService com WebSocket notifier
-        const ConfigService = require('./services/configService');
-        const configService = new ConfigService();
-
-        // Subscrever a mudanças de configuração
-        configService.subscribe = (configKey, callback) => {
-            // Adicionar callback que notifica via WebSocket
-            const notifyCallback = (key, value) => {
-                this.configNotifier.notifyConfigChange(key, value);
-                if (callback) callback(key, value);
-            };
-            
-            // Usar o sistema de subscribers do ConfigService
-            configService.subscribe(configKey, notifyCallback);
-        };
+        // Integrar ConfigService com WebSocket notifier: toda mudança individual é repassada aos clientes
+        this.configService.subscribe('*', (key, value, environment, tenant, tags) => {
+            this.configNotifier.notifyConfigChange(key, value, 'UPDATE', environment, tenant, tags);
+        });
+
+        // Lotes atômicos geram um único evento agrupado por cliente
+        this.configService.subscribeBatch((batchId, changes, environment) => {
+            this.configNotifier.notifyBatchChange(batchId, changes, environment);
+        });
+
+        // Falhas de mudanças agendadas (ex.: reversão não realizada) são avisadas a quem acompanha a chave
+        this.configService.subscribeScheduleFailures((change) => {
+            this.configNotifier.notifyScheduledChangeFailed(change);
+        });
 
         logger.info('Sistema de notificações configurado');
     }
@@ -257,6 +323,11 @@ class ConfigServiceApp {
             logger.info('Servidor HTTP fechado');
         });
 
+        // Parar agendador
+        if (this.configScheduler) {
+            this.configScheduler.stop();
+        }
+
         // Fechar WebSocket
         if (this.configNotifier) {
             this.configNotifier.close();
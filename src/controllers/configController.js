@@ -1,9 +1,32 @@
 const ConfigService = require('../services/configService');
 const logger = require('../utils/logger');
+const yaml = require('js-yaml');
+const { ServiceError } = require('../utils/errors');
+
+// Versão esperada para escrita: header If-Match ("3", W/"3") ou campo expected_version no body
+const getExpectedVersion = (req, { fromBody = true } = {}) => {
+    const ifMatch = req.headers['if-match'];
+
+    if (ifMatch && ifMatch.trim() !== '*') {
+        const match = ifMatch.split(',')[0].trim().match(/^(?:W\/)?"?(\d+)"?$/);
+        if (!match) {
+            throw new ServiceError('If-Match deve conter a versão (ETag) da configuração');
+        }
+        return parseInt(match[1], 10);
+    }
+
+    return fromBody ? req.body?.expected_version : undefined;
+};
+
+// Formatos aceitos em PATCH /config/:key
+const PATCH_FORMATS = {
+    'application/merge-patch+json': 'merge',
+    'application/json-patch+json': 'json-patch'
+};
 
 class ConfigController {
-    constructor() {
-        this.configService = new ConfigService();
+    constructor(configService = new ConfigService()) {
+        this.configService = configService;
     }
 
     // Criar nova configuração
@@ -16,10 +39,14 @@ class ConfigController {
                 config_category: req.body.config_category,
                 description: req.body.description,
                 validation_schema: req.body.validation_schema,
+                schema_compatibility: req.body.schema_compatibility,
+                tags: req.body.tags,
+                is_secret: req.body.is_secret,
+                environment: req.environment,
                 created_by: req.user?.username || 'api'
             };
 
-            const config = await this.configService.createConfig(configData);
+            const config = await this.configService.createConfig(configData, { enforceApproval: true });
             
             res.status(201).json({
                 success: true,
@@ -28,9 +55,10 @@ class ConfigController {
             });
         } catch (error) {
             logger.error('Erro no controller createConfig:', error);
-            res.status(400).json({
+            res.status(error.statusCode || 400).json({
                 success: false,
                 message: error.message,
+                ...error.details,
                 error: process.env.NODE_ENV === 'development' ? error.stack : undefined
             });
         }
@@ -40,7 +68,12 @@ class ConfigController {
     async getConfig(req, res) {
         try {
             const { key } = req.params;
-            const config = await this.configService.getConfig(key);
+            const config = await this.configService.getConfig(key, {
+                environment: req.environment,
+                tenant: req.tenant,
+                asOf: req.query.as_of,
+                raw: req.query.raw
+            });
             
             if (!config) {
                 return res.status(404).json({
@@ -49,15 +82,16 @@ class ConfigController {
                 });
             }
 
+            res.set('ETag', `"${config.version}"`);
             res.json({
                 success: true,
                 data: config
             });
         } catch (error) {
             logger.error('Erro no controller getConfig:', error);
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
-                message: 'Erro interno do servidor',
+                message: error.statusCode ? error.message : 'Erro interno do servidor',
                 error: process.env.NODE_ENV === 'development' ? error.stack : undefined
             });
         }
@@ -69,20 +103,25 @@ class ConfigController {
             const { key } = req.params;
             const { default: defaultValue } = req.query;
             
-            const value = await this.configService.getConfigValue(key, defaultValue);
+            const config = await this.configService.getConfig(key, {
+                environment: req.environment,
+                tenant: req.tenant
+            });
             
             res.json({
                 success: true,
                 data: {
                     key,
-                    value
+                    value: config ? config.config_value : (defaultValue ?? null),
+                    tenant_id: req.tenant || null,
+                    resolved_from: config ? (config.resolved_from || 'base') : 'default'
                 }
             });
         } catch (error) {
             logger.error('Erro no controller getConfigValue:', error);
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
-                message: 'Erro interno do servidor',
+                message: error.statusCode ? error.message : 'Erro interno do servidor',
                 error: process.env.NODE_ENV === 'development' ? error.stack : undefined
             });
         }
@@ -92,7 +131,7 @@ class ConfigController {
     async getConfigsByCategory(req, res) {
         try {
             const { category } = req.params;
-            const configs = await this.configService.getConfigsByCategory(category);
+            const configs = await this.configService.getConfigsByCategory(category, { environment: req.environment });
             
             res.json({
                 success: true,
@@ -112,7 +151,7 @@ class ConfigController {
     async getConfigsByType(req, res) {
         try {
             const { type } = req.params;
-            const configs = await this.configService.getConfigsByType(type);
+            const configs = await this.configService.getConfigsByType(type, { environment: req.environment });
             
             res.json({
                 success: true,
@@ -136,11 +175,19 @@ class ConfigController {
                 config_value: req.body.config_value,
                 description: req.body.description,
                 validation_schema: req.body.validation_schema,
+                schema_compatibility: req.body.schema_compatibility,
+                tags: req.body.tags,
+                is_secret: req.body.is_secret,
                 updated_by: req.user?.username || 'api'
             };
 
-            const config = await this.configService.updateConfig(key, updateData);
+            const config = await this.configService.updateConfig(key, updateData, {
+                environment: req.environment,
+                expectedVersion: getExpectedVersion(req),
+                enforceApproval: true
+            });
             
+            res.set('ETag', `"${config.version}"`);
             res.json({
                 success: true,
                 message: 'Configuração atualizada com sucesso',
@@ -148,9 +195,154 @@ class ConfigController {
             });
         } catch (error) {
             logger.error('Erro no controller updateConfig:', error);
-            res.status(400).json({
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Atualização parcial (JSON Merge Patch ou JSON Patch, conforme o Content-Type)
+    async patchConfig(req, res) {
+        try {
+            const { key } = req.params;
+            const contentType = req.is(Object.keys(PATCH_FORMATS));
+
+            if (!contentType) {
+                return res.status(415).json({
+                    success: false,
+                    message: 'Content-Type deve ser application/merge-patch+json ou application/json-patch+json'
+                });
+            }
+
+            // O body é o próprio patch: a versão esperada vem apenas do If-Match
+            const config = await this.configService.patchConfig(key, {
+                patch: req.body,
+                format: PATCH_FORMATS[contentType]
+            }, req.user?.username || 'api', {
+                environment: req.environment,
+                expectedVersion: getExpectedVersion(req, { fromBody: false }),
+                enforceApproval: true
+            });
+            
+            res.set('ETag', `"${config.version}"`);
+            res.json({
+                success: true,
+                message: 'Configuração atualizada com sucesso',
+                data: config
+            });
+        } catch (error) {
+            logger.error('Erro no controller patchConfig:', error);
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Reverter configuração para uma versão anterior
+    async rollbackConfig(req, res) {
+        try {
+            const { key } = req.params;
+            const { version, history_id } = req.body;
+            const rolledBackBy = req.user?.username || 'api';
+
+            const result = await this.configService.rollbackConfig(key, { version, history_id }, rolledBackBy, {
+                environment: req.environment,
+                enforceApproval: true
+            });
+            
+            res.json({
+                success: true,
+                message: `Configuração revertida para a versão ${result.rolled_back_to}`,
+                data: result.config
+            });
+        } catch (error) {
+            logger.error('Erro no controller rollbackConfig:', error);
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Listar overrides de tenant
+    async getTenantOverrides(req, res) {
+        try {
+            const { key } = req.params;
+            const overrides = await this.configService.getTenantOverrides(key, { environment: req.environment });
+            
+            res.json({
+                success: true,
+                data: {
+                    config_key: key,
+                    overrides
+                }
+            });
+        } catch (error) {
+            logger.error('Erro no controller getTenantOverrides:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Criar/atualizar override de tenant
+    async setTenantOverride(req, res) {
+        try {
+            const { key, tenant } = req.params;
+            const changedBy = req.user?.username || 'api';
+
+            const override = await this.configService.setTenantOverride(key, tenant, req.body.config_value, changedBy, {
+                environment: req.environment,
+                enforceApproval: true
+            });
+            
+            res.json({
+                success: true,
+                message: `Override do tenant '${tenant}' salvo com sucesso`,
+                data: override
+            });
+        } catch (error) {
+            logger.error('Erro no controller setTenantOverride:', error);
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Remover override de tenant
+    async deleteTenantOverride(req, res) {
+        try {
+            const { key, tenant } = req.params;
+
+            const override = await this.configService.deleteTenantOverride(key, tenant, {
+                environment: req.environment,
+                enforceApproval: true
+            });
+            
+            res.json({
+                success: true,
+                message: `Override do tenant '${tenant}' removido; o valor base volta a ser herdado`,
+                data: override
+            });
+        } catch (error) {
+            logger.error('Erro no controller deleteTenantOverride:', error);
+            res.status(error.statusCode || 400).json({
                 success: false,
                 message: error.message,
+                ...error.details,
                 error: process.env.NODE_ENV === 'development' ? error.stack : undefined
             });
         }
@@ -162,7 +354,11 @@ class ConfigController {
             const { key } = req.params;
             const deletedBy = req.user?.username || 'api';
             
-            const config = await this.configService.deleteConfig(key, deletedBy);
+            const config = await this.configService.deleteConfig(key, deletedBy, {
+                environment: req.environment,
+                expectedVersion: getExpectedVersion(req),
+                enforceApproval: true
+            });
             
             res.json({
                 success: true,
@@ -171,7 +367,76 @@ class ConfigController {
             });
         } catch (error) {
             logger.error('Erro no controller deleteConfig:', error);
-            res.status(400).json({
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Listar configurações deletadas
+    async getDeletedConfigs(req, res) {
+        try {
+            const configs = await this.configService.getDeletedConfigs({ environment: req.environment });
+            
+            res.json({
+                success: true,
+                data: configs
+            });
+        } catch (error) {
+            logger.error('Erro no controller getDeletedConfigs:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Restaurar configuração deletada
+    async restoreConfig(req, res) {
+        try {
+            const { key } = req.params;
+            const restoredBy = req.user?.username || 'api';
+
+            const config = await this.configService.restoreConfig(key, restoredBy, {
+                environment: req.environment,
+                enforceApproval: true
+            });
+            
+            res.json({
+                success: true,
+                message: 'Configuração restaurada com sucesso',
+                data: config
+            });
+        } catch (error) {
+            logger.error('Erro no controller restoreConfig:', error);
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Remover definitivamente (apenas admin)
+    async purgeConfig(req, res) {
+        try {
+            const { key } = req.params;
+            const purgedBy = req.user?.username || 'api';
+
+            const result = await this.configService.purgeConfig(key, purgedBy, { environment: req.environment });
+            
+            res.json({
+                success: true,
+                message: 'Configuração removida definitivamente',
+                data: result
+            });
+        } catch (error) {
+            logger.error('Erro no controller purgeConfig:', error);
+            res.status(error.statusCode || 400).json({
                 success: false,
                 message: error.message,
                 error: process.env.NODE_ENV === 'development' ? error.stack : undefined
@@ -183,13 +448,23 @@ class ConfigController {
     async getConfigHistory(req, res) {
         try {
             const { key } = req.params;
-            const history = await this.configService.getConfigHistory(key);
+            const { page, limit, changed_by, from, to } = req.query;
+
+            const history = await this.configService.getConfigHistory(key, {
+                environment: req.environment,
+                page,
+                limit,
+                changed_by,
+                from,
+                to
+            });
             
             res.json({
                 success: true,
                 data: {
                     config_key: key,
-                    history
+                    history: history.entries,
+                    pagination: history.pagination
                 }
             });
         } catch (error) {
@@ -202,97 +477,695 @@ class ConfigController {
         }
     }
 
+    // Diff entre duas versões (JSON Patch e resumo por campo)
+    async getConfigDiff(req, res) {
+        try {
+            const { key } = req.params;
+            const { from, to } = req.query;
+
+            const diff = await this.configService.getConfigDiff(key, { from, to }, { environment: req.environment });
+            
+            res.json({
+                success: true,
+                data: diff
+            });
+        } catch (error) {
+            logger.error('Erro no controller getConfigDiff:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
     // Buscar todas as configurações
     async getAllConfigs(req, res) {
         try {
-            const configs = await this.configService.getAllConfigs();
+            const { as_of, tenant, ...filters } = req.query;
+
+            // Leitura em uma data passada retorna o conjunto completo vigente naquele momento
+            if (as_of) {
+                const configs = await this.configService.getAllConfigs({
+                    environment: req.environment,
+                    asOf: as_of
+                });
+
+                return res.json({
+                    success: true,
+                    data: configs
+                });
+            }
+
+            const { configs, pagination } = await this.configService.searchConfigs(filters, {
+                environment: req.environment
+            });
             
             res.json({
                 success: true,
-                data: configs
+                data: configs,
+                pagination
             });
         } catch (error) {
             logger.error('Erro no controller getAllConfigs:', error);
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
-                message: 'Erro interno do servidor',
+                message: error.statusCode ? error.message : 'Erro interno do servidor',
                 error: process.env.NODE_ENV === 'development' ? error.stack : undefined
             });
         }
     }
 
-    // Validar configuração
-    async validateConfig(req, res) {
+    // Aplicar lote de operações de forma atômica
+    async applyBatch(req, res) {
         try {
-            const { config_value, validation_schema } = req.body;
-            
-            const validation = this.configService.validateConfig(config_value, validation_schema);
+            const changedBy = req.user?.username || 'api';
+            const result = await this.configService.applyBatch(req.body.operations, changedBy, {
+                environment: req.environment,
+                enforceApproval: true
+            });
             
             res.json({
                 success: true,
-                data: validation
+                message: `Lote aplicado com sucesso (${result.changes.length} operações)`,
+                data: result
             });
         } catch (error) {
-            logger.error('Erro no controller validateConfig:', error);
-            res.status(500).json({
+            logger.error('Erro no controller applyBatch:', error);
+            res.status(error.statusCode || 400).json({
                 success: false,
-                message: 'Erro interno do servidor',
+                message: error.message,
+                ...error.details,
                 error: process.env.NODE_ENV === 'development' ? error.stack : undefined
             });
         }
     }
 
-    // Limpar cache
-    async clearCache(req, res) {
+    // Agendar mudança de valor com vigência
+    async scheduleConfigChange(req, res) {
         try {
             const { key } = req.params;
+            const scheduled = await this.configService.scheduleConfigChange(key, {
+                ...req.body,
+                created_by: req.user?.username || 'api'
+            }, { environment: req.environment, enforceApproval: true });
             
-            this.configService.clearCache(key);
+            res.status(201).json({
+                success: true,
+                message: 'Mudança agendada com sucesso',
+                data: scheduled
+            });
+        } catch (error) {
+            logger.error('Erro no controller scheduleConfigChange:', error);
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Listar mudanças agendadas de uma configuração
+    async getScheduledChanges(req, res) {
+        try {
+            const { key } = req.params;
+            const changes = await this.configService.getScheduledChanges(key, {
+                environment: req.environment,
+                status: req.query.status
+            });
             
             res.json({
                 success: true,
-                message: key ? `Cache da configuração '${key}' limpo` : 'Todo o cache foi limpo'
+                data: {
+                    config_key: key,
+                    scheduled_changes: changes
+                }
             });
         } catch (error) {
-            logger.error('Erro no controller clearCache:', error);
+            logger.error('Erro no controller getScheduledChanges:', error);
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Cancelar mudança agendada pendente
+    async cancelScheduledChange(req, res) {
+        try {
+            const { key, id } = req.params;
+            const cancelled = await this.configService.cancelScheduledChange(key, parseInt(id, 10), req.user?.username || 'api', {
+                environment: req.environment
+            });
+            
+            res.json({
+                success: true,
+                message: 'Mudança agendada cancelada',
+                data: cancelled
+            });
+        } catch (error) {
+            logger.error('Erro no controller cancelScheduledChange:', error);
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                ...error.details,
                 error: process.env.NODE_ENV === 'development' ? error.stack : undefined
             });
         }
     }
 
-    // Endpoints específicos para configurações CPA
-    async getCpaLevelAmounts(req, res) {
+    // Criar solicitação de mudança (rascunho aguardando aprovação)
+    async createChangeRequest(req, res) {
+        try {
+            const { key } = req.params;
+            const changeRequest = await this.configService.createChangeRequest(key, req.body, req.user?.username || 'api', {
+                environment: req.environment
+            });
+            
+            res.status(201).json({
+                success: true,
+                message: 'Solicitação de mudança criada, aguardando aprovação',
+                data: changeRequest
+            });
+        } catch (error) {
+            logger.error('Erro no controller createChangeRequest:', error);
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Listar solicitações de mudança de uma configuração
+    async getChangeRequests(req, res) {
         try {
-            const amounts = await this.configService.getCpaLevelAmounts();
+            const { key } = req.params;
+            const changeRequests = await this.configService.getChangeRequests(key, {
+                environment: req.environment,
+                status: req.query.status
+            });
             
             res.json({
                 success: true,
-                data: amounts
+                data: {
+                    config_key: key,
+                    change_requests: changeRequests
+                }
             });
         } catch (error) {
-            logger.error('Erro no controller getCpaLevelAmounts:', error);
+            logger.error('Erro no controller getChangeRequests:', error);
             res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Buscar solicitação de mudança com comentários
+    async getChangeRequest(req, res) {
+        try {
+            const { key, id } = req.params;
+            const changeRequest = await this.configService.getChangeRequest(key, parseInt(id, 10), {
+                environment: req.environment
+            });
+            
+            res.json({
+                success: true,
+                data: changeRequest
+            });
+        } catch (error) {
+            logger.error('Erro no controller getChangeRequest:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Erro interno do servidor',
                 error: process.env.NODE_ENV === 'development' ? error.stack : undefined
             });
         }
     }
 
-    async getCpaValidationRules(req, res) {
+    // Aprovar e aplicar solicitação de mudança
+    async approveChangeRequest(req, res) {
         try {
-            const rules = await this.configService.getCpaValidationRules();
+            const { key, id } = req.params;
+            const result = await this.configService.approveChangeRequest(
+                key,
+                parseInt(id, 10),
+                req.user?.username || 'api',
+                req.body.comment,
+                { environment: req.environment }
+            );
             
+            if (result.config) {
+                res.set('ETag', `"${result.config.version}"`);
+            }
             res.json({
                 success: true,
-                data: rules
+                message: result.scheduled_change ? 'Solicitação aprovada e agendada' : 'Solicitação aprovada e aplicada',
+                data: result
             });
         } catch (error) {
-            logger.error('Erro no controller getCpaValidationRules:', error);
-            res.status(500).json({
+            logger.error('Erro no controller approveChangeRequest:', error);
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Rejeitar solicitação de mudança
+    async rejectChangeRequest(req, res) {
+        try {
+            const { key, id } = req.params;
+            const changeRequest = await this.configService.rejectChangeRequest(
+                key,
+                parseInt(id, 10),
+                req.user?.username || 'api',
+                req.body.comment,
+                { environment: req.environment }
+            );
+            
+            res.json({
+                success: true,
+                message: 'Solicitação rejeitada',
+                data: changeRequest
+            });
+        } catch (error) {
+            logger.error('Erro no controller rejectChangeRequest:', error);
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Comentar em uma solicitação de mudança
+    async addChangeRequestComment(req, res) {
+        try {
+            const { key, id } = req.params;
+            const comment = await this.configService.addChangeRequestComment(
+                key,
+                parseInt(id, 10),
+                req.user?.username || 'api',
+                req.body.comment,
+                { environment: req.environment }
+            );
+            
+            res.status(201).json({
+                success: true,
+                message: 'Comentário adicionado',
+                data: comment
+            });
+        } catch (error) {
+            logger.error('Erro no controller addChangeRequestComment:', error);
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Exportar pacote de configurações em JSON ou YAML
+    async exportConfigs(req, res) {
+        try {
+            const { format, type, category } = req.query;
+            const bundle = await this.configService.exportConfigs({
+                config_type: type,
+                config_category: category
+            }, { environment: req.environment });
+
+            res.attachment(`configs-${bundle.environment}.${format === 'yaml' ? 'yaml' : 'json'}`);
+
+            if (format === 'yaml') {
+                return res.type('application/yaml').send(yaml.dump(bundle, { noRefs: true }));
+            }
+
+            res.json(bundle);
+        } catch (error) {
+            logger.error('Erro no controller exportConfigs:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Importar pacote de configurações (dry_run mostra apenas o relatório)
+    async importConfigs(req, res) {
+        try {
+            const { mode, dry_run } = req.query;
+            const result = await this.configService.importConfigs(req.body, {
+                mode,
+                dry_run,
+                imported_by: req.user?.username || 'api'
+            }, { environment: req.environment, enforceApproval: true });
+            
+            res.json({
+                success: true,
+                message: result.dry_run
+                    ? 'Relatório de importação gerado (nenhuma alteração aplicada)'
+                    : 'Importação aplicada com sucesso',
+                data: result
+            });
+        } catch (error) {
+            logger.error('Erro no controller importConfigs:', error);
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Reconciliar com o estado desejado versionado (dry_run mostra apenas o plano)
+    async reconcileConfigs(req, res) {
+        try {
+            const result = await this.configService.reconcileConfigs({
+                ...req.body,
+                reconciled_by: req.user?.username || 'api'
+            }, { environment: req.environment });
+            
+            res.json({
+                success: true,
+                message: result.dry_run
+                    ? 'Plano de reconciliação gerado (nenhuma alteração aplicada)'
+                    : 'Reconciliação aplicada com sucesso',
+                data: result
+            });
+        } catch (error) {
+            logger.error('Erro no controller reconcileConfigs:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Verificar se um novo validation_schema é compatível com o atual, sem gravar
+    async checkConfigSchema(req, res) {
+        try {
+            const { key } = req.params;
+            const result = await this.configService.checkConfigSchema(key, req.body, {
+                environment: req.environment
+            });
+
+            res.json({
+                success: true,
+                message: result.compatible
+                    ? `Schema compatível (modo ${result.mode})`
+                    : `Schema incompatível (modo ${result.mode}): ${result.issues.length} problema(s)`,
+                data: result
+            });
+        } catch (error) {
+            logger.error('Erro no controller checkConfigSchema:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Restrições entre configurações e seu estado no ambiente
+    async getConstraints(req, res) {
+        try {
+            const constraints = await this.configService.getConstraintStatus({
+                environment: req.environment
+            });
+
+            res.json({
+                success: true,
+                data: constraints,
+                count: constraints.length
+            });
+        } catch (error) {
+            logger.error('Erro no controller getConstraints:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Schemas registrados (versão mais recente de cada nome)
+    async getSchemas(req, res) {
+        try {
+            const schemas = await this.configService.getSchemas();
+
+            res.json({
+                success: true,
+                data: schemas,
+                count: schemas.length
+            });
+        } catch (error) {
+            logger.error('Erro no controller getSchemas:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Versão mais recente do schema, com o histórico de versões
+    async getSchema(req, res) {
+        try {
+            const { name } = req.params;
+            const schema = await this.configService.getSchema(name);
+            const versions = await this.configService.getSchemaVersions(name);
+
+            res.json({
+                success: true,
+                data: {
+                    ...schema,
+                    versions: versions.map(({ version, description, created_by, created_at }) => ({
+                        version, description, created_by, created_at
+                    }))
+                }
+            });
+        } catch (error) {
+            logger.error('Erro no controller getSchema:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    async getSchemaVersion(req, res) {
+        try {
+            const { name, version } = req.params;
+            const schema = await this.configService.getSchema(name, parseInt(version));
+
+            res.json({
+                success: true,
+                data: schema
+            });
+        } catch (error) {
+            logger.error('Erro no controller getSchemaVersion:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    async createSchema(req, res) {
+        try {
+            const { name, ...schemaData } = req.body;
+            const schema = await this.configService.createSchema(name, schemaData, req.user?.username || 'api');
+
+            res.status(201).json({
+                success: true,
+                message: 'Schema registrado com sucesso',
+                data: schema
+            });
+        } catch (error) {
+            logger.error('Erro no controller createSchema:', error);
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Nova versão do schema, com o relatório das configurações que ficariam inválidas
+    async updateSchema(req, res) {
+        try {
+            const { name } = req.params;
+            const result = await this.configService.updateSchema(name, req.body, req.user?.username || 'api');
+
+            res.status(result.dry_run ? 200 : 201).json({
+                success: true,
+                message: result.dry_run
+                    ? 'Impacto da nova versão calculado (nenhuma alteração aplicada)'
+                    : `Versão ${result.version} do schema registrada`,
+                data: result
+            });
+        } catch (error) {
+            logger.error('Erro no controller updateSchema:', error);
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    async deleteSchemaVersion(req, res) {
+        try {
+            const { name, version } = req.params;
+            const deleted = await this.configService.deleteSchema(name, parseInt(version));
+
+            res.json({
+                success: true,
+                message: 'Versão do schema removida com sucesso',
+                data: deleted
+            });
+        } catch (error) {
+            logger.error('Erro no controller deleteSchemaVersion:', error);
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Revelar os valores secretos de uma configuração (auditado)
+    async revealConfigSecret(req, res) {
+        try {
+            const { key } = req.params;
+            const result = await this.configService.revealConfig(key, {
+                reason: req.body.reason,
+                revealed_by: req.user?.username || 'api',
+                ip_address: req.ip
+            }, {
+                environment: req.environment,
+                tenant: req.tenant
+            });
+
+            res.set('Cache-Control', 'no-store');
+            res.json({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            logger.error('Erro no controller revealConfigSecret:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Auditoria das revelações de segredos de uma configuração
+    async getSecretAccessLog(req, res) {
+        try {
+            const { key } = req.params;
+            const entries = await this.configService.getSecretAccessLog(key, {
+                environment: req.environment
+            });
+
+            res.json({
+                success: true,
+                data: entries
+            });
+        } catch (error) {
+            logger.error('Erro no controller getSecretAccessLog:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Recifrar todos os segredos com a chave mestra atual
+    async rotateSecrets(req, res) {
+        try {
+            const result = await this.configService.rotateSecrets(req.user?.username || 'api');
+
+            res.json({
+                success: true,
+                message: 'Segredos recifrados com a chave mestra atual',
+                data: result
+            });
+        } catch (error) {
+            logger.error('Erro no controller rotateSecrets:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Promover configurações entre ambientes (dry_run mostra apenas o diff)
+    async promoteConfigs(req, res) {
+        try {
+            const result = await this.configService.promoteConfigs({
+                ...req.body,
+                promoted_by: req.user?.username || 'api'
+            });
+            
+            res.json({
+                success: true,
+                message: result.dry_run
+                    ? 'Diff da promoção gerado (nenhuma alteração aplicada)'
+                    : 'Promoção aplicada com sucesso',
+                data: result
+            });
+        } catch (error) {
+            logger.error('Erro no controller promoteConfigs:', error);
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Validar configuração exatamente como na escrita: referências resolvidas no ambiente, JSON Schema 2020-12 e
+    // restrições entre chaves
+    async validateConfig(req, res) {
+        try {
+            const { config_key, config_value, validation_schema } = req.body;
+            
+            const validation = await this.configService.validateConfigChange(config_key, config_value, validation_schema, {
+                environment: req.environment
+            });
+            
+            res.json({
+                success: true,
+                data: validation
+            });
+        } catch (error) {
+            logger.error('Erro no controller validateConfig:', error);
+            res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor',
                 error: process.env.NODE_ENV === 'development' ? error.stack : undefined
@@ -300,9 +1173,109 @@ class ConfigController {
         }
     }
 
+    // Limpar cache
+    async clearCache(req, res) {
+        try {
+            const { key } = req.params;
+            
+            this.configService.clearCache(key, key ? req.environment : undefined);
+            
+            res.json({
+                success: true,
+                message: key ? `Cache da configuração '${key}' limpo em ${req.environment}` : 'Todo o cache foi limpo'
+            });
+        } catch (error) {
+            logger.error('Erro no controller clearCache:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Endpoints específicos para configurações CPA
+    async getCpaLevelAmounts(req, res) {
+        try {
+            const amounts = await this.configService.getCpaLevelAmounts({ environment: req.environment, tenant: req.tenant });
+            
+            res.json({
+                success: true,
+                data: amounts
+            });
+        } catch (error) {
+            logger.error('Erro no controller getCpaLevelAmounts:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    async getCpaValidationRules(req, res) {
+        try {
+            const rules = await this.configService.getCpaValidationRules({ environment: req.environment, tenant: req.tenant });
+            
+            res.json({
+                success: true,
+                data: rules
+            });
+        } catch (error) {
+            logger.error('Erro no controller getCpaValidationRules:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    // Avaliar se as métricas de um jogador atingem as regras de qualificação CPA
+    async evaluateCpa(req, res) {
+        try {
+            const result = await this.configService.evaluateCpa(req.body.metrics, { environment: req.environment, tenant: req.tenant });
+
+            res.json({
+                success: true,
+                message: result.qualified ? 'Jogador qualificado para CPA' : 'Jogador não qualificado para CPA',
+                data: result
+            });
+        } catch (error) {
+            logger.error('Erro no controller evaluateCpa:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Erro interno do servidor',
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
+    async simulateCpa(req, res) {
+        try {
+            const result = await this.configService.simulateCpa(req.body, { environment: req.environment, tenant: req.tenant });
+
+            res.json({
+                success: true,
+                message: result.proposed.length > 0
+                    ? `Distribuição CPA simulada com valores propostos: ${result.proposed.join(', ')}`
+                    : 'Distribuição CPA simulada',
+                data: result
+            });
+        } catch (error) {
+            logger.error('Erro no controller simulateCpa:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Erro interno do servidor',
+                ...error.details,
+                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+
     async getSystemSettings(req, res) {
         try {
-            const settings = await this.configService.getSystemSettings();
+            const settings = await this.configService.getSystemSettings({ environment: req.environment, tenant: req.tenant });
             
             res.json({
                 success: true,
@@ -320,7 +1293,7 @@ class ConfigController {
 
     async getMlmSettings(req, res) {
         try {
-            const settings = await this.configService.getMlmSettings();
+            const settings = await this.configService.getMlmSettings({ environment: req.environment, tenant: req.tenant });
             
             res.json({
                 success: true,
@@ -338,7 +1311,7 @@ class ConfigController {
 
     async getExternalApisSettings(req, res) {
         try {
-            const settings = await this.configService.getExternalApisSettings();
+            const settings = await this.configService.getExternalApisSettings({ environment: req.environment, tenant: req.tenant });
             
             res.json({
                 success: true,
@@ -0,0 +1,23 @@
+// Registrar em config_versions as configurações que ainda não têm histórico (migrações 002 e 006)
+async function backfillConfigVersions(client) {
+    const result = await client.query(`
+        INSERT INTO config_versions
+        (config_id, environment, config_key, version, action, config_value, validation_schema,
+         config_type, config_category, description, changed_by, changed_at)
+        SELECT s.id, s.environment, s.config_key, s.version,
+               CASE WHEN s.version = 1 THEN 'CREATE' ELSE 'SNAPSHOT' END,
+               s.config_value, s.validation_schema, s.config_type, s.config_category,
+               s.description, s.created_by, COALESCE(s.updated_at, s.created_at)
+        FROM system_configurations s
+        WHERE NOT EXISTS (
+            SELECT 1 FROM config_versions v
+            WHERE v.environment = s.environment AND v.config_key = s.config_key
+        )
+    `);
+
+    if (result.rowCount > 0) {
+        console.log(`✅ ${result.rowCount} configuração(ões) registrada(s) em config_versions`);
+    }
+}
+
+module.exports = { backfillConfigVersions };
@@ -1,3 +1,5 @@
+const fs = require('fs');
+const path = require('path');
 const { Pool } = require('pg');
 require('dotenv').config();
 
@@ -10,281 +12,187 @@ const pool = new Pool({
     ssl: process.env.DB_SSL === 'true',
 });
 
-async function createTables() {
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Chave do advisory lock: instâncias subindo ao mesmo tempo executam as migrações uma de cada vez
+const MIGRATION_LOCK_ID = 781204519;
+
+// Migrações numeradas em src/database/migrations (NNN_descricao.js), em ordem
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_.+\.js$/.test(file))
+        .map(file => ({
+            version: parseInt(file.split('_')[0], 10),
+            name: path.basename(file, '.js'),
+            ...require(path.join(MIGRATIONS_DIR, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(200) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+}
+
+async function getAppliedVersions(client) {
+    const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+    return result.rows.map(row => row.version);
+}
+
+async function withMigrationLock(callback) {
     const client = await pool.connect();
-    
-    try {
-        console.log('🚀 Iniciando criação das tabelas...');
 
-        // Criar tabela de configurações sem usar extensão UUID
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS system_configurations (
-                id SERIAL PRIMARY KEY,
-                config_key VARCHAR(100) NOT NULL UNIQUE,
-                config_value JSONB NOT NULL,
-                config_type VARCHAR(50) NOT NULL,
-                config_category VARCHAR(50) NOT NULL,
-                description TEXT,
-                validation_schema JSONB,
-                version INTEGER DEFAULT 1,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                created_by VARCHAR(100),
-                active BOOLEAN DEFAULT TRUE,
-                change_log JSONB DEFAULT '[]'::jsonb
-            );
-        `);
+    try {
+        const { rows } = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [MIGRATION_LOCK_ID]);
+        if (!rows[0].locked) {
+            console.log('⏳ Outra instância está executando migrações, aguardando...');
+            await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        }
 
-        // Criar índices para performance
-        await client.query(`
-            CREATE INDEX IF NOT EXISTS idx_config_key ON system_configurations(config_key);
-        `);
-        
-        await client.query(`
-            CREATE INDEX IF NOT EXISTS idx_config_type ON system_configurations(config_type);
-        `);
-        
-        await client.query(`
-            CREATE INDEX IF NOT EXISTS idx_config_category ON system_configurations(config_category);
-        `);
-        
-        await client.query(`
-            CREATE INDEX IF NOT EXISTS idx_config_active ON system_configurations(active);
-        `);
+        try {
+            await ensureMigrationsTable(client);
+            return await callback(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+        }
+    } finally {
+        client.release();
+    }
+}
 
-        console.log('✅ Tabelas criadas com sucesso!');
+// Cada migração roda em sua própria transação, junto com o registro em schema_migrations
+async function runMigration(client, migration, direction) {
+    try {
+        await client.query('BEGIN');
+        await migration[direction](client);
 
-        // Inserir configurações iniciais
-        await insertInitialConfigs(client);
+        if (direction === 'up') {
+            await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
 
+        await client.query('COMMIT');
+        console.log(`${direction === 'up' ? '⬆️ ' : '⬇️ '} ${migration.name}`);
     } catch (error) {
-        console.error('❌ Erro ao criar tabelas:', error);
+        await client.query('ROLLBACK');
+        console.error(`❌ Erro na migração ${migration.name} (${direction}):`, error.message);
         throw error;
-    } finally {
-        client.release();
     }
 }
 
-async function insertInitialConfigs(client) {
-    console.log('📋 Inserindo configurações iniciais...');
+// Aplicar as migrações pendentes (até a versão `to`, se informada)
+async function migrateUp({ to } = {}) {
+    return await withMigrationLock(async (client) => {
+        const applied = await getAppliedVersions(client);
+        const pending = loadMigrations()
+            .filter(migration => !applied.includes(migration.version))
+            .filter(migration => to === undefined || migration.version <= to);
 
-    const initialConfigs = [
-        // Configurações CPA
-        {
-            config_key: 'cpa_level_amounts',
-            config_value: {
-                level_1: 35.00,
-                level_2: 10.00,
-                level_3: 5.00,
-                level_4: 5.00,
-                level_5: 5.00
-            },
-            config_type: 'cpa',
-            config_category: 'commission',
-            description: 'Valores de CPA distribuídos por nível MLM',
-            validation_schema: {
-                type: 'object',
-                properties: {
-                    level_1: { type: 'number', minimum: 0 },
-                    level_2: { type: 'number', minimum: 0 },
-                    level_3: { type: 'number', minimum: 0 },
-                    level_4: { type: 'number', minimum: 0 },
-                    level_5: { type: 'number', minimum: 0 }
-                },
-                required: ['level_1', 'level_2', 'level_3', 'level_4', 'level_5']
-            },
-            created_by: 'system'
-        },
-        {
-            config_key: 'cpa_validation_rules',
-            config_value: {
-                groups: [
-                    {
-                        operator: 'AND',
-                        criteria: [
-                            { type: 'deposit', value: 30.00, enabled: true },
-                            { type: 'bets', value: 10, enabled: true }
-                        ]
-                    },
-                    {
-                        operator: 'AND',
-                        criteria: [
-                            { type: 'deposit', value: 30.00, enabled: true },
-                            { type: 'ggr', value: 25.00, enabled: true }
-                        ]
-                    }
-                ],
-                group_operator: 'OR'
-            },
-            config_type: 'cpa',
-            config_category: 'validation',
-            description: 'Regras de validação CPA configuráveis',
-            validation_schema: {
-                type: 'object',
-                properties: {
-                    groups: {
-                        type: 'array',
-                        items: {
-                            type: 'object',
-                            properties: {
-                                operator: { type: 'string', enum: ['AND', 'OR'] },
-                                criteria: {
-                                    type: 'array',
-                                    items: {
-                                        type: 'object',
-                                        properties: {
-                                            type: { type: 'string', enum: ['deposit', 'bets', 'ggr'] },
-                                            value: { type: 'number', minimum: 0 },
-                                            enabled: { type: 'boolean' }
-                                        },
-                                        required: ['type', 'value', 'enabled']
-                                    }
-                                }
-                            },
-                            required: ['operator', 'criteria']
-                        }
-                    },
-                    group_operator: { type: 'string', enum: ['AND', 'OR'] }
-                },
-                required: ['groups', 'group_operator']
-            },
-            created_by: 'system'
-        },
-        // Configurações de Sistema
-        {
-            config_key: 'system_settings',
-            config_value: {
-                api_timeout: 30000,
-                cache_ttl: 3600,
-                max_retries: 3,
-                batch_size: 100,
-                cpa_monitoring_interval: 300000
-            },
-            config_type: 'system',
-            config_category: 'performance',
-            description: 'Configurações gerais do sistema',
-            validation_schema: {
-                type: 'object',
-                properties: {
-                    api_timeout: { type: 'number', minimum: 1000 },
-                    cache_ttl: { type: 'number', minimum: 60 },
-                    max_retries: { type: 'number', minimum: 1, maximum: 10 },
-                    batch_size: { type: 'number', minimum: 10, maximum: 1000 },
-                    cpa_monitoring_interval: { type: 'number', minimum: 60000 }
-                },
-                required: ['api_timeout', 'cache_ttl', 'max_retries', 'batch_size']
-            },
-            created_by: 'system'
-        },
-        // Configurações MLM
-        {
-            config_key: 'mlm_settings',
-            config_value: {
-                max_hierarchy_levels: 5,
-                calculation_method: 'standard',
-                auto_distribution: true,
-                minimum_amount: 0.01,
-                currency: 'BRL'
-            },
-            config_type: 'mlm',
-            config_category: 'hierarchy',
-            description: 'Configurações do sistema MLM',
-            validation_schema: {
-                type: 'object',
-                properties: {
-                    max_hierarchy_levels: { type: 'number', minimum: 1, maximum: 10 },
-                    calculation_method: { type: 'string', enum: ['standard', 'progressive'] },
-                    auto_distribution: { type: 'boolean' },
-                    minimum_amount: { type: 'number', minimum: 0 },
-                    currency: { type: 'string', enum: ['BRL', 'USD', 'EUR'] }
-                },
-                required: ['max_hierarchy_levels', 'calculation_method', 'auto_distribution', 'minimum_amount', 'currency']
-            },
-            created_by: 'system'
-        },
-        // Configurações de Integração
-        {
-            config_key: 'external_apis',
-            config_value: {
-                operation_db: {
-                    sync_interval: 300000,
-                    batch_size: 1000,
-                    timeout: 30000
-                },
-                notification_service: {
-                    retry_attempts: 3,
-                    retry_delay: 5000
-                }
-            },
-            config_type: 'integration',
-            config_category: 'external',
-            description: 'Configurações de APIs externas',
-            validation_schema: {
-                type: 'object',
-                properties: {
-                    operation_db: {
-                        type: 'object',
-                        properties: {
-                            sync_interval: { type: 'number', minimum: 60000 },
-                            batch_size: { type: 'number', minimum: 100, maximum: 5000 },
-                            timeout: { type: 'number', minimum: 5000 }
-                        }
-                    },
-                    notification_service: {
-                        type: 'object',
-                        properties: {
-                            retry_attempts: { type: 'number', minimum: 1, maximum: 10 },
-                            retry_delay: { type: 'number', minimum: 1000 }
-                        }
-                    }
-                }
-            },
-            created_by: 'system'
+        if (pending.length === 0) {
+            console.log('✅ Banco de dados já está atualizado');
         }
-    ];
 
-    for (const config of initialConfigs) {
-        try {
-            // Verificar se já existe
-            const existingQuery = 'SELECT id FROM system_configurations WHERE config_key = $1';
-            const existingResult = await client.query(existingQuery, [config.config_key]);
+        for (const migration of pending) {
+            await runMigration(client, migration, 'up');
+        }
+
+        return pending.map(migration => migration.name);
+    });
+}
+
+// Reverter as últimas `steps` migrações aplicadas, ou todas acima da versão `to`
+async function migrateDown({ steps = 1, to } = {}) {
+    return await withMigrationLock(async (client) => {
+        const applied = await getAppliedVersions(client);
+        const migrations = loadMigrations();
+
+        const targets = applied
+            .slice()
+            .reverse()
+            .filter((version, index) => (to !== undefined ? version > to : index < steps));
+
+        const reverted = [];
+        for (const version of targets) {
+            const migration = migrations.find(item => item.version === version);
+            if (!migration) {
+                throw new Error(`Arquivo da migração ${version} não encontrado: não é possível reverter`);
+            }
 
-            if (existingResult.rows.length === 0) {
-                const insertQuery = `
-                    INSERT INTO system_configurations 
-                    (config_key, config_value, config_type, config_category, description, validation_schema, created_by)
-                    VALUES ($1, $2, $3, $4, $5, $6, $7)
-                `;
+            await runMigration(client, migration, 'down');
+            reverted.push(migration.name);
+        }
 
-                await client.query(insertQuery, [
-                    config.config_key,
-                    JSON.stringify(config.config_value),
-                    config.config_type,
-                    config.config_category,
-                    config.description,
-                    JSON.stringify(config.validation_schema),
-                    config.created_by
-                ]);
+        return reverted;
+    });
+}
+
+// Status não precisa do lock: apenas lê schema_migrations
+async function migrationStatus() {
+    const client = await pool.connect();
 
-                console.log(`✅ Configuração '${config.config_key}' inserida`);
-            } else {
-                console.log(`⚠️  Configuração '${config.config_key}' já existe`);
+    try {
+        await ensureMigrationsTable(client);
+        const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+        const applied = new Map(result.rows.map(row => [row.version, row]));
+        const migrations = loadMigrations();
+
+        const status = migrations.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            description: migration.description,
+            applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+        }));
+
+        // Registros sem arquivo correspondente (ex.: migração removida do código)
+        for (const row of result.rows) {
+            if (!migrations.some(migration => migration.version === row.version)) {
+                status.push({ version: row.version, name: row.name, description: 'arquivo não encontrado', applied_at: row.applied_at });
             }
-        } catch (error) {
-            console.error(`❌ Erro ao inserir configuração '${config.config_key}':`, error.message);
         }
-    }
 
-    console.log('✅ Configurações iniciais processadas!');
+        return status.sort((a, b) => a.version - b.version);
+    } finally {
+        client.release();
+    }
 }
 
+// Uso: node src/database/migrate.js [up [--to N] | down [--steps N | --to N] | status]
 async function main() {
+    const [command = 'up', ...args] = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? parseInt(args[index + 1], 10) : undefined;
+    };
+
     try {
-        await createTables();
-        console.log('🎉 Migração concluída com sucesso!');
+        switch (command) {
+            case 'up':
+                await migrateUp({ to: option('to') });
+                console.log('🎉 Migração concluída com sucesso!');
+                break;
+            case 'down': {
+                const reverted = await migrateDown({ steps: option('steps') || 1, to: option('to') });
+                console.log(`🎉 ${reverted.length} migração(ões) revertida(s)`);
+                break;
+            }
+            case 'status':
+                for (const migration of await migrationStatus()) {
+                    const state = migration.applied_at ? `aplicada em ${migration.applied_at.toISOString()}` : 'pendente';
+                    console.log(`${migration.applied_at ? '✅' : '⏳'} ${migration.name} - ${state}`);
+                }
+                break;
+            default:
+                throw new Error(`Comando desconhecido: ${command} (use up, down ou status)`);
+        }
     } catch (error) {
         console.error('💥 Erro na migração:', error);
-        process.exit(1);
+        process.exitCode = 1;
     } finally {
         await pool.end();
     }
@@ -295,5 +203,4 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { createTables, insertInitialConfigs };
-
+module.exports = { loadMigrations, migrateUp, migrateDown, migrationStatus };
@@ -0,0 +1,180 @@
+const mockClient = {
+    query: jest.fn(),
+    release: jest.fn()
+};
+
+jest.mock('pg', () => ({
+    Pool: jest.fn(() => ({ connect: async () => mockClient, end: async () => {} }))
+}));
+
+const { loadMigrations, migrateUp, migrateDown, migrationStatus } = require('./migrate');
+const seedMaxTotalPayout = require('./migrations/011_seed_max_total_payout');
+
+// schema_migrations simulada: versões aplicadas; as demais consultas só são registradas
+const useAppliedVersions = (versions) => {
+    const statements = [];
+
+    mockClient.query.mockImplementation(async (sql, values = []) => {
+        const statement = sql.replace(/\s+/g, ' ').trim();
+        statements.push({ statement, values });
+
+        if (statement.startsWith('SELECT pg_try_advisory_lock')) {
+            return { rows: [{ locked: true }] };
+        }
+        if (statement.startsWith('SELECT version FROM schema_migrations')) {
+            return { rows: versions.map(version => ({ version })) };
+        }
+        return { rows: [], rowCount: 0 };
+    });
+
+    return statements;
+};
+
+describe('migrate', () => {
+    const allVersions = loadMigrations().map(migration => migration.version);
+    const [secondToLast, last] = loadMigrations().slice(-2);
+
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('carrega as migrações em ordem, cada uma com up e down', () => {
+        const migrations = loadMigrations();
+
+        // Numeração contínua, sem lacunas nem versões repetidas
+        expect(migrations.map(migration => migration.version)).toEqual(migrations.map((migration, index) => index + 1));
+        migrations.forEach(migration => {
+            expect(migration.name).toMatch(/^\d{3}_/);
+            expect(typeof migration.up).toBe('function');
+            expect(typeof migration.down).toBe('function');
+        });
+    });
+
+    it('aplica só as pendentes, cada uma na sua transação, sob o advisory lock', async () => {
+        const statements = useAppliedVersions(allVersions.slice(0, -2));
+
+        const applied = await migrateUp();
+
+        expect(applied).toEqual([secondToLast.name, last.name]);
+        const flow = statements.map(({ statement }) => statement.split(' ').slice(0, 2).join(' '));
+        expect(flow[0]).toBe('SELECT pg_try_advisory_lock($1)');
+        expect(flow.filter(step => step === 'BEGIN')).toHaveLength(2);
+        expect(flow.filter(step => step === 'COMMIT')).toHaveLength(2);
+        expect(statements.filter(({ statement }) => statement.startsWith('INSERT INTO schema_migrations')).map(({ values }) => values[0]))
+            .toEqual([secondToLast.version, last.version]);
+        expect(flow[flow.length - 1]).toBe('SELECT pg_advisory_unlock($1)');
+    });
+
+    it('respeita o limite de versão em up', async () => {
+        useAppliedVersions(allVersions.slice(0, -2));
+
+        await expect(migrateUp({ to: secondToLast.version })).resolves.toEqual([secondToLast.name]);
+    });
+
+    it('reverte as últimas migrações aplicadas com o down de cada uma', async () => {
+        const statements = useAppliedVersions(allVersions);
+
+        const reverted = await migrateDown({ steps: 2 });
+
+        expect(reverted).toEqual([last.name, secondToLast.name]);
+        expect(statements.filter(({ statement }) => statement.startsWith('DELETE FROM schema_migrations')).map(({ values }) => values[0]))
+            .toEqual([last.version, secondToLast.version]);
+    });
+
+    it('uma migração com erro é desfeita e interrompe as seguintes', async () => {
+        const statements = useAppliedVersions(allVersions.slice(0, -2));
+        // loadMigrations copia os módulos a cada chamada: o spy vai no módulo carregado pelo require
+        jest.spyOn(require(`./migrations/${secondToLast.name}`), 'up').mockRejectedValue(new Error('coluna inválida'));
+        const lastUp = jest.spyOn(require(`./migrations/${last.name}`), 'up');
+
+        await expect(migrateUp()).rejects.toThrow('coluna inválida');
+
+        const flow = statements.map(({ statement }) => statement.split(' ')[0]);
+        expect(flow).toContain('ROLLBACK');
+        expect(flow).not.toContain('COMMIT');
+        expect(statements.some(({ statement }) => statement.startsWith('INSERT INTO schema_migrations'))).toBe(false);
+        expect(statements[statements.length - 1].statement).toBe('SELECT pg_advisory_unlock($1)');
+        expect(lastUp).not.toHaveBeenCalled();
+    });
+
+    it('o status marca as pendentes e registros sem arquivo', async () => {
+        const appliedAt = new Date('2024-01-01T00:00:00Z');
+        mockClient.query.mockImplementation(async (sql) => (
+            /FROM schema_migrations/.test(sql)
+                ? { rows: [{ version: 1, name: '001_create_system_configurations', applied_at: appliedAt }, { version: 99, name: '099_removida', applied_at: appliedAt }] }
+                : { rows: [] }
+        ));
+
+        const status = await migrationStatus();
+
+        expect(status[0]).toMatchObject({ version: 1, applied_at: appliedAt });
+        expect(status[1]).toMatchObject({ version: 2, applied_at: null });
+        expect(status[status.length - 1]).toMatchObject({ version: 99, description: 'arquivo não encontrado' });
+    });
+});
+
+describe('011_seed_max_total_payout', () => {
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const mlmRow = { id: 3, environment: 'prod', config_key: 'mlm_settings', config_value: {}, version: 2 };
+
+    it('grava o teto congelado como nova versão, exceto onde os níveis já o excedem', async () => {
+        mockClient.query.mockImplementation(async (sql, values = []) => {
+            if (/AND NOT \(config_value \? 'max_total_payout'\)/.test(sql)) {
+                return { rows: [{ id: values[0] === 'dev' ? 1 : 3 }] };
+            }
+            if (/SUM\(amount.value::numeric\)/.test(sql)) {
+                return { rows: [{ total: values[0] === 'dev' ? '150' : '60' }] };
+            }
+            if (/^\s*UPDATE system_configurations/.test(sql)) {
+                return { rows: [{ ...mlmRow, id: values[0], version: 3 }] };
+            }
+            return { rows: [] };
+        });
+
+        await seedMaxTotalPayout.up(mockClient);
+
+        const updates = mockClient.query.mock.calls.filter(([sql]) => /^\s*UPDATE system_configurations/.test(sql));
+        expect(updates.map(([, values]) => values)).toEqual([
+            [3, JSON.stringify({ max_total_payout: 100 })],
+            [3, JSON.stringify({ max_total_payout: 100 })]
+        ]);
+        expect(mockClient.query.mock.calls.filter(([sql]) => /INSERT INTO config_versions/.test(sql))).toHaveLength(2);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('dev'));
+    });
+
+    it('down remove o teto apenas onde ele ainda é o valor semeado', async () => {
+        mockClient.query.mockImplementation(async (sql) => {
+            if (/config_value->'max_total_payout' = \$1::jsonb/.test(sql)) {
+                return { rows: [{ id: 3, environment: 'prod' }] };
+            }
+            if (/^\s*UPDATE system_configurations/.test(sql)) {
+                return { rows: [{ ...mlmRow, version: 4 }] };
+            }
+            return { rows: [] };
+        });
+
+        await seedMaxTotalPayout.down(mockClient);
+
+        const [select] = mockClient.query.mock.calls;
+        expect(select[1]).toEqual(['100']);
+        const updates = mockClient.query.mock.calls.filter(([sql]) => /^\s*UPDATE system_configurations/.test(sql));
+        expect(updates).toHaveLength(1);
+        expect(updates[0][0]).toContain("config_value - 'max_total_payout'");
+        expect(mockClient.query.mock.calls.find(([sql]) => /INSERT INTO config_versions/.test(sql))[1].slice(3, 4)).toEqual([4]);
+    });
+});
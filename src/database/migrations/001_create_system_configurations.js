@@ -0,0 +1,60 @@
+const { DEFAULT_ENVIRONMENT } = require('../../utils/environments');
+
+module.exports = {
+    description: 'Tabela de configurações com separação por ambiente',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS system_configurations (
+                id SERIAL PRIMARY KEY,
+                environment VARCHAR(50) NOT NULL DEFAULT '${DEFAULT_ENVIRONMENT}',
+                config_key VARCHAR(100) NOT NULL,
+                config_value JSONB NOT NULL,
+                config_type VARCHAR(50) NOT NULL,
+                config_category VARCHAR(50) NOT NULL,
+                description TEXT,
+                validation_schema JSONB,
+                version INTEGER DEFAULT 1,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                created_by VARCHAR(100),
+                active BOOLEAN DEFAULT TRUE,
+                change_log JSONB DEFAULT '[]'::jsonb
+            );
+        `);
+
+        // Bancos criados antes da separação por ambiente ficam no ambiente padrão
+        await client.query(`
+            ALTER TABLE system_configurations
+            ADD COLUMN IF NOT EXISTS environment VARCHAR(50) NOT NULL DEFAULT '${DEFAULT_ENVIRONMENT}';
+        `);
+
+        await client.query(`
+            ALTER TABLE system_configurations DROP CONSTRAINT IF EXISTS system_configurations_config_key_key;
+        `);
+
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS uq_config_environment_key ON system_configurations(environment, config_key);
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_config_key ON system_configurations(config_key);
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_config_type ON system_configurations(config_type);
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_config_category ON system_configurations(config_category);
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_config_active ON system_configurations(active);
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS system_configurations');
+    }
+};
@@ -0,0 +1,63 @@
+const { DEFAULT_ENVIRONMENT } = require('../../utils/environments');
+const { backfillConfigVersions } = require('../initialConfigs');
+
+module.exports = {
+    description: 'Histórico completo e sem limite de versões de cada configuração',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS config_versions (
+                id SERIAL PRIMARY KEY,
+                config_id INTEGER,
+                environment VARCHAR(50) NOT NULL DEFAULT '${DEFAULT_ENVIRONMENT}',
+                config_key VARCHAR(100) NOT NULL,
+                version INTEGER NOT NULL,
+                action VARCHAR(30) NOT NULL,
+                config_value JSONB,
+                validation_schema JSONB,
+                config_type VARCHAR(50),
+                config_category VARCHAR(50),
+                description TEXT,
+                changed_by VARCHAR(100),
+                changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        await client.query(`
+            ALTER TABLE config_versions
+            ADD COLUMN IF NOT EXISTS environment VARCHAR(50) NOT NULL DEFAULT '${DEFAULT_ENVIRONMENT}';
+        `);
+
+        await client.query(`
+            ALTER TABLE config_versions DROP CONSTRAINT IF EXISTS config_versions_config_key_version_key;
+        `);
+
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS uq_config_versions_environment_key_version
+            ON config_versions(environment, config_key, version);
+        `);
+
+        await client.query(`
+            DROP INDEX IF EXISTS idx_config_versions_key;
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_config_versions_environment_key ON config_versions(environment, config_key, version DESC);
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_config_versions_changed_by ON config_versions(changed_by);
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_config_versions_changed_at ON config_versions(changed_at);
+        `);
+
+        // Configurações que já existiam antes do histórico ganham sua versão atual
+        await backfillConfigVersions(client);
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS config_versions');
+    }
+};
@@ -0,0 +1,30 @@
+const { DEFAULT_ENVIRONMENT } = require('../../utils/environments');
+
+module.exports = {
+    description: 'Overrides por tenant (marca/operador) sobre o valor base da configuração',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS config_overrides (
+                id SERIAL PRIMARY KEY,
+                environment VARCHAR(50) NOT NULL DEFAULT '${DEFAULT_ENVIRONMENT}',
+                config_key VARCHAR(100) NOT NULL,
+                tenant_id VARCHAR(100) NOT NULL,
+                config_value JSONB NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                created_by VARCHAR(100),
+                updated_by VARCHAR(100),
+                UNIQUE (environment, config_key, tenant_id)
+            );
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_config_overrides_tenant ON config_overrides(environment, tenant_id);
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS config_overrides');
+    }
+};
@@ -0,0 +1,41 @@
+const { DEFAULT_ENVIRONMENT } = require('../../utils/environments');
+
+module.exports = {
+    description: 'Mudanças agendadas (aplicadas em effective_from e revertidas em effective_until)',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS scheduled_changes (
+                id SERIAL PRIMARY KEY,
+                environment VARCHAR(50) NOT NULL DEFAULT '${DEFAULT_ENVIRONMENT}',
+                config_key VARCHAR(100) NOT NULL,
+                config_value JSONB NOT NULL,
+                description TEXT,
+                effective_from TIMESTAMPTZ NOT NULL,
+                effective_until TIMESTAMPTZ,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                previous_value JSONB,
+                applied_version INTEGER,
+                error TEXT,
+                created_by VARCHAR(100),
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                applied_at TIMESTAMPTZ,
+                reverted_at TIMESTAMPTZ,
+                cancelled_by VARCHAR(100),
+                cancelled_at TIMESTAMPTZ
+            );
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_scheduled_changes_key ON scheduled_changes(environment, config_key);
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_scheduled_changes_due ON scheduled_changes(status, effective_from, effective_until);
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS scheduled_changes');
+    }
+};
@@ -0,0 +1,47 @@
+const { DEFAULT_ENVIRONMENT } = require('../../utils/environments');
+
+module.exports = {
+    description: 'Solicitações de mudança que exigem aprovação de uma segunda pessoa',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS change_requests (
+                id SERIAL PRIMARY KEY,
+                environment VARCHAR(50) NOT NULL DEFAULT '${DEFAULT_ENVIRONMENT}',
+                config_key VARCHAR(100) NOT NULL,
+                config_value JSONB NOT NULL,
+                description TEXT,
+                base_version INTEGER NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                requested_by VARCHAR(100) NOT NULL,
+                requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                reviewed_by VARCHAR(100),
+                reviewed_at TIMESTAMP,
+                applied_version INTEGER
+            );
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_change_requests_key ON change_requests(environment, config_key, status);
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS change_request_comments (
+                id SERIAL PRIMARY KEY,
+                change_request_id INTEGER NOT NULL REFERENCES change_requests(id) ON DELETE CASCADE,
+                author VARCHAR(100) NOT NULL,
+                comment TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_change_request_comments_request ON change_request_comments(change_request_id);
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS change_request_comments');
+        await client.query('DROP TABLE IF EXISTS change_requests');
+    }
+};
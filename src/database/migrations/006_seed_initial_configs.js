@@ -0,0 +1,244 @@
+const { ENVIRONMENTS } = require('../../utils/environments');
+const { backfillConfigVersions } = require('../initialConfigs');
+
+// Configurações iniciais congeladas nesta migração: o estado desejado (config/desired-state) evolui pelo reconcile,
+// e bancos novos e antigos passam pelas mesmas migrações com o mesmo resultado
+const INITIAL_CONFIGS = [
+    // Configurações CPA
+    {
+        config_key: 'cpa_level_amounts',
+        config_value: {
+            level_1: 35.00,
+            level_2: 10.00,
+            level_3: 5.00,
+            level_4: 5.00,
+            level_5: 5.00
+        },
+        config_type: 'cpa',
+        config_category: 'commission',
+        description: 'Valores de CPA distribuídos por nível MLM',
+        validation_schema: {
+            type: 'object',
+            properties: {
+                level_1: { type: 'number', minimum: 0 },
+                level_2: { type: 'number', minimum: 0 },
+                level_3: { type: 'number', minimum: 0 },
+                level_4: { type: 'number', minimum: 0 },
+                level_5: { type: 'number', minimum: 0 }
+            },
+            required: ['level_1', 'level_2', 'level_3', 'level_4', 'level_5']
+        },
+        created_by: 'system'
+    },
+    {
+        config_key: 'cpa_validation_rules',
+        config_value: {
+            groups: [
+                {
+                    operator: 'AND',
+                    criteria: [
+                        { type: 'deposit', value: 30.00, enabled: true },
+                        { type: 'bets', value: 10, enabled: true }
+                    ]
+                },
+                {
+                    operator: 'AND',
+                    criteria: [
+                        { type: 'deposit', value: 30.00, enabled: true },
+                        { type: 'ggr', value: 25.00, enabled: true }
+                    ]
+                }
+            ],
+            group_operator: 'OR'
+        },
+        config_type: 'cpa',
+        config_category: 'validation',
+        description: 'Regras de validação CPA configuráveis',
+        validation_schema: {
+            type: 'object',
+            properties: {
+                groups: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            operator: { type: 'string', enum: ['AND', 'OR'] },
+                            criteria: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        type: { type: 'string', enum: ['deposit', 'bets', 'ggr'] },
+                                        value: { type: 'number', minimum: 0 },
+                                        enabled: { type: 'boolean' }
+                                    },
+                                    required: ['type', 'value', 'enabled']
+                                }
+                            }
+                        },
+                        required: ['operator', 'criteria']
+                    }
+                },
+                group_operator: { type: 'string', enum: ['AND', 'OR'] }
+            },
+            required: ['groups', 'group_operator']
+        },
+        created_by: 'system'
+    },
+    // Configurações de Sistema
+    {
+        config_key: 'system_settings',
+        config_value: {
+            api_timeout: 30000,
+            cache_ttl: 3600,
+            max_retries: 3,
+            batch_size: 100,
+            cpa_monitoring_interval: 300000
+        },
+        config_type: 'system',
+        config_category: 'performance',
+        description: 'Configurações gerais do sistema',
+        validation_schema: {
+            type: 'object',
+            properties: {
+                api_timeout: { type: 'number', minimum: 1000 },
+                cache_ttl: { type: 'number', minimum: 60 },
+                max_retries: { type: 'number', minimum: 1, maximum: 10 },
+                batch_size: { type: 'number', minimum: 10, maximum: 1000 },
+                cpa_monitoring_interval: { type: 'number', minimum: 60000 }
+            },
+            required: ['api_timeout', 'cache_ttl', 'max_retries', 'batch_size']
+        },
+        created_by: 'system'
+    },
+    // Configurações MLM
+    {
+        config_key: 'mlm_settings',
+        config_value: {
+            max_hierarchy_levels: 5,
+            calculation_method: 'standard',
+            auto_distribution: true,
+            minimum_amount: 0.01,
+            currency: 'BRL'
+        },
+        config_type: 'mlm',
+        config_category: 'hierarchy',
+        description: 'Configurações do sistema MLM',
+        validation_schema: {
+            type: 'object',
+            properties: {
+                max_hierarchy_levels: { type: 'number', minimum: 1, maximum: 10 },
+                calculation_method: { type: 'string', enum: ['standard', 'progressive'] },
+                auto_distribution: { type: 'boolean' },
+                minimum_amount: { type: 'number', minimum: 0 },
+                currency: { type: 'string', enum: ['BRL', 'USD', 'EUR'] }
+            },
+            required: ['max_hierarchy_levels', 'calculation_method', 'auto_distribution', 'minimum_amount', 'currency']
+        },
+        created_by: 'system'
+    },
+    // Configurações de Integração
+    {
+        config_key: 'external_apis',
+        config_value: {
+            operation_db: {
+                sync_interval: 300000,
+                batch_size: 1000,
+                timeout: 30000
+            },
+            notification_service: {
+                retry_attempts: 3,
+                retry_delay: 5000
+            }
+        },
+        config_type: 'integration',
+        config_category: 'external',
+        description: 'Configurações de APIs externas',
+        validation_schema: {
+            type: 'object',
+            properties: {
+                operation_db: {
+                    type: 'object',
+                    properties: {
+                        sync_interval: { type: 'number', minimum: 60000 },
+                        batch_size: { type: 'number', minimum: 100, maximum: 5000 },
+                        timeout: { type: 'number', minimum: 5000 }
+                    }
+                },
+                notification_service: {
+                    type: 'object',
+                    properties: {
+                        retry_attempts: { type: 'number', minimum: 1, maximum: 10 },
+                        retry_delay: { type: 'number', minimum: 1000 }
+                    }
+                }
+            }
+        },
+        created_by: 'system'
+    }
+];
+
+async function insertInitialConfigs(client) {
+    console.log('📋 Inserindo configurações iniciais...');
+
+    // Cada ambiente começa com o mesmo conjunto inicial de configurações
+    for (const environment of ENVIRONMENTS) {
+        for (const config of INITIAL_CONFIGS) {
+            try {
+                // Verificar se já existe
+                const existingQuery = 'SELECT id FROM system_configurations WHERE environment = $1 AND config_key = $2';
+                const existingResult = await client.query(existingQuery, [environment, config.config_key]);
+
+                if (existingResult.rows.length === 0) {
+                    const insertQuery = `
+                        INSERT INTO system_configurations 
+                        (environment, config_key, config_value, config_type, config_category, description, validation_schema, created_by)
+                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                    `;
+
+                    await client.query(insertQuery, [
+                        environment,
+                        config.config_key,
+                        JSON.stringify(config.config_value),
+                        config.config_type,
+                        config.config_category,
+                        config.description,
+                        JSON.stringify(config.validation_schema),
+                        config.created_by
+                    ]);
+
+                    console.log(`✅ Configuração '${config.config_key}' inserida em ${environment}`);
+                } else {
+                    console.log(`⚠️  Configuração '${config.config_key}' já existe em ${environment}`);
+                }
+            } catch (error) {
+                console.error(`❌ Erro ao inserir configuração '${config.config_key}':`, error.message);
+            }
+        }
+    }
+
+    console.log('✅ Configurações iniciais processadas!');
+}
+
+module.exports = {
+    description: 'Configurações iniciais em cada ambiente',
+
+    async up(client) {
+        await insertInitialConfigs(client);
+        await backfillConfigVersions(client);
+    },
+
+    // Remove apenas as configurações iniciais que nunca foram alteradas
+    async down(client) {
+        await client.query(`
+            DELETE FROM config_versions v
+            USING system_configurations s
+            WHERE v.environment = s.environment AND v.config_key = s.config_key
+              AND s.created_by = 'system' AND s.version = 1
+        `);
+
+        await client.query(`
+            DELETE FROM system_configurations WHERE created_by = 'system' AND version = 1
+        `);
+    }
+};
@@ -0,0 +1,20 @@
+module.exports = {
+    description: 'Tags livres nas configurações (ex.: finance-owned, affects-payout, deprecated)',
+
+    async up(client) {
+        await client.query(`
+            ALTER TABLE system_configurations
+            ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+        `);
+
+        // GIN atende às buscas por tag (tags @> ARRAY[...])
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_system_configurations_tags ON system_configurations USING GIN (tags);
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP INDEX IF EXISTS idx_system_configurations_tags');
+        await client.query('ALTER TABLE system_configurations DROP COLUMN IF EXISTS tags');
+    }
+};
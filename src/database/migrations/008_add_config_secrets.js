@@ -0,0 +1,35 @@
+const { DEFAULT_ENVIRONMENT } = require('../../utils/environments');
+
+module.exports = {
+    description: 'Configurações secretas (valor cifrado) e auditoria das revelações',
+
+    async up(client) {
+        await client.query(`
+            ALTER TABLE system_configurations
+            ADD COLUMN IF NOT EXISTS is_secret BOOLEAN NOT NULL DEFAULT false;
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS secret_access_log (
+                id SERIAL PRIMARY KEY,
+                environment VARCHAR(50) NOT NULL DEFAULT '${DEFAULT_ENVIRONMENT}',
+                config_key VARCHAR(100) NOT NULL,
+                version INTEGER,
+                tenant_id VARCHAR(100),
+                revealed_by VARCHAR(100) NOT NULL,
+                reason TEXT NOT NULL,
+                ip_address VARCHAR(100),
+                revealed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_secret_access_log_key ON secret_access_log(environment, config_key, revealed_at);
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS secret_access_log');
+        await client.query('ALTER TABLE system_configurations DROP COLUMN IF EXISTS is_secret');
+    }
+};
@@ -0,0 +1,22 @@
+module.exports = {
+    description: 'Registro de schemas reutilizáveis e versionados, referenciados por nome@versão',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_registry (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                version INTEGER NOT NULL,
+                schema JSONB NOT NULL,
+                description TEXT,
+                created_by VARCHAR(100),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (name, version)
+            );
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS schema_registry');
+    }
+};
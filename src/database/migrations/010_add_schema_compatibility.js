@@ -0,0 +1,17 @@
+const { DEFAULT_COMPATIBILITY } = require('../../utils/schemaCompatibility');
+
+module.exports = {
+    description: 'Modo de compatibilidade de schema por configuração (backward, forward, full, none)',
+
+    async up(client) {
+        await client.query(`
+            ALTER TABLE system_configurations
+            ADD COLUMN IF NOT EXISTS schema_compatibility VARCHAR(10) NOT NULL DEFAULT '${DEFAULT_COMPATIBILITY}'
+                CHECK (schema_compatibility IN ('backward', 'forward', 'full', 'none'));
+        `);
+    },
+
+    async down(client) {
+        await client.query('ALTER TABLE system_configurations DROP COLUMN IF EXISTS schema_compatibility');
+    }
+};
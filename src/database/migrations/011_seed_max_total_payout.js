@@ -0,0 +1,81 @@
+const { ENVIRONMENTS } = require('../../utils/environments');
+
+// Bancos criados antes de mlm_settings.max_total_payout ficariam sem o teto da restrição cpa_total_within_payout_cap.
+// O teto fica congelado nesta migração e é gravado como uma nova versão de mlm_settings; ambientes cujos
+// cpa_level_amounts atuais já excedem o teto são apenas avisados (o teto deve ser definido manualmente).
+const MAX_TOTAL_PAYOUT = 100;
+
+// Nova versão de mlm_settings com o valor alterado, registrada no histórico como uma atualização do sistema
+const writeVersion = async (client, id, updateExpression, params = []) => {
+    const updated = await client.query(`
+        UPDATE system_configurations
+        SET config_value = ${updateExpression}, version = version + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+    `, [id, ...params]);
+
+    const config = updated.rows[0];
+    await client.query(`
+        INSERT INTO config_versions
+        (config_id, environment, config_key, version, action, config_value, validation_schema,
+         config_type, config_category, description, changed_by)
+        VALUES ($1, $2, $3, $4, 'UPDATE', $5, $6, $7, $8, $9, 'system')
+    `, [
+        config.id,
+        config.environment,
+        config.config_key,
+        config.version,
+        JSON.stringify(config.config_value),
+        config.validation_schema ? JSON.stringify(config.validation_schema) : null,
+        config.config_type,
+        config.config_category,
+        config.description
+    ]);
+};
+
+module.exports = {
+    description: 'mlm_settings.max_total_payout nas configurações existentes',
+
+    async up(client) {
+        for (const environment of ENVIRONMENTS) {
+            const current = await client.query(`
+                SELECT id FROM system_configurations
+                WHERE environment = $1 AND config_key = 'mlm_settings' AND active = true
+                  AND NOT (config_value ? 'max_total_payout')
+            `, [environment]);
+            if (current.rows.length === 0) {
+                continue;
+            }
+
+            const levels = await client.query(`
+                SELECT COALESCE(SUM(amount.value::numeric), 0) AS total
+                FROM system_configurations, jsonb_each_text(config_value) AS amount
+                WHERE environment = $1 AND config_key = 'cpa_level_amounts' AND active = true
+                  AND amount.key ~ '^level_[0-9]+$' AND amount.value ~ '^-?[0-9]+(\\.[0-9]+)?$'
+            `, [environment]);
+
+            const total = Number(levels.rows[0].total);
+            if (total > MAX_TOTAL_PAYOUT) {
+                console.warn(`⚠️  ${environment}: soma de cpa_level_amounts (${total}) excede ${MAX_TOTAL_PAYOUT}; defina mlm_settings.max_total_payout manualmente`);
+                continue;
+            }
+
+            await writeVersion(client, current.rows[0].id, 'config_value || $2::jsonb', [JSON.stringify({ max_total_payout: MAX_TOTAL_PAYOUT })]);
+            console.log(`✅ mlm_settings.max_total_payout = ${MAX_TOTAL_PAYOUT} em ${environment}`);
+        }
+    },
+
+    // Remove o teto onde ele ainda é o valor semeado (um teto redefinido manualmente é mantido)
+    async down(client) {
+        const seeded = await client.query(`
+            SELECT id, environment FROM system_configurations
+            WHERE config_key = 'mlm_settings' AND active = true
+              AND config_value->'max_total_payout' = $1::jsonb
+        `, [JSON.stringify(MAX_TOTAL_PAYOUT)]);
+
+        for (const row of seeded.rows) {
+            await writeVersion(client, row.id, "config_value - 'max_total_payout'");
+            console.log(`↩️  mlm_settings.max_total_payout removido em ${row.environment}`);
+        }
+    }
+};
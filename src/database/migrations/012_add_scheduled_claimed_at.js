@@ -0,0 +1,14 @@
+module.exports = {
+    description: 'Momento em que uma mudança agendada entrou em applying/reverting (recuperação após queda)',
+
+    async up(client) {
+        await client.query(`
+            ALTER TABLE scheduled_changes
+            ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ;
+        `);
+    },
+
+    async down(client) {
+        await client.query('ALTER TABLE scheduled_changes DROP COLUMN IF EXISTS claimed_at');
+    }
+};
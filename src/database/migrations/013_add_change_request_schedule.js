@@ -0,0 +1,21 @@
+module.exports = {
+    description: 'Vigência opcional em solicitações de mudança (aprovação cria a mudança agendada)',
+
+    async up(client) {
+        await client.query(`
+            ALTER TABLE change_requests
+            ADD COLUMN IF NOT EXISTS effective_from TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS effective_until TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS scheduled_change_id INTEGER REFERENCES scheduled_changes(id);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE change_requests
+            DROP COLUMN IF EXISTS scheduled_change_id,
+            DROP COLUMN IF EXISTS effective_until,
+            DROP COLUMN IF EXISTS effective_from
+        `);
+    }
+};
@@ -0,0 +1,58 @@
+require('dotenv').config();
+
+const ConfigService = require('../services/configService');
+const { DEFAULT_ENVIRONMENT, isValidEnvironment } = require('../utils/environments');
+
+const ACTION_ICONS = {
+    create: '➕',
+    update: '✏️ ',
+    skip: '✅',
+    conflict: '⚠️ '
+};
+
+// Uso: node src/database/reconcile.js [--env <ambiente>] [--apply] [--flag-extra]
+async function main() {
+    const args = process.argv.slice(2);
+    const envIndex = args.indexOf('--env');
+    const environment = envIndex >= 0 ? args[envIndex + 1] : DEFAULT_ENVIRONMENT;
+    const apply = args.includes('--apply');
+
+    const configService = new ConfigService();
+
+    try {
+        if (!isValidEnvironment(environment)) {
+            throw new Error(`Ambiente inválido: ${environment}`);
+        }
+
+        const result = await configService.reconcileConfigs({
+            dry_run: !apply,
+            flag_extra: args.includes('--flag-extra'),
+            reconciled_by: process.env.RECONCILE_USER || 'reconcile'
+        }, { environment });
+
+        console.log(`📋 Plano de reconciliação (${environment})${apply ? '' : ' - dry run, use --apply para aplicar'}`);
+
+        for (const item of result.plan) {
+            const detail = item.reason || (item.changes ? Object.keys(item.changes).join(', ') : '');
+            console.log(`${ACTION_ICONS[item.action]} ${item.action.padEnd(8)} ${item.config_key}${detail ? ` (${detail})` : ''}`);
+        }
+
+        for (const item of result.extra || []) {
+            console.log(`❔ extra    ${item.config_key} (existe no banco, mas não nos arquivos)`);
+        }
+
+        console.log(`🎉 ${JSON.stringify(result.summary)}`);
+    } catch (error) {
+        console.error('💥 Erro na reconciliação:', error);
+        process.exitCode = 1;
+    } finally {
+        await configService.close();
+    }
+}
+
+// Executar se chamado diretamente
+if (require.main === module) {
+    main();
+}
+
+module.exports = { main };
@@ -1,5 +1,19 @@
 const Joi = require('joi');
+const jwt = require('jsonwebtoken');
+const yaml = require('js-yaml');
 const logger = require('../utils/logger');
+const { ENVIRONMENTS, DEFAULT_ENVIRONMENT, isValidEnvironment } = require('../utils/environments');
+const { maskSecrets } = require('../utils/secrets');
+const {
+    configKeySchema,
+    configTypeSchema,
+    configCategorySchema,
+    configTagSchema,
+    configTagsSchema,
+    schemaCompatibilitySchema,
+    cpaMetricsSchema,
+    configEntrySchema
+} = require('../utils/schemas');
 
 // Middleware de validação genérico
 const validate = (schema) => {
@@ -24,29 +38,60 @@ const validate = (schema) => {
     };
 };
 
+// Converter body YAML (recebido como texto) em objeto antes da validação
+const parseYamlBody = (req, res, next) => {
+    if (typeof req.body !== 'string') {
+        return next();
+    }
+
+    try {
+        req.body = yaml.load(req.body);
+        next();
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            message: `YAML inválido: ${error.reason || error.message}`
+        });
+    }
+};
+
+// Middleware de validação de query string
+const validateQuery = (schema) => {
+    return (req, res, next) => {
+        const { error, value } = schema.validate(req.query);
+        
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+            
+            return res.status(400).json({
+                success: false,
+                message: 'Parâmetros de consulta inválidos',
+                errors
+            });
+        }
+        
+        req.query = value;
+        next();
+    };
+};
+
 // Schemas de validação
 const schemas = {
     createConfig: Joi.object({
-        config_key: Joi.string()
-            .min(3)
-            .max(100)
-            .pattern(/^[a-z0-9_]+$/)
-            .required()
-            .messages({
-                'string.pattern.base': 'config_key deve conter apenas letras minúsculas, números e underscore'
-            }),
+        config_key: configKeySchema.required(),
         config_value: Joi.any().required(),
-        config_type: Joi.string()
-            .valid('cpa', 'system', 'mlm', 'integration', 'security', 'performance')
-            .required(),
-        config_category: Joi.string()
-            .min(3)
-            .max(50)
-            .required(),
+        config_type: configTypeSchema.required(),
+        config_category: configCategorySchema.required(),
         description: Joi.string()
             .max(500)
             .optional(),
-        validation_schema: Joi.object().optional()
+        validation_schema: Joi.object().optional(),
+        schema_compatibility: schemaCompatibilitySchema.optional(),
+        tags: configTagsSchema.optional(),
+        is_secret: Joi.boolean().optional()
     }),
 
     updateConfig: Joi.object({
@@ -54,16 +99,231 @@ const schemas = {
         description: Joi.string()
             .max(500)
             .optional(),
-        validation_schema: Joi.object().optional()
+        validation_schema: Joi.object().optional(),
+        schema_compatibility: schemaCompatibilitySchema.optional(),
+        tags: configTagsSchema.optional(),
+        is_secret: Joi.boolean().optional(),
+        expected_version: Joi.number().integer().min(1).optional()
+    }),
+
+    checkSchema: Joi.object({
+        validation_schema: Joi.object().required(),
+        schema_compatibility: schemaCompatibilitySchema.optional()
     }),
 
     validateConfig: Joi.object({
+        config_key: Joi.string().pattern(/^[a-z0-9_]+$/).min(3).max(100).optional(),
         config_value: Joi.any().required(),
         validation_schema: Joi.object().required()
+    }),
+
+    batchConfigs: Joi.object({
+        operations: Joi.array()
+            .min(1)
+            .max(100)
+            .items(Joi.object({
+                op: Joi.string().valid('create', 'update', 'delete').required(),
+                config_key: configKeySchema.required(),
+                config_value: Joi.any().when('op', {
+                    is: 'delete',
+                    then: Joi.forbidden(),
+                    otherwise: Joi.required()
+                }),
+                config_type: Joi.when('op', {
+                    is: 'create',
+                    then: configTypeSchema.required(),
+                    otherwise: Joi.forbidden()
+                }),
+                config_category: Joi.when('op', {
+                    is: 'create',
+                    then: configCategorySchema.required(),
+                    otherwise: Joi.forbidden()
+                }),
+                description: Joi.string().max(500).optional(),
+                validation_schema: Joi.object().optional(),
+                tags: Joi.when('op', {
+                    is: 'delete',
+                    then: Joi.forbidden(),
+                    otherwise: configTagsSchema.optional()
+                }),
+                is_secret: Joi.when('op', {
+                    is: 'delete',
+                    then: Joi.forbidden(),
+                    otherwise: Joi.boolean().optional()
+                }),
+                schema_compatibility: Joi.when('op', {
+                    is: 'delete',
+                    then: Joi.forbidden(),
+                    otherwise: schemaCompatibilitySchema.optional()
+                }),
+                expected_version: Joi.when('op', {
+                    is: 'create',
+                    then: Joi.forbidden(),
+                    otherwise: Joi.number().integer().min(1).optional()
+                })
+            }))
+            .required()
+    }),
+
+    tenantOverride: Joi.object({
+        config_value: Joi.any().required()
+    }),
+
+    promoteConfigs: Joi.object({
+        source_environment: Joi.string().valid(...ENVIRONMENTS).required(),
+        target_environment: Joi.string().valid(...ENVIRONMENTS).required(),
+        config_key: Joi.string().pattern(/^[a-z0-9_]+$/),
+        config_category: Joi.string().min(3).max(50),
+        dry_run: Joi.boolean().default(true)
+    }).xor('config_key', 'config_category'),
+
+    rollbackConfig: Joi.object({
+        version: Joi.number().integer().min(1),
+        history_id: Joi.number().integer().min(1)
+    }).xor('version', 'history_id'),
+
+    scheduleChange: Joi.object({
+        config_value: Joi.any().required(),
+        description: Joi.string().max(500).optional(),
+        effective_from: Joi.date().iso().greater('now').required(),
+        effective_until: Joi.date().iso().greater(Joi.ref('effective_from')).optional()
+    }),
+
+    // Com effective_from, a aprovação agenda a mudança em vez de aplicá-la imediatamente
+    changeRequest: Joi.object({
+        config_value: Joi.any().required(),
+        description: Joi.string().max(500).optional(),
+        comment: Joi.string().max(2000).optional(),
+        effective_from: Joi.date().iso().greater('now').optional(),
+        effective_until: Joi.date().iso().greater(Joi.ref('effective_from')).optional()
+    }).with('effective_until', 'effective_from'),
+
+    reviewChangeRequest: Joi.object({
+        comment: Joi.string().max(2000).optional()
+    }),
+
+    createSchema: Joi.object({
+        name: Joi.string().pattern(/^[a-z0-9_]+$/).min(3).max(100).required(),
+        schema: Joi.object().required(),
+        description: Joi.string().max(500).optional()
+    }),
+
+    updateSchema: Joi.object({
+        schema: Joi.object().required(),
+        description: Joi.string().max(500).optional(),
+        dry_run: Joi.boolean().default(false)
+    }),
+
+    evaluateCpa: Joi.object({
+        metrics: cpaMetricsSchema.required()
+    }),
+
+    // upline[0] é o indicador direto da indicação (nível 1)
+    simulateCpa: Joi.object({
+        referral: Joi.object({
+            id: Joi.string().max(100).required(),
+            metrics: cpaMetricsSchema.optional()
+        }).required(),
+        upline: Joi.array().items(Joi.string().max(100)).unique().max(50).required(),
+        proposed: Joi.object({
+            cpa_level_amounts: Joi.object().optional(),
+            mlm_settings: Joi.object().optional()
+        }).default({})
+    }),
+
+    revealSecret: Joi.object({
+        reason: Joi.string().min(5).max(500).required()
+    }),
+
+    changeRequestComment: Joi.object({
+        comment: Joi.string().max(2000).required()
+    }),
+
+    changeRequestQuery: Joi.object({
+        status: Joi.string().valid('pending', 'approved', 'rejected').optional()
+    }),
+
+    scheduleQuery: Joi.object({
+        status: Joi.string().valid('pending', 'active', 'completed', 'cancelled', 'failed').optional()
+    }),
+
+    listConfigsQuery: Joi.object({
+        as_of: Joi.date().iso().optional(),
+        tenant: Joi.string().optional(),
+        q: Joi.string().max(100).optional(),
+        type: configTypeSchema.optional(),
+        category: configCategorySchema.optional(),
+        updated_since: Joi.date().iso().optional(),
+        updated_by: Joi.string().max(100).optional(),
+        tag: Joi.array().items(configTagSchema).single().optional(),
+        sort: Joi.string()
+            .valid(...['config_key', 'config_type', 'config_category', 'created_at', 'updated_at', 'version']
+                .flatMap(field => [field, `-${field}`]))
+            .default('config_key'),
+        page: Joi.number().integer().min(1).optional(),
+        limit: Joi.number().integer().min(1).max(500).default(100),
+        cursor: Joi.string().max(500).optional()
+    })
+        .oxor('page', 'cursor')
+        .without('as_of', ['q', 'type', 'category', 'updated_since', 'updated_by', 'tag', 'page', 'cursor']),
+
+    asOfQuery: Joi.object({
+        as_of: Joi.date().iso().optional(),
+        tenant: Joi.string().optional(),
+        raw: Joi.boolean().default(false)
+    }),
+
+    exportQuery: Joi.object({
+        format: Joi.string().valid('json', 'yaml').default('json'),
+        type: configTypeSchema.optional(),
+        category: configCategorySchema.optional()
+    }),
+
+    importQuery: Joi.object({
+        mode: Joi.string().valid('merge', 'replace').default('merge'),
+        dry_run: Joi.boolean().default(true)
+    }),
+
+    importBundle: Joi.object({
+        format_version: Joi.number().integer().valid(1).optional(),
+        configs: Joi.array()
+            .items(configEntrySchema)
+            .unique('config_key')
+            .min(1)
+            .required()
+    }).unknown(true),
+
+    configEntry: configEntrySchema,
+
+    reconcileConfigs: Joi.object({
+        dry_run: Joi.boolean().default(true),
+        flag_extra: Joi.boolean().default(false)
+    }),
+
+    diffQuery: Joi.object({
+        from: Joi.number().integer().min(1).required(),
+        to: Joi.number().integer().min(1).optional()
+    }),
+
+    historyQuery: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(200).default(50),
+        changed_by: Joi.string().max(100).optional(),
+        from: Joi.date().iso().optional(),
+        to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }).optional()
     })
 };
 
-// Middleware de autenticação simples (API Key)
+// Respostas nunca carregam segredos cifrados: qualquer envelope vira a máscara (o reveal devolve o valor decifrado)
+const maskSecretResponses = (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => json(maskSecrets(body));
+    next();
+};
+
+// Middleware de autenticação: token de usuário (JWT assinado com JWT_SECRET) ou API Key de serviço.
+// A identidade vem apenas da credencial: o token identifica a pessoa (claim sub); a API Key compartilhada
+// identifica o serviço (api_user) e não serve para aprovações.
 const authenticate = (req, res, next) => {
     const apiKey = req.headers['x-api-key'] || req.headers['authorization'];
     
@@ -76,19 +336,108 @@ const authenticate = (req, res, next) => {
 
     // Verificar API Key (simplificado para desenvolvimento)
     const validApiKey = process.env.API_KEY_SECRET;
-    if (apiKey !== validApiKey && apiKey !== `Bearer ${validApiKey}`) {
+    if (validApiKey && (apiKey === validApiKey || apiKey === `Bearer ${validApiKey}`)) {
+        req.user = {
+            username: 'api_user',
+            role: 'admin',
+            authenticated_by: 'api_key'
+        };
+
+        return next();
+    }
+
+    const token = apiKey.startsWith('Bearer ') ? apiKey.slice('Bearer '.length) : null;
+    if (!token || !process.env.JWT_SECRET) {
         return res.status(401).json({
             success: false,
             message: 'API Key inválida'
         });
     }
 
-    // Adicionar usuário fictício para auditoria
+    let payload;
+    try {
+        payload = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            message: error.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido'
+        });
+    }
+
+    if (typeof payload.sub !== 'string' || !/^[a-zA-Z0-9_.@-]{1,100}$/.test(payload.sub)) {
+        return res.status(401).json({
+            success: false,
+            message: 'Token sem usuário válido (claim sub)'
+        });
+    }
+
     req.user = {
-        username: 'api_user',
-        role: 'admin'
+        username: payload.sub,
+        // Sem a claim role, o token não dá acesso às rotas administrativas
+        role: typeof payload.role === 'string' ? payload.role : 'user',
+        authenticated_by: 'token'
+    };
+
+    next();
+};
+
+// Exigir a identidade de uma pessoa (token de usuário), e não a API Key compartilhada
+const requireUserToken = (req, res, next) => {
+    if (!req.user || req.user.authenticated_by !== 'token') {
+        return res.status(403).json({
+            success: false,
+            message: 'Esta operação exige um token de usuário (Authorization: Bearer <token>)'
+        });
+    }
+
+    next();
+};
+
+// Middleware de autorização por papel (usar após authenticate)
+const authorize = (...roles) => {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Permissão insuficiente para esta operação'
+            });
+        }
+
+        next();
     };
+};
+
+// Resolver o ambiente da requisição (segmento /env/:environment ou header X-Config-Environment)
+const resolveEnvironment = (req, res, next) => {
+    const environment = req.params.environment || req.headers['x-config-environment'] || DEFAULT_ENVIRONMENT;
+
+    if (!isValidEnvironment(environment)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Ambiente de configuração inválido',
+            validEnvironments: ENVIRONMENTS
+        });
+    }
+
+    req.environment = environment;
+    res.header('X-Config-Environment', environment);
+    next();
+};
+
+// Resolver o tenant (marca/operador) da requisição pelo header X-Tenant-Id ou query ?tenant=
+const TENANT_PATTERN = /^[a-z0-9_-]{1,100}$/i;
 
+const resolveTenant = (req, res, next) => {
+    const tenant = req.headers['x-tenant-id'] || req.query.tenant;
+
+    if (tenant && !TENANT_PATTERN.test(tenant)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Tenant inválido'
+        });
+    }
+
+    req.tenant = tenant || null;
     next();
 };
 
@@ -202,8 +551,8 @@ const errorHandler = (err, req, res, next) => {
 // Middleware de CORS customizado
 const corsHandler = (req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Config-Environment, X-Tenant-Id, If-Match');
     res.header('Access-Control-Allow-Credentials', 'true');
     
     if (req.method === 'OPTIONS') {
@@ -215,6 +564,58 @@ const corsHandler = (req, res, next) => {
 
 // Middleware de validação de parâmetros
 const validateParams = {
+    tenant: (req, res, next) => {
+        const { tenant } = req.params;
+        
+        if (!tenant || !TENANT_PATTERN.test(tenant)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Tenant inválido'
+            });
+        }
+        
+        next();
+    },
+
+    id: (req, res, next) => {
+        const { id } = req.params;
+
+        if (!/^\d+$/.test(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID inválido'
+            });
+        }
+
+        next();
+    },
+
+    schemaName: (req, res, next) => {
+        const { name } = req.params;
+
+        if (!name || name.length < 3 || name.length > 100 || !/^[a-z0-9_]+$/.test(name)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nome de schema inválido'
+            });
+        }
+
+        next();
+    },
+
+    version: (req, res, next) => {
+        const { version } = req.params;
+
+        if (!/^[1-9]\d*$/.test(version)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Versão inválida'
+            });
+        }
+
+        next();
+    },
+
     configKey: (req, res, next) => {
         const { key } = req.params;
         
@@ -266,8 +667,15 @@ const validateParams = {
 
 module.exports = {
     validate,
+    parseYamlBody,
+    validateQuery,
     schemas,
     authenticate,
+    authorize,
+    requireUserToken,
+    maskSecretResponses,
+    resolveEnvironment,
+    resolveTenant,
     rateLimits,
     requestLogger,
     errorHandler,
@@ -1,5 +1,36 @@
 const { Pool } = require('pg');
 const logger = require('../utils/logger');
+const { DEFAULT_ENVIRONMENT } = require('../utils/environments');
+const { ServiceError, NotFoundError, ConflictError } = require('../utils/errors');
+const { encryptSecrets, restoreMaskedSecrets } = require('../utils/secrets');
+const { parseSchemaRef, collectSchemaRefs, dereferenceSchema } = require('../utils/schemaRefs');
+const { DEFAULT_COMPATIBILITY } = require('../utils/schemaCompatibility');
+
+// Campos aceitos em `sort` na listagem (coluna e tipo usado para comparar o cursor)
+const SORT_FIELDS = {
+    config_key: { column: 's.config_key', cast: 'text' },
+    config_type: { column: 's.config_type', cast: 'text' },
+    config_category: { column: 's.config_category', cast: 'text' },
+    created_at: { column: 's.created_at', cast: 'timestamp' },
+    updated_at: { column: 's.updated_at', cast: 'timestamp' },
+    version: { column: 's.version', cast: 'int' }
+};
+
+// Cursor opaco: ordenação usada + valor de ordenação e id da última linha retornada
+const encodeCursor = (sort, row) => Buffer.from(JSON.stringify([sort, row.sort_value, row.id])).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+    try {
+        const [cursorSort, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (cursorSort === sort && Number.isInteger(id)) {
+            return { value, id };
+        }
+    } catch (error) {
+        // cursor malformado: tratado abaixo
+    }
+
+    throw new ServiceError('Cursor inválido para esta ordenação');
+};
 
 class ConfigModel {
     constructor() {
@@ -15,65 +46,89 @@ class ConfigModel {
         });
     }
 
-    async createConfig(configData) {
+    // Executar operações em uma única transação
+    async withTransaction(callback) {
         const client = await this.pool.connect();
         try {
-            const query = `
-                INSERT INTO system_configurations 
-                (config_key, config_value, config_type, config_category, description, validation_schema, created_by)
-                VALUES ($1, $2, $3, $4, $5, $6, $7)
-                RETURNING *
-            `;
-            
-            const values = [
-                configData.config_key,
-                JSON.stringify(configData.config_value),
-                configData.config_type,
-                configData.config_category,
-                configData.description,
-                configData.validation_schema ? JSON.stringify(configData.validation_schema) : null,
-                configData.created_by
-            ];
-
-            const result = await client.query(query, values);
-            
-            // Adicionar ao histórico
-            await this.addToHistory(client, result.rows[0].id, 'CREATE', null, configData.config_value, configData.created_by);
-            
-            return result.rows[0];
+            await client.query('BEGIN');
+            const result = await callback(client);
+            await client.query('COMMIT');
+            return result;
         } catch (error) {
-            logger.error('Erro ao criar configuração:', error);
+            await client.query('ROLLBACK');
             throw error;
         } finally {
             client.release();
         }
     }
 
-    async getConfig(configKey) {
+    async createConfig(configData) {
+        try {
+            return await this.withTransaction(client => this.insertConfig(client, configData));
+        } catch (error) {
+            logger.error('Erro ao criar configuração:', error);
+            throw error;
+        }
+    }
+
+    // Recriar uma chave deletada reaproveita a linha inativa, continuando a numeração de versões e o histórico
+    async insertConfig(client, configData) {
+        const query = `
+            INSERT INTO system_configurations 
+            (environment, config_key, config_value, config_type, config_category, description, validation_schema, created_by, tags, is_secret,
+             schema_compatibility)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            ON CONFLICT (environment, config_key) DO UPDATE
+            SET config_value = EXCLUDED.config_value,
+                is_secret = EXCLUDED.is_secret,
+                schema_compatibility = EXCLUDED.schema_compatibility,
+                config_type = EXCLUDED.config_type,
+                config_category = EXCLUDED.config_category,
+                description = EXCLUDED.description,
+                validation_schema = EXCLUDED.validation_schema,
+                tags = EXCLUDED.tags,
+                active = true,
+                version = system_configurations.version + 1,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE system_configurations.active = false
+            RETURNING *
+        `;
+        
+        const values = [
+            configData.environment || DEFAULT_ENVIRONMENT,
+            configData.config_key,
+            JSON.stringify(encryptSecrets(
+                configData.config_value,
+                await this.expandSchema(configData.validation_schema, client),
+                configData.is_secret
+            )),
+            configData.config_type,
+            configData.config_category,
+            configData.description,
+            configData.validation_schema ? JSON.stringify(configData.validation_schema) : null,
+            configData.created_by,
+            configData.tags || [],
+            configData.is_secret || false,
+            configData.schema_compatibility || DEFAULT_COMPATIBILITY
+        ];
+
+        const result = await client.query(query, values);
+
+        // Conflito com uma configuração ativa
+        if (result.rows.length === 0) {
+            throw new ConflictError('Configuração já existe');
+        }
+        
+        // Adicionar ao histórico
+        await this.addToHistory(client, result.rows[0], configData.action || 'CREATE', configData.created_by);
+        
+        return result.rows[0];
+    }
+
+    async getConfig(configKey, options = {}) {
         const client = await this.pool.connect();
         try {
-            const query = `
-                SELECT * FROM system_configurations 
-                WHERE config_key = $1 AND active = true
-                ORDER BY version DESC
-                LIMIT 1
-            `;
-            
-            const result = await client.query(query, [configKey]);
-            
-            if (result.rows.length > 0) {
-                const config = result.rows[0];
-                config.config_value = JSON.parse(config.config_value);
-                if (config.validation_schema) {
-                    config.validation_schema = JSON.parse(config.validation_schema);
-                }
-                if (config.change_log) {
-                    config.change_log = JSON.parse(config.change_log);
-                }
-                return config;
-            }
-            
-            return null;
+            return await this.findConfig(client, configKey, options);
         } catch (error) {
             logger.error('Erro ao buscar configuração:', error);
             throw error;
@@ -82,16 +137,43 @@ class ConfigModel {
         }
     }
 
-    async getConfigsByCategory(category) {
+    // forUpdate bloqueia a linha até o fim da transação do client
+    async findConfig(client, configKey, options = {}, forUpdate = false) {
+        const query = `
+            SELECT * FROM system_configurations 
+            WHERE environment = $1 AND config_key = $2 AND active = true
+            ORDER BY version DESC
+            LIMIT 1
+            ${forUpdate ? 'FOR UPDATE' : ''}
+        `;
+        
+        const result = await client.query(query, [options.environment || DEFAULT_ENVIRONMENT, configKey]);
+        
+        if (result.rows.length > 0) {
+            const config = result.rows[0];
+            config.config_value = JSON.parse(config.config_value);
+            if (config.validation_schema) {
+                config.validation_schema = JSON.parse(config.validation_schema);
+            }
+            if (config.change_log) {
+                config.change_log = JSON.parse(config.change_log);
+            }
+            return config;
+        }
+        
+        return null;
+    }
+
+    async getConfigsByCategory(category, options = {}) {
         const client = await this.pool.connect();
         try {
             const query = `
                 SELECT * FROM system_configurations 
-                WHERE config_category = $1 AND active = true
+                WHERE environment = $1 AND config_category = $2 AND active = true
                 ORDER BY config_key
             `;
             
-            const result = await client.query(query, [category]);
+            const result = await client.query(query, [options.environment || DEFAULT_ENVIRONMENT, category]);
             
             return result.rows.map(config => {
                 config.config_value = JSON.parse(config.config_value);
@@ -108,16 +190,16 @@ class ConfigModel {
         }
     }
 
-    async getConfigsByType(type) {
+    async getConfigsByType(type, options = {}) {
         const client = await this.pool.connect();
         try {
             const query = `
                 SELECT * FROM system_configurations 
-                WHERE config_type = $1 AND active = true
+                WHERE environment = $1 AND config_type = $2 AND active = true
                 ORDER BY config_key
             `;
             
-            const result = await client.query(query, [type]);
+            const result = await client.query(query, [options.environment || DEFAULT_ENVIRONMENT, type]);
             
             return result.rows.map(config => {
                 config.config_value = JSON.parse(config.config_value);
@@ -134,205 +216,1240 @@ class ConfigModel {
         }
     }
 
-    async updateConfig(configKey, updateData) {
-        const client = await this.pool.connect();
+    async updateConfig(configKey, updateData, options = {}) {
         try {
-            await client.query('BEGIN');
+            return await this.withTransaction(client => this.applyUpdate(client, configKey, updateData, options));
+        } catch (error) {
+            logger.error('Erro ao atualizar configuração:', error);
+            throw error;
+        }
+    }
 
-            // Buscar configuração atual
-            const currentConfig = await this.getConfig(configKey);
-            if (!currentConfig) {
-                throw new Error('Configuração não encontrada');
-            }
+    async applyUpdate(client, configKey, updateData, options = {}) {
+        // Buscar configuração atual
+        const currentConfig = await this.findConfig(client, configKey, options, true);
+        if (!currentConfig) {
+            throw new NotFoundError('Configuração não encontrada');
+        }
+
+        // Segredos são cifrados antes de gravar; a máscara mantém o valor cifrado atual
+        const configValue = encryptSecrets(
+            restoreMaskedSecrets(updateData.config_value, currentConfig.config_value),
+            await this.expandSchema(updateData.validation_schema || currentConfig.validation_schema, client),
+            updateData.is_secret ?? currentConfig.is_secret
+        );
 
-            // Atualizar configuração
+        // Atualizar configuração (a condição de versão torna a verificação de concorrência atômica)
+        const query = `
+            UPDATE system_configurations 
+            SET config_value = $1, 
+                description = COALESCE($2, description),
+                validation_schema = COALESCE($3, validation_schema),
+                tags = COALESCE($7::text[], tags),
+                is_secret = COALESCE($8, is_secret),
+                schema_compatibility = COALESCE($9, schema_compatibility),
+                version = version + 1,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE environment = $4 AND config_key = $5 AND active = true
+              AND ($6::int IS NULL OR version = $6)
+            RETURNING *
+        `;
+        
+        const values = [
+            JSON.stringify(configValue),
+            updateData.description,
+            updateData.validation_schema ? JSON.stringify(updateData.validation_schema) : null,
+            options.environment || DEFAULT_ENVIRONMENT,
+            configKey,
+            options.expectedVersion ?? null,
+            updateData.tags || null,
+            updateData.is_secret ?? null,
+            updateData.schema_compatibility || null
+        ];
+
+        const result = await client.query(query, values);
+
+        if (result.rows.length === 0) {
+            throw this.versionConflict(configKey, currentConfig.version);
+        }
+        
+        // Adicionar ao histórico
+        await this.addToHistory(client, result.rows[0], updateData.action || 'UPDATE', updateData.updated_by);
+        
+        const updatedConfig = result.rows[0];
+        updatedConfig.config_value = JSON.parse(updatedConfig.config_value);
+        if (updatedConfig.validation_schema) {
+            updatedConfig.validation_schema = JSON.parse(updatedConfig.validation_schema);
+        }
+        
+        return updatedConfig;
+    }
+
+    async deleteConfig(configKey, deletedBy, options = {}) {
+        try {
+            return await this.withTransaction(client => this.applyDelete(client, configKey, deletedBy, options));
+        } catch (error) {
+            logger.error('Erro ao deletar configuração:', error);
+            throw error;
+        }
+    }
+
+    async applyDelete(client, configKey, deletedBy, options = {}) {
+        // Buscar configuração atual
+        const currentConfig = await this.findConfig(client, configKey, options, true);
+        if (!currentConfig) {
+            throw new NotFoundError('Configuração não encontrada');
+        }
+
+        // Marcar como inativa (soft delete)
+        const query = `
+            UPDATE system_configurations 
+            SET active = false, version = version + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE environment = $1 AND config_key = $2 AND active = true
+              AND ($3::int IS NULL OR version = $3)
+            RETURNING *
+        `;
+        
+        const result = await client.query(query, [
+            options.environment || DEFAULT_ENVIRONMENT,
+            configKey,
+            options.expectedVersion ?? null
+        ]);
+
+        if (result.rows.length === 0) {
+            throw this.versionConflict(configKey, currentConfig.version);
+        }
+        
+        // Adicionar ao histórico
+        await this.addToHistory(client, result.rows[0], 'DELETE', deletedBy);
+        
+        return result.rows[0];
+    }
+
+    // Aplicar operações create/update/delete em uma única transação (tudo ou nada)
+    async applyBatch(operations, changedBy, options = {}) {
+        try {
+            return await this.withTransaction(async (client) => {
+                const results = [];
+
+                for (const operation of operations) {
+                    const operationOptions = { ...options, expectedVersion: operation.expected_version };
+                    let config;
+
+                    switch (operation.op) {
+                        case 'create':
+                            config = await this.insertConfig(client, {
+                                ...operation,
+                                environment: options.environment,
+                                created_by: changedBy
+                            });
+                            break;
+                        case 'update':
+                            config = await this.applyUpdate(client, operation.config_key, {
+                                ...operation,
+                                updated_by: changedBy
+                            }, operationOptions);
+                            break;
+                        case 'delete':
+                            config = await this.applyDelete(client, operation.config_key, changedBy, operationOptions);
+                            break;
+                        default:
+                            throw new ServiceError(`Operação inválida: ${operation.op}`);
+                    }
+
+                    results.push({ op: operation.op, config });
+                }
+
+                return results;
+            });
+        } catch (error) {
+            logger.error('Erro ao aplicar lote de configurações:', error);
+            throw error;
+        }
+    }
+
+    // Configurações deletadas (soft delete) de um ambiente
+    async getDeletedConfigs(options = {}) {
+        const client = await this.pool.connect();
+        try {
             const query = `
-                UPDATE system_configurations 
-                SET config_value = $1, 
-                    description = COALESCE($2, description),
-                    validation_schema = COALESCE($3, validation_schema),
-                    version = version + 1,
-                    updated_at = CURRENT_TIMESTAMP
-                WHERE config_key = $4 AND active = true
-                RETURNING *
+                SELECT * FROM system_configurations 
+                WHERE environment = $1 AND active = false
+                ORDER BY updated_at DESC
             `;
-            
-            const values = [
-                JSON.stringify(updateData.config_value),
-                updateData.description,
-                updateData.validation_schema ? JSON.stringify(updateData.validation_schema) : null,
-                configKey
-            ];
 
-            const result = await client.query(query, values);
-            
-            // Adicionar ao histórico
-            await this.addToHistory(
-                client, 
-                result.rows[0].id, 
-                'UPDATE', 
-                currentConfig.config_value, 
-                updateData.config_value, 
-                updateData.updated_by
+            const result = await client.query(query, [options.environment || DEFAULT_ENVIRONMENT]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao buscar configurações deletadas:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getDeletedConfig(configKey, options = {}) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT * FROM system_configurations WHERE environment = $1 AND config_key = $2 AND active = false',
+                [options.environment || DEFAULT_ENVIRONMENT, configKey]
             );
 
-            await client.query('COMMIT');
-            
-            const updatedConfig = result.rows[0];
-            updatedConfig.config_value = JSON.parse(updatedConfig.config_value);
-            if (updatedConfig.validation_schema) {
-                updatedConfig.validation_schema = JSON.parse(updatedConfig.validation_schema);
-            }
-            
-            return updatedConfig;
+            return result.rows[0] || null;
         } catch (error) {
-            await client.query('ROLLBACK');
-            logger.error('Erro ao atualizar configuração:', error);
+            logger.error('Erro ao buscar configuração deletada:', error);
             throw error;
         } finally {
             client.release();
         }
     }
 
-    async deleteConfig(configKey, deletedBy) {
+    // Reativar uma configuração deletada com o último valor, como nova versão
+    async restoreConfig(configKey, restoredBy, options = {}) {
+        try {
+            return await this.withTransaction(async (client) => {
+                const query = `
+                    UPDATE system_configurations 
+                    SET active = true, version = version + 1, updated_at = CURRENT_TIMESTAMP
+                    WHERE environment = $1 AND config_key = $2 AND active = false
+                    RETURNING *
+                `;
+
+                const result = await client.query(query, [options.environment || DEFAULT_ENVIRONMENT, configKey]);
+
+                if (result.rows.length === 0) {
+                    throw new NotFoundError('Configuração deletada não encontrada');
+                }
+
+                await this.addToHistory(client, result.rows[0], 'RESTORE', restoredBy);
+
+                return result.rows[0];
+            });
+        } catch (error) {
+            logger.error('Erro ao restaurar configuração:', error);
+            throw error;
+        }
+    }
+
+    // Remoção definitiva de uma configuração deletada, incluindo histórico e overrides
+    async purgeConfig(configKey, options = {}) {
+        const environment = options.environment || DEFAULT_ENVIRONMENT;
+
+        try {
+            return await this.withTransaction(async (client) => {
+                const result = await client.query(`
+                    DELETE FROM system_configurations
+                    WHERE environment = $1 AND config_key = $2 AND active = false
+                    RETURNING *
+                `, [environment, configKey]);
+
+                if (result.rows.length === 0) {
+                    throw new NotFoundError('Configuração deletada não encontrada (delete a configuração antes do purge)');
+                }
+
+                const versions = await client.query(
+                    'DELETE FROM config_versions WHERE environment = $1 AND config_key = $2',
+                    [environment, configKey]
+                );
+
+                const overrides = await client.query(
+                    'DELETE FROM config_overrides WHERE environment = $1 AND config_key = $2',
+                    [environment, configKey]
+                );
+
+                return {
+                    config: result.rows[0],
+                    purged_versions: versions.rowCount,
+                    purged_overrides: overrides.rowCount
+                };
+            });
+        } catch (error) {
+            logger.error('Erro ao remover configuração definitivamente:', error);
+            throw error;
+        }
+    }
+
+    versionConflict(configKey, currentVersion) {
+        return new ConflictError(
+            `Configuração '${configKey}' foi alterada por outra operação (versão atual: ${currentVersion})`,
+            { current_version: currentVersion }
+        );
+    }
+
+    // Histórico paginado a partir de config_versions (inclui configurações deletadas)
+    async getConfigHistory(configKey, options = {}) {
         const client = await this.pool.connect();
         try {
-            await client.query('BEGIN');
+            const page = options.page || 1;
+            const limit = options.limit || 50;
+
+            const conditions = ['environment = $1', 'config_key = $2'];
+            const values = [options.environment || DEFAULT_ENVIRONMENT, configKey];
+
+            if (options.changed_by) {
+                values.push(options.changed_by);
+                conditions.push(`changed_by = $${values.length}`);
+            }
+
+            if (options.from) {
+                values.push(options.from);
+                conditions.push(`changed_at >= $${values.length}`);
+            }
 
-            // Buscar configuração atual
-            const currentConfig = await this.getConfig(configKey);
-            if (!currentConfig) {
-                throw new Error('Configuração não encontrada');
+            if (options.to) {
+                values.push(options.to);
+                conditions.push(`changed_at <= $${values.length}`);
             }
 
-            // Marcar como inativa (soft delete)
+            const where = conditions.join(' AND ');
+
+            const countResult = await client.query(
+                `SELECT COUNT(*)::int AS total FROM config_versions WHERE ${where}`,
+                values
+            );
+
             const query = `
-                UPDATE system_configurations 
-                SET active = false, updated_at = CURRENT_TIMESTAMP
-                WHERE config_key = $1 AND active = true
-                RETURNING *
+                SELECT id, version, action, config_value, validation_schema, config_type,
+                       config_category, description, changed_by, changed_at
+                FROM config_versions
+                WHERE ${where}
+                ORDER BY version DESC
+                LIMIT $${values.length + 1} OFFSET $${values.length + 2}
             `;
-            
-            const result = await client.query(query, [configKey]);
-            
-            // Adicionar ao histórico
-            await this.addToHistory(
-                client, 
-                result.rows[0].id, 
-                'DELETE', 
-                currentConfig.config_value, 
-                null, 
-                deletedBy
-            );
 
-            await client.query('COMMIT');
-            
-            return result.rows[0];
+            const result = await client.query(query, [...values, limit, (page - 1) * limit]);
+            const total = countResult.rows[0].total;
+
+            return {
+                entries: result.rows,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
         } catch (error) {
-            await client.query('ROLLBACK');
-            logger.error('Erro ao deletar configuração:', error);
+            logger.error('Erro ao buscar histórico:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Buscar uma versão específica pelo número da versão ou pelo id da entrada de histórico
+    async getConfigVersion(configKey, { version, history_id: historyId }, options = {}) {
+        const client = await this.pool.connect();
+        try {
+            const query = historyId
+                ? 'SELECT * FROM config_versions WHERE environment = $1 AND config_key = $2 AND id = $3'
+                : 'SELECT * FROM config_versions WHERE environment = $1 AND config_key = $2 AND version = $3';
+
+            const result = await client.query(query, [options.environment || DEFAULT_ENVIRONMENT, configKey, historyId || version]);
+
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Erro ao buscar versão da configuração:', error);
             throw error;
         } finally {
             client.release();
         }
     }
 
-    async getConfigHistory(configKey) {
+    // Buscar o estado de uma configuração em um momento do passado
+    async getConfigAsOf(configKey, asOf, options = {}) {
         const client = await this.pool.connect();
         try {
             const query = `
-                SELECT change_log FROM system_configurations 
-                WHERE config_key = $1
+                SELECT * FROM config_versions
+                WHERE environment = $1 AND config_key = $2 AND changed_at <= $3
                 ORDER BY version DESC
                 LIMIT 1
             `;
-            
-            const result = await client.query(query, [configKey]);
-            
-            if (result.rows.length > 0 && result.rows[0].change_log) {
-                return JSON.parse(result.rows[0].change_log);
+
+            const result = await client.query(query, [options.environment || DEFAULT_ENVIRONMENT, configKey, asOf]);
+            const version = result.rows[0];
+
+            // Não existia ou estava deletada naquele momento
+            if (!version || version.action === 'DELETE') {
+                return null;
             }
-            
-            return [];
+
+            return this.versionToConfig(version, asOf);
         } catch (error) {
-            logger.error('Erro ao buscar histórico:', error);
+            logger.error('Erro ao buscar configuração por data:', error);
             throw error;
         } finally {
             client.release();
         }
     }
 
-    async addToHistory(client, configId, action, oldValue, newValue, changedBy) {
+    // Buscar todas as configurações ativas em um momento do passado
+    async getAllConfigsAsOf(asOf, options = {}) {
+        const client = await this.pool.connect();
         try {
-            // Buscar histórico atual
-            const historyQuery = `
-                SELECT change_log FROM system_configurations 
-                WHERE id = $1
+            const query = `
+                SELECT * FROM (
+                    SELECT DISTINCT ON (config_key) *
+                    FROM config_versions
+                    WHERE environment = $1 AND changed_at <= $2
+                    ORDER BY config_key, version DESC
+                ) latest
+                WHERE action <> 'DELETE'
+                ORDER BY config_category, config_key
             `;
-            
-            const historyResult = await client.query(historyQuery, [configId]);
-            let changeLog = [];
-            
-            if (historyResult.rows.length > 0 && historyResult.rows[0].change_log) {
-                changeLog = JSON.parse(historyResult.rows[0].change_log);
-            }
-            
-            // Adicionar nova entrada
-            const newEntry = {
-                action,
-                old_value: oldValue,
-                new_value: newValue,
-                changed_by: changedBy,
-                changed_at: new Date().toISOString()
-            };
-            
-            changeLog.push(newEntry);
-            
-            // Manter apenas os últimos 50 registros
-            if (changeLog.length > 50) {
-                changeLog = changeLog.slice(-50);
-            }
-            
-            // Atualizar histórico
-            const updateQuery = `
-                UPDATE system_configurations 
-                SET change_log = $1
-                WHERE id = $2
+
+            const result = await client.query(query, [options.environment || DEFAULT_ENVIRONMENT, asOf]);
+
+            return result.rows.map(version => this.versionToConfig(version, asOf));
+        } catch (error) {
+            logger.error('Erro ao buscar configurações por data:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    versionToConfig(version, asOf) {
+        return {
+            id: version.config_id,
+            environment: version.environment,
+            config_key: version.config_key,
+            config_value: version.config_value,
+            config_type: version.config_type,
+            config_category: version.config_category,
+            description: version.description,
+            validation_schema: version.validation_schema,
+            version: version.version,
+            updated_at: version.changed_at,
+            updated_by: version.changed_by,
+            as_of: asOf
+        };
+    }
+
+    // Candidatas a referenciar as chaves (${chave...}) no valor base ou em overrides; o filtro exato fica com o chamador
+    async getReferencingConfigs(configKeys, options = {}) {
+        const client = await this.pool.connect();
+        try {
+            const patterns = configKeys.map(key => `%\${${key.replace(/_/g, '\\_')}%`);
+
+            const query = `
+                SELECT config_key, config_value FROM system_configurations
+                WHERE environment = $1 AND active = true AND config_value::text LIKE ANY($2)
+                UNION ALL
+                SELECT config_key, config_value FROM config_overrides
+                WHERE environment = $1 AND config_value::text LIKE ANY($2)
             `;
-            
-            await client.query(updateQuery, [JSON.stringify(changeLog), configId]);
+
+            const result = await client.query(query, [options.environment || DEFAULT_ENVIRONMENT, patterns]);
+
+            return result.rows;
         } catch (error) {
-            logger.error('Erro ao adicionar ao histórico:', error);
-            // Não propagar o erro para não quebrar a operação principal
+            logger.error('Erro ao buscar configurações que referenciam chaves:', error);
+            throw error;
+        } finally {
+            client.release();
         }
     }
 
-    async getAllConfigs() {
+    // Overrides por tenant
+    async getOverride(configKey, tenantId, options = {}) {
         const client = await this.pool.connect();
         try {
             const query = `
-                SELECT * FROM system_configurations 
-                WHERE active = true
-                ORDER BY config_category, config_key
+                SELECT * FROM config_overrides
+                WHERE environment = $1 AND config_key = $2 AND tenant_id = $3
             `;
-            
-            const result = await client.query(query);
-            
-            return result.rows.map(config => {
-                config.config_value = JSON.parse(config.config_value);
-                if (config.validation_schema) {
-                    config.validation_schema = JSON.parse(config.validation_schema);
-                }
-                return config;
-            });
+
+            const result = await client.query(query, [options.environment || DEFAULT_ENVIRONMENT, configKey, tenantId]);
+
+            return result.rows[0] || null;
         } catch (error) {
-            logger.error('Erro ao buscar todas as configurações:', error);
+            logger.error('Erro ao buscar override do tenant:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Tenants com override em alguma das chaves
+    async getOverrideTenants(configKeys, options = {}) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                SELECT DISTINCT tenant_id FROM config_overrides
+                WHERE environment = $1 AND config_key = ANY($2)
+                ORDER BY tenant_id
+            `;
+
+            const result = await client.query(query, [options.environment || DEFAULT_ENVIRONMENT, configKeys]);
+
+            return result.rows.map(row => row.tenant_id);
+        } catch (error) {
+            logger.error('Erro ao buscar tenants com overrides:', error);
             throw error;
         } finally {
             client.release();
         }
     }
 
+    async getOverrides(configKey, options = {}) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                SELECT * FROM config_overrides
+                WHERE environment = $1 AND config_key = $2
+                ORDER BY tenant_id
+            `;
+
+            const result = await client.query(query, [options.environment || DEFAULT_ENVIRONMENT, configKey]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao buscar overrides:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async upsertOverride(configKey, tenantId, configValue, changedBy, options = {}) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                INSERT INTO config_overrides
+                (environment, config_key, tenant_id, config_value, created_by, updated_by)
+                VALUES ($1, $2, $3, $4, $5, $5)
+                ON CONFLICT (environment, config_key, tenant_id)
+                DO UPDATE SET config_value = EXCLUDED.config_value,
+                              updated_by = EXCLUDED.updated_by,
+                              updated_at = CURRENT_TIMESTAMP
+                RETURNING *
+            `;
+
+            const result = await client.query(query, [
+                options.environment || DEFAULT_ENVIRONMENT,
+                configKey,
+                tenantId,
+                JSON.stringify(configValue),
+                changedBy
+            ]);
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Erro ao salvar override do tenant:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async deleteOverride(configKey, tenantId, options = {}) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                DELETE FROM config_overrides
+                WHERE environment = $1 AND config_key = $2 AND tenant_id = $3
+                RETURNING *
+            `;
+
+            const result = await client.query(query, [options.environment || DEFAULT_ENVIRONMENT, configKey, tenantId]);
+
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Erro ao remover override do tenant:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Mudanças agendadas
+    async createScheduledChange(configKey, scheduleData, options = {}) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                INSERT INTO scheduled_changes
+                (environment, config_key, config_value, description, effective_from, effective_until, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING *
+            `;
+
+            const result = await client.query(query, [
+                options.environment || DEFAULT_ENVIRONMENT,
+                configKey,
+                JSON.stringify(scheduleData.config_value),
+                scheduleData.description,
+                scheduleData.effective_from,
+                scheduleData.effective_until || null,
+                scheduleData.created_by
+            ]);
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Erro ao agendar mudança:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getScheduledChanges(configKey, options = {}) {
+        const client = await this.pool.connect();
+        try {
+            const values = [options.environment || DEFAULT_ENVIRONMENT, configKey];
+            let statusCondition = '';
+
+            if (options.status) {
+                values.push(options.status);
+                statusCondition = 'AND status = $3';
+            }
+
+            const query = `
+                SELECT * FROM scheduled_changes
+                WHERE environment = $1 AND config_key = $2 ${statusCondition}
+                ORDER BY effective_from
+            `;
+
+            const result = await client.query(query, values);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao buscar mudanças agendadas:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Mudanças a aplicar (pending) ou a reverter (active) no momento atual
+    async getDueScheduledChanges() {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                SELECT * FROM scheduled_changes
+                WHERE (status = 'pending' AND effective_from <= CURRENT_TIMESTAMP)
+                   OR (status = 'active' AND effective_until <= CURRENT_TIMESTAMP)
+                ORDER BY COALESCE(effective_until, effective_from), id
+            `;
+
+            const result = await client.query(query);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao buscar mudanças agendadas pendentes:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Mudanças presas em applying/reverting há mais de staleAfterMs (a instância caiu no meio da operação)
+    async getStaleScheduledChanges(staleAfterMs) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                SELECT * FROM scheduled_changes
+                WHERE status IN ('applying', 'reverting')
+                  AND (claimed_at IS NULL OR claimed_at <= CURRENT_TIMESTAMP - $1 * INTERVAL '1 millisecond')
+                ORDER BY id
+            `;
+
+            const result = await client.query(query, [staleAfterMs]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao buscar mudanças agendadas interrompidas:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Transição de status atômica: só uma instância consegue "reservar" a mudança
+    async transitionScheduledChange(id, fromStatus, toStatus, fields = {}) {
+        return await this.transitionStatus('scheduled_changes', id, fromStatus, toStatus, fields, ['previous_value']);
+    }
+
+    // Solicitações de mudança (aprovação por uma segunda pessoa)
+    async createChangeRequest(configKey, requestData, options = {}) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                INSERT INTO change_requests
+                (environment, config_key, config_value, description, base_version, requested_by, effective_from, effective_until)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING *
+            `;
+
+            const result = await client.query(query, [
+                options.environment || DEFAULT_ENVIRONMENT,
+                configKey,
+                JSON.stringify(requestData.config_value),
+                requestData.description,
+                requestData.base_version,
+                requestData.requested_by,
+                requestData.effective_from || null,
+                requestData.effective_until || null
+            ]);
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Erro ao criar solicitação de mudança:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getChangeRequests(configKey, options = {}) {
+        const client = await this.pool.connect();
+        try {
+            const values = [options.environment || DEFAULT_ENVIRONMENT, configKey];
+            let statusCondition = '';
+
+            if (options.status) {
+                values.push(options.status);
+                statusCondition = 'AND status = $3';
+            }
+
+            const query = `
+                SELECT * FROM change_requests
+                WHERE environment = $1 AND config_key = $2 ${statusCondition}
+                ORDER BY requested_at DESC, id DESC
+            `;
+
+            const result = await client.query(query, values);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao buscar solicitações de mudança:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getChangeRequest(configKey, id, options = {}) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                SELECT * FROM change_requests
+                WHERE id = $1 AND environment = $2 AND config_key = $3
+            `;
+
+            const result = await client.query(query, [id, options.environment || DEFAULT_ENVIRONMENT, configKey]);
+
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Erro ao buscar solicitação de mudança:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async transitionChangeRequest(id, fromStatus, toStatus, fields = {}) {
+        return await this.transitionStatus('change_requests', id, fromStatus, toStatus, fields);
+    }
+
+    async addChangeRequestComment(changeRequestId, author, comment) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                INSERT INTO change_request_comments (change_request_id, author, comment)
+                VALUES ($1, $2, $3)
+                RETURNING *
+            `;
+
+            const result = await client.query(query, [changeRequestId, author, comment]);
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Erro ao comentar solicitação de mudança:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getChangeRequestComments(changeRequestId) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                SELECT * FROM change_request_comments
+                WHERE change_request_id = $1
+                ORDER BY created_at, id
+            `;
+
+            const result = await client.query(query, [changeRequestId]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao buscar comentários da solicitação de mudança:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Atualizar o status de um registro apenas se ele ainda estiver no status esperado
+    async transitionStatus(table, id, fromStatus, toStatus, fields = {}, jsonColumns = []) {
+        const client = await this.pool.connect();
+        try {
+            const columns = Object.keys(fields);
+            const assignments = columns.map((column, index) => `${column} = $${index + 4}`);
+            const values = columns.map(column => {
+                const value = fields[column];
+                return jsonColumns.includes(column) && value !== null ? JSON.stringify(value) : value;
+            });
+
+            const query = `
+                UPDATE ${table}
+                SET ${['status = $3', ...assignments].join(', ')}
+                WHERE id = $1 AND status = $2
+                RETURNING *
+            `;
+
+            const result = await client.query(query, [id, fromStatus, toStatus, ...values]);
+
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error(`Erro ao atualizar status em ${table}:`, error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Registrar uma versão completa da configuração em config_versions
+    async addToHistory(client, config, action, changedBy) {
+        const query = `
+            INSERT INTO config_versions 
+            (config_id, environment, config_key, version, action, config_value, validation_schema,
+             config_type, config_category, description, changed_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `;
+
+        await client.query(query, [
+            config.id,
+            config.environment,
+            config.config_key,
+            config.version,
+            action,
+            JSON.stringify(config.config_value),
+            config.validation_schema ? JSON.stringify(config.validation_schema) : null,
+            config.config_type,
+            config.config_category,
+            config.description,
+            changedBy
+        ]);
+    }
+
+    // Listagem com busca, filtros, ordenação e paginação por página ou cursor
+    async searchConfigs(filters = {}, options = {}) {
+        const client = await this.pool.connect();
+        try {
+            const sort = filters.sort || 'config_key';
+            const descending = sort.startsWith('-');
+            const sortField = SORT_FIELDS[sort.replace(/^-/, '')];
+            const limit = filters.limit || 100;
+            const page = filters.page || 1;
+
+            const conditions = ['s.environment = $1', 's.active = true'];
+            const values = [options.environment || DEFAULT_ENVIRONMENT];
+
+            if (filters.q) {
+                values.push(`%${filters.q}%`);
+                conditions.push(`(s.config_key ILIKE $${values.length} OR s.description ILIKE $${values.length})`);
+            }
+
+            if (filters.type) {
+                values.push(filters.type);
+                conditions.push(`s.config_type = $${values.length}`);
+            }
+
+            if (filters.category) {
+                values.push(filters.category);
+                conditions.push(`s.config_category = $${values.length}`);
+            }
+
+            if (filters.updated_since) {
+                values.push(filters.updated_since);
+                conditions.push(`s.updated_at >= $${values.length}`);
+            }
+
+            if (filters.updated_by) {
+                values.push(filters.updated_by);
+                conditions.push(`lv.updated_by = $${values.length}`);
+            }
+
+            // Com várias tags, a configuração precisa ter todas
+            if (filters.tag && filters.tag.length > 0) {
+                values.push(filters.tag);
+                conditions.push(`s.tags @> $${values.length}::text[]`);
+            }
+
+            // Autor da última alteração, a partir do histórico de versões
+            const from = `
+                FROM system_configurations s
+                LEFT JOIN LATERAL (
+                    SELECT v.changed_by AS updated_by
+                    FROM config_versions v
+                    WHERE v.environment = s.environment AND v.config_key = s.config_key
+                    ORDER BY v.version DESC
+                    LIMIT 1
+                ) lv ON true
+            `;
+
+            const countResult = await client.query(
+                `SELECT COUNT(*)::int AS total ${from} WHERE ${conditions.join(' AND ')}`,
+                values
+            );
+
+            const pageConditions = [...conditions];
+            const pageValues = [...values];
+            let offset = (page - 1) * limit;
+
+            if (filters.cursor) {
+                const cursor = decodeCursor(filters.cursor, sort);
+                pageValues.push(cursor.value, cursor.id);
+                pageConditions.push(
+                    `(${sortField.column}, s.id) ${descending ? '<' : '>'} ($${pageValues.length - 1}::${sortField.cast}, $${pageValues.length})`
+                );
+                offset = 0;
+            }
+
+            const direction = descending ? 'DESC' : 'ASC';
+            const query = `
+                SELECT s.*, lv.updated_by, ${sortField.column}::text AS sort_value
+                ${from}
+                WHERE ${pageConditions.join(' AND ')}
+                ORDER BY ${sortField.column} ${direction}, s.id ${direction}
+                LIMIT $${pageValues.length + 1} OFFSET $${pageValues.length + 2}
+            `;
+
+            // Uma linha a mais indica se existe próxima página
+            const result = await client.query(query, [...pageValues, limit + 1, offset]);
+            const rows = result.rows.slice(0, limit);
+            const total = countResult.rows[0].total;
+
+            const pagination = {
+                total,
+                limit,
+                next_cursor: result.rows.length > limit ? encodeCursor(sort, rows[rows.length - 1]) : null
+            };
+
+            if (!filters.cursor) {
+                pagination.page = page;
+                pagination.pages = Math.ceil(total / limit);
+            }
+
+            return {
+                configs: rows.map(({ sort_value, ...config }) => config),
+                pagination
+            };
+        } catch (error) {
+            logger.error('Erro ao buscar configurações:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getAllConfigs(options = {}) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                SELECT * FROM system_configurations 
+                WHERE environment = $1 AND active = true
+                ORDER BY config_category, config_key
+            `;
+            
+            const result = await client.query(query, [options.environment || DEFAULT_ENVIRONMENT]);
+            
+            return result.rows.map(config => {
+                config.config_value = JSON.parse(config.config_value);
+                if (config.validation_schema) {
+                    config.validation_schema = JSON.parse(config.validation_schema);
+                }
+                return config;
+            });
+        } catch (error) {
+            logger.error('Erro ao buscar todas as configurações:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Registro de schemas: global, os mesmos nome@versão valem em todos os ambientes
+    async getSchemas() {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                SELECT DISTINCT ON (name) *, COUNT(*) OVER (PARTITION BY name)::int AS versions
+                FROM schema_registry
+                ORDER BY name, version DESC
+            `;
+
+            const result = await client.query(query);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao buscar schemas:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Sem versão, retorna a mais recente
+    async getSchema(name, version = null) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                SELECT * FROM schema_registry
+                WHERE name = $1 AND ($2::int IS NULL OR version = $2)
+                ORDER BY version DESC
+                LIMIT 1
+            `;
+
+            const result = await client.query(query, [name, version]);
+
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Erro ao buscar schema:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getSchemaVersions(name) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT * FROM schema_registry WHERE name = $1 ORDER BY version DESC',
+                [name]
+            );
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao buscar versões do schema:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Versões são imutáveis: cada gravação cria a próxima versão do nome
+    async createSchemaVersion(name, schemaData) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                INSERT INTO schema_registry (name, version, schema, description, created_by)
+                SELECT $1::varchar, COALESCE(MAX(version), 0) + 1, $2, $3, $4
+                FROM schema_registry
+                WHERE name = $1
+                RETURNING *
+            `;
+
+            const result = await client.query(query, [
+                name,
+                JSON.stringify(schemaData.schema),
+                schemaData.description,
+                schemaData.created_by
+            ]);
+
+            return result.rows[0];
+        } catch (error) {
+            // Duas gravações simultâneas calcularam a mesma versão
+            if (error.code === '23505') {
+                throw new ConflictError(`Schema '${name}' foi alterado por outra operação`);
+            }
+            logger.error('Erro ao criar versão do schema:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async deleteSchemaVersion(name, version) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'DELETE FROM schema_registry WHERE name = $1 AND version = $2 RETURNING *',
+                [name, version]
+            );
+
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Erro ao remover versão do schema:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Candidatos a usar o schema (configurações ativas de todos os ambientes e outros schemas);
+    // o filtro exato pelas referências fica com o chamador
+    async getSchemaUsage(name) {
+        const client = await this.pool.connect();
+        try {
+            const pattern = `%"${name.replace(/_/g, '\\_')}@%`;
+
+            const configs = await client.query(`
+                SELECT * FROM system_configurations
+                WHERE active = true AND validation_schema::text LIKE $1
+                ORDER BY environment, config_key
+            `, [pattern]);
+
+            const schemas = await client.query(`
+                SELECT name, version, schema FROM schema_registry
+                WHERE schema::text LIKE $1
+                ORDER BY name, version
+            `, [pattern]);
+
+            return { configs: configs.rows, schemas: schemas.rows };
+        } catch (error) {
+            logger.error('Erro ao buscar uso do schema:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Carregar os schemas referenciados (direta e indiretamente): "nome@versão" -> schema
+    async loadSchemaRefs(schema, client = this.pool) {
+        const refs = new Map();
+        let pending = Array.from(collectSchemaRefs(schema));
+
+        while (pending.length > 0) {
+            pending.forEach(parseSchemaRef);
+
+            const result = await client.query(
+                `SELECT name, version, schema FROM schema_registry WHERE (name || '@' || version) = ANY($1)`,
+                [pending]
+            );
+
+            for (const ref of pending) {
+                const row = result.rows.find(item => `${item.name}@${item.version}` === ref);
+                if (!row) {
+                    throw new ServiceError(`Schema não encontrado: ${ref}`);
+                }
+                refs.set(ref, row.schema);
+            }
+
+            pending = Array.from(new Set(result.rows.flatMap(row => Array.from(collectSchemaRefs(row.schema)))))
+                .filter(ref => !refs.has(ref));
+        }
+
+        return refs;
+    }
+
+    // Schema com as referências substituídas, para localizar os campos "x-secret"
+    async expandSchema(schema, client = this.pool) {
+        if (!schema) {
+            return schema;
+        }
+
+        return dereferenceSchema(schema, await this.loadSchemaRefs(schema, client));
+    }
+
+    // Auditoria de revelações de valores secretos
+    async logSecretAccess(entry) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                INSERT INTO secret_access_log
+                (environment, config_key, version, tenant_id, revealed_by, reason, ip_address)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING *
+            `;
+
+            const result = await client.query(query, [
+                entry.environment || DEFAULT_ENVIRONMENT,
+                entry.config_key,
+                entry.version,
+                entry.tenant_id || null,
+                entry.revealed_by,
+                entry.reason,
+                entry.ip_address || null
+            ]);
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Erro ao registrar revelação de segredo:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getSecretAccessLog(configKey, options = {}) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                SELECT * FROM secret_access_log
+                WHERE environment = $1 AND config_key = $2
+                ORDER BY revealed_at DESC, id DESC
+            `;
+
+            const result = await client.query(query, [options.environment || DEFAULT_ENVIRONMENT, configKey]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao buscar auditoria de segredos:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Regravar, em uma transação, todos os valores com segredos (atual, histórico, overrides, agendamentos e
+    // solicitações) aplicando `transform`; versões e datas não mudam, pois o conteúdo decifrado é o mesmo
+    async reencryptSecrets(transform) {
+        const columns = [
+            ['system_configurations', 'config_value'],
+            ['config_versions', 'config_value'],
+            ['config_overrides', 'config_value'],
+            ['scheduled_changes', 'config_value'],
+            ['scheduled_changes', 'previous_value'],
+            ['change_requests', 'config_value']
+        ];
+
+        try {
+            return await this.withTransaction(async (client) => {
+                const updated = {};
+
+                for (const [table, column] of columns) {
+                    const result = await client.query(
+                        `SELECT id, ${column} AS value FROM ${table} WHERE ${column}::text LIKE '%"$secret"%' FOR UPDATE`
+                    );
+
+                    let count = 0;
+                    for (const row of result.rows) {
+                        const value = transform(row.value);
+                        if (JSON.stringify(value) !== JSON.stringify(row.value)) {
+                            await client.query(`UPDATE ${table} SET ${column} = $1 WHERE id = $2`, [JSON.stringify(value), row.id]);
+                            count++;
+                        }
+                    }
+
+                    updated[`${table}.${column}`] = count;
+                }
+
+                return updated;
+            });
+        } catch (error) {
+            logger.error('Erro ao recifrar segredos:', error);
+            throw error;
+        }
+    }
+
     async close() {
         await this.pool.end();
     }
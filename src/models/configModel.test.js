@@ -0,0 +1,318 @@
+jest.mock('pg');
+jest.mock('../utils/logger');
+
+const ConfigModel = require('./configModel');
+
+// Linhas como o model as recebe: colunas JSON em texto (o model faz o parse)
+const storedRow = (overrides = {}) => ({
+    id: 7,
+    environment: 'prod',
+    config_key: 'system_settings',
+    config_value: JSON.stringify({ api_timeout: 30000 }),
+    config_type: 'system',
+    config_category: 'performance',
+    description: 'Configurações gerais do sistema',
+    validation_schema: null,
+    is_secret: false,
+    version: 3,
+    active: true,
+    ...overrides
+});
+
+// Client do pg simulado: cada consulta é registrada e respondida pelo primeiro handler cujo padrão casa com o SQL
+const createModel = (handlers = []) => {
+    const queries = [];
+    const client = {
+        query: jest.fn(async (sql, values = []) => {
+            queries.push({ sql: sql.replace(/\s+/g, ' ').trim(), values });
+            const handler = handlers.find(([pattern]) => pattern.test(sql));
+            return handler ? handler[1](values) : { rows: [], rowCount: 0 };
+        }),
+        release: jest.fn()
+    };
+
+    const model = new ConfigModel();
+    model.pool = { connect: jest.fn(async () => client), query: client.query };
+
+    return { model, client, queries, statements: () => queries.map(query => query.sql.split(' ')[0]) };
+};
+
+const updatedRow = (row, configValue) => ({
+    ...row,
+    config_value: JSON.stringify(configValue),
+    version: row.version + 1
+});
+
+describe('ConfigModel: histórico de versões', () => {
+    it('cada atualização grava a nova versão completa em config_versions, na mesma transação', async () => {
+        const current = storedRow();
+        const { model, queries, statements } = createModel([
+            [/^\s*SELECT \* FROM system_configurations/, () => ({ rows: [current] })],
+            [/UPDATE system_configurations/, () => ({ rows: [updatedRow(current, { api_timeout: 5000 })] })]
+        ]);
+
+        const config = await model.updateConfig('system_settings', {
+            config_value: { api_timeout: 5000 },
+            description: 'Timeout menor',
+            updated_by: 'maria'
+        }, { environment: 'prod' });
+
+        expect(config).toMatchObject({ version: 4, config_value: { api_timeout: 5000 } });
+        expect(statements()).toEqual(['BEGIN', 'SELECT', 'UPDATE', 'INSERT', 'COMMIT']);
+
+        // config_id, environment, config_key, version, action ... changed_by
+        const history = queries.find(query => query.sql.startsWith('INSERT INTO config_versions'));
+        expect(history.values.slice(0, 5)).toEqual([7, 'prod', 'system_settings', 4, 'UPDATE']);
+        expect(history.values[10]).toBe('maria');
+    });
+
+    it('o histórico nunca é podado: nenhuma escrita remove versões antigas', async () => {
+        const current = storedRow({ version: 250 });
+        const { model, queries } = createModel([
+            [/^\s*SELECT \* FROM system_configurations/, () => ({ rows: [{ ...current }] })],
+            [/UPDATE system_configurations/, () => ({ rows: [updatedRow(current, { api_timeout: 1000 })] })]
+        ]);
+
+        await model.updateConfig('system_settings', { config_value: { api_timeout: 1000 }, updated_by: 'maria' });
+        await model.deleteConfig('system_settings', 'maria');
+
+        expect(queries.filter(query => /DELETE FROM config_versions/.test(query.sql))).toEqual([]);
+        expect(queries.filter(query => query.sql.startsWith('INSERT INTO config_versions')).map(query => query.values[4]))
+            .toEqual(['UPDATE', 'DELETE']);
+    });
+
+    it('pagina o histórico por versão, com os filtros de autor e período', async () => {
+        const { model, queries } = createModel([
+            [/COUNT\(\*\)/, () => ({ rows: [{ total: 120 }] })],
+            [/FROM config_versions/, () => ({ rows: [{ version: 70 }] })]
+        ]);
+
+        const history = await model.getConfigHistory('system_settings', {
+            environment: 'staging',
+            page: 2,
+            limit: 50,
+            changed_by: 'maria',
+            from: '2024-01-01T00:00:00Z'
+        });
+
+        expect(history.pagination).toEqual({ page: 2, limit: 50, total: 120, pages: 3 });
+        expect(queries[1].sql).toContain('changed_by = $3 AND changed_at >= $4');
+        expect(queries[1].sql).toContain('ORDER BY version DESC LIMIT $5 OFFSET $6');
+        expect(queries[1].values).toEqual(['staging', 'system_settings', 'maria', '2024-01-01T00:00:00Z', 50, 50]);
+    });
+});
+
+describe('ConfigModel: leituras em uma data', () => {
+    const versionRow = (overrides = {}) => ({
+        id: 40,
+        config_id: 7,
+        environment: 'prod',
+        config_key: 'system_settings',
+        version: 2,
+        action: 'UPDATE',
+        config_value: { api_timeout: 20000 },
+        config_type: 'system',
+        config_category: 'performance',
+        description: 'Configurações gerais do sistema',
+        validation_schema: null,
+        changed_by: 'maria',
+        changed_at: '2024-03-01T12:00:00Z',
+        ...overrides
+    });
+
+    it('devolve a última versão até a data, no formato de uma configuração', async () => {
+        const { model, queries } = createModel([[/FROM config_versions/, () => ({ rows: [versionRow()] })]]);
+
+        const config = await model.getConfigAsOf('system_settings', '2024-03-02T00:00:00Z', { environment: 'prod' });
+
+        expect(queries[0].sql).toContain('changed_at <= $3 ORDER BY version DESC LIMIT 1');
+        expect(config).toEqual({
+            id: 7,
+            environment: 'prod',
+            config_key: 'system_settings',
+            config_value: { api_timeout: 20000 },
+            config_type: 'system',
+            config_category: 'performance',
+            description: 'Configurações gerais do sistema',
+            validation_schema: null,
+            version: 2,
+            updated_at: '2024-03-01T12:00:00Z',
+            updated_by: 'maria',
+            as_of: '2024-03-02T00:00:00Z'
+        });
+    });
+
+    it('chaves deletadas (ou ainda não criadas) naquela data não existem', async () => {
+        const deleted = createModel([[/FROM config_versions/, () => ({ rows: [versionRow({ action: 'DELETE' })] })]]);
+        const missing = createModel();
+
+        await expect(deleted.model.getConfigAsOf('system_settings', '2024-03-02T00:00:00Z')).resolves.toBeNull();
+        await expect(missing.model.getConfigAsOf('system_settings', '2020-01-01T00:00:00Z')).resolves.toBeNull();
+    });
+
+    it('o conjunto completo usa a última versão de cada chave e omite as deletadas', async () => {
+        const { model, queries } = createModel([[/FROM config_versions/, () => ({ rows: [versionRow()] })]]);
+
+        const configs = await model.getAllConfigsAsOf('2024-03-02T00:00:00Z', { environment: 'staging' });
+
+        expect(queries[0].sql).toContain('SELECT DISTINCT ON (config_key) *');
+        expect(queries[0].sql).toContain("WHERE action <> 'DELETE'");
+        expect(queries[0].values).toEqual(['staging', '2024-03-02T00:00:00Z']);
+        expect(configs).toEqual([expect.objectContaining({ config_key: 'system_settings', version: 2, as_of: '2024-03-02T00:00:00Z' })]);
+    });
+});
+
+describe('ConfigModel: lotes', () => {
+    it('uma operação com falha desfaz as anteriores (ROLLBACK, sem COMMIT)', async () => {
+        const current = storedRow();
+        const { model, statements } = createModel([
+            [/^\s*SELECT \* FROM system_configurations/, values => ({ rows: values[1] === 'system_settings' ? [{ ...current }] : [] })],
+            [/UPDATE system_configurations/, () => ({ rows: [updatedRow(current, { api_timeout: 5000 })] })]
+        ]);
+
+        await expect(model.applyBatch([
+            { op: 'update', config_key: 'system_settings', config_value: { api_timeout: 5000 } },
+            { op: 'delete', config_key: 'mlm_settings' }
+        ], 'maria')).rejects.toMatchObject({ statusCode: 404 });
+
+        expect(statements()).toEqual(['BEGIN', 'SELECT', 'UPDATE', 'INSERT', 'SELECT', 'ROLLBACK']);
+    });
+
+    it('aplica todas as operações em uma transação, com a versão esperada de cada uma', async () => {
+        const current = storedRow();
+        const { model, queries, statements } = createModel([
+            [/^\s*SELECT \* FROM system_configurations/, () => ({ rows: [{ ...current }] })],
+            [/UPDATE system_configurations/, () => ({ rows: [updatedRow(current, { api_timeout: 5000 })] })]
+        ]);
+
+        const results = await model.applyBatch([
+            { op: 'update', config_key: 'system_settings', config_value: { api_timeout: 5000 }, expected_version: 3 }
+        ], 'maria', { environment: 'staging' });
+
+        expect(results).toEqual([{ op: 'update', config: expect.objectContaining({ version: 4 }) }]);
+        expect(statements()).toEqual(['BEGIN', 'SELECT', 'UPDATE', 'INSERT', 'COMMIT']);
+        expect(queries[2].values.slice(3, 6)).toEqual(['staging', 'system_settings', 3]);
+    });
+});
+
+describe('ConfigModel: configurações deletadas', () => {
+    it('restaurar reativa a linha como nova versão, registrada como RESTORE', async () => {
+        const { model, queries } = createModel([
+            [/SET active = true/, () => ({ rows: [storedRow({ version: 5 })] })]
+        ]);
+
+        const config = await model.restoreConfig('system_settings', 'maria', { environment: 'prod' });
+
+        expect(config.version).toBe(5);
+        expect(queries[1].sql).toContain('AND active = false');
+        expect(queries.find(query => query.sql.startsWith('INSERT INTO config_versions')).values.slice(3, 5)).toEqual([5, 'RESTORE']);
+    });
+
+    it('restaurar ou remover uma chave que não está deletada é 404', async () => {
+        const { model, statements } = createModel();
+
+        await expect(model.restoreConfig('system_settings', 'maria')).rejects.toMatchObject({ statusCode: 404 });
+        await expect(model.purgeConfig('system_settings')).rejects.toMatchObject({ statusCode: 404 });
+        expect(statements().filter(statement => statement === 'ROLLBACK')).toHaveLength(2);
+    });
+
+    it('recriar uma chave deletada reaproveita a linha e continua a numeração de versões', async () => {
+        const { model, queries } = createModel([
+            [/INSERT INTO system_configurations/, () => ({ rows: [storedRow({ version: 6 })] })]
+        ]);
+
+        await model.createConfig({
+            config_key: 'system_settings',
+            config_value: { api_timeout: 30000 },
+            config_type: 'system',
+            config_category: 'performance',
+            created_by: 'maria'
+        });
+
+        expect(queries[1].sql).toContain('version = system_configurations.version + 1');
+        expect(queries[1].sql).toContain('WHERE system_configurations.active = false');
+        expect(queries.find(query => query.sql.startsWith('INSERT INTO config_versions')).values.slice(3, 5)).toEqual([6, 'CREATE']);
+    });
+
+    it('criar sobre uma chave ativa é 409', async () => {
+        const { model } = createModel();
+
+        await expect(model.createConfig({ config_key: 'system_settings', config_value: {} })).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('o purge remove a linha, o histórico e os overrides da chave', async () => {
+        const { model, queries } = createModel([
+            [/DELETE FROM system_configurations/, () => ({ rows: [storedRow({ active: false })], rowCount: 1 })],
+            [/DELETE FROM config_versions/, () => ({ rows: [], rowCount: 6 })],
+            [/DELETE FROM config_overrides/, () => ({ rows: [], rowCount: 2 })]
+        ]);
+
+        const result = await model.purgeConfig('system_settings', { environment: 'staging' });
+
+        expect(result).toMatchObject({ purged_versions: 6, purged_overrides: 2 });
+        expect(queries[1].sql).toContain('AND active = false');
+        expect(queries.slice(1, 4).map(query => query.values)).toEqual([
+            ['staging', 'system_settings'],
+            ['staging', 'system_settings'],
+            ['staging', 'system_settings']
+        ]);
+    });
+});
+
+describe('ConfigModel: listagem com busca, filtros e paginação', () => {
+    const listedRow = (id, configKey) => ({ ...storedRow({ id, config_key: configKey }), updated_by: 'maria', sort_value: configKey });
+
+    const createListModel = (rows, total = rows.length) => createModel([
+        [/COUNT\(\*\)/, () => ({ rows: [{ total }] })],
+        [/SELECT s\.\*/, () => ({ rows })]
+    ]);
+
+    it('combina busca, filtros e tags como parâmetros da consulta', async () => {
+        const { model, queries } = createListModel([]);
+
+        await model.searchConfigs({
+            q: 'timeout',
+            type: 'system',
+            category: 'performance',
+            updated_by: 'maria',
+            tag: ['critico', 'pagamentos'],
+            sort: '-updated_at',
+            limit: 20
+        }, { environment: 'staging' });
+
+        const [count, page] = queries;
+        expect(count.sql).toContain('(s.config_key ILIKE $2 OR s.description ILIKE $2) AND s.config_type = $3 AND s.config_category = $4');
+        expect(count.sql).toContain('lv.updated_by = $5 AND s.tags @> $6::text[]');
+        expect(count.values).toEqual(['staging', '%timeout%', 'system', 'performance', 'maria', ['critico', 'pagamentos']]);
+        expect(page.sql).toContain('ORDER BY s.updated_at DESC, s.id DESC LIMIT $7 OFFSET $8');
+        expect(page.values.slice(-2)).toEqual([21, 0]);
+    });
+
+    it('com uma linha além do limite, devolve o cursor da próxima página, que continua depois da última chave', async () => {
+        const first = createListModel([listedRow(1, 'a_key'), listedRow(2, 'b_key'), listedRow(3, 'c_key')], 3);
+
+        const { configs, pagination } = await first.model.searchConfigs({ limit: 2 });
+
+        expect(configs.map(config => config.config_key)).toEqual(['a_key', 'b_key']);
+        expect(configs[0]).not.toHaveProperty('sort_value');
+        expect(pagination).toMatchObject({ total: 3, limit: 2, page: 1, pages: 2, next_cursor: expect.any(String) });
+
+        const next = createListModel([listedRow(3, 'c_key')], 3);
+        const result = await next.model.searchConfigs({ limit: 2, cursor: pagination.next_cursor });
+
+        expect(next.queries[1].sql).toContain('(s.config_key, s.id) > ($2::text, $3)');
+        expect(next.queries[1].values).toEqual(['prod', 'b_key', 2, 3, 0]);
+        expect(result.pagination).toEqual({ total: 3, limit: 2, next_cursor: null });
+    });
+
+    it('um cursor de outra ordenação é rejeitado', async () => {
+        const first = createListModel([listedRow(1, 'a_key'), listedRow(2, 'b_key')]);
+        const { pagination } = await first.model.searchConfigs({ limit: 1 });
+
+        const { model } = createListModel([]);
+
+        await expect(model.searchConfigs({ limit: 1, sort: '-config_key', cursor: pagination.next_cursor }))
+            .rejects.toMatchObject({ statusCode: 400, message: 'Cursor inválido para esta ordenação' });
+        await expect(model.searchConfigs({ cursor: 'nao-e-um-cursor' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
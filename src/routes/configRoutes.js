@@ -1,118 +1,409 @@
 const express = require('express');
 const ConfigController = require('../controllers/configController');
-const { validate, schemas, authenticate, rateLimits, validateParams } = require('../middleware/validation');
-
-const router = express.Router();
-const configController = new ConfigController();
-
-// Aplicar rate limiting geral
-router.use(rateLimits.general);
-
-// Health check (sem autenticação)
-router.get('/health', configController.healthCheck.bind(configController));
-
-// Aplicar autenticação para todas as rotas abaixo
-router.use(authenticate);
-
-// Rotas de configurações gerais
-router.get('/configs', 
-    rateLimits.read,
-    configController.getAllConfigs.bind(configController)
-);
-
-router.post('/configs', 
-    rateLimits.write,
-    validate(schemas.createConfig),
-    configController.createConfig.bind(configController)
-);
-
-// Rotas para configuração específica
-router.get('/config/:key', 
-    rateLimits.read,
-    validateParams.configKey,
-    configController.getConfig.bind(configController)
-);
-
-router.get('/config/:key/value', 
-    rateLimits.read,
-    validateParams.configKey,
-    configController.getConfigValue.bind(configController)
-);
-
-router.put('/config/:key', 
-    rateLimits.write,
-    validateParams.configKey,
-    validate(schemas.updateConfig),
-    configController.updateConfig.bind(configController)
-);
-
-router.delete('/config/:key', 
-    rateLimits.write,
-    validateParams.configKey,
-    configController.deleteConfig.bind(configController)
-);
-
-router.get('/config/:key/history', 
-    rateLimits.read,
-    validateParams.configKey,
-    configController.getConfigHistory.bind(configController)
-);
-
-// Rotas por categoria
-router.get('/configs/category/:category', 
-    rateLimits.read,
-    validateParams.category,
-    configController.getConfigsByCategory.bind(configController)
-);
-
-// Rotas por tipo
-router.get('/configs/type/:type', 
-    rateLimits.read,
-    validateParams.type,
-    configController.getConfigsByType.bind(configController)
-);
-
-// Validação de configuração
-router.post('/config/validate', 
-    rateLimits.read,
-    validate(schemas.validateConfig),
-    configController.validateConfig.bind(configController)
-);
-
-// Cache management
-router.delete('/cache/:key?', 
-    rateLimits.write,
-    configController.clearCache.bind(configController)
-);
-
-// Rotas específicas para configurações CPA
-router.get('/cpa/level-amounts', 
-    rateLimits.read,
-    configController.getCpaLevelAmounts.bind(configController)
-);
-
-router.get('/cpa/validation-rules', 
-    rateLimits.read,
-    configController.getCpaValidationRules.bind(configController)
-);
-
-// Rotas específicas para configurações do sistema
-router.get('/system/settings', 
-    rateLimits.read,
-    configController.getSystemSettings.bind(configController)
-);
-
-// Rotas específicas para configurações MLM
-router.get('/mlm/settings', 
-    rateLimits.read,
-    configController.getMlmSettings.bind(configController)
-);
-
-// Rotas específicas para configurações de APIs externas
-router.get('/external-apis/settings', 
-    rateLimits.read,
-    configController.getExternalApisSettings.bind(configController)
-);
-
-module.exports = router;
+const {
+    validate,
+    parseYamlBody,
+    validateQuery,
+    schemas,
+    authenticate,
+    authorize,
+    requireUserToken,
+    maskSecretResponses,
+    resolveEnvironment,
+    resolveTenant,
+    rateLimits,
+    validateParams
+} = require('../middleware/validation');
 
+// Rotas recebem a instância compartilhada do ConfigService (a mesma ligada ao notificador WebSocket)
+const createConfigRoutes = (configService) => {
+    // mergeParams: o router também é montado em /env/:environment
+    const router = express.Router({ mergeParams: true });
+    const configController = new ConfigController(configService);
+
+    // Aplicar rate limiting geral
+    router.use(rateLimits.general);
+
+    // Health check (sem autenticação)
+    router.get('/health', configController.healthCheck.bind(configController));
+
+    // Aplicar autenticação para todas as rotas abaixo
+    router.use(authenticate);
+
+    // Valores secretos saem mascarados em todas as respostas abaixo
+    router.use(maskSecretResponses);
+
+    // Todas as rotas abaixo operam sobre um ambiente (dev, staging, prod...)
+    router.use(resolveEnvironment);
+
+    // Leituras podem ser resolvidas para um tenant (X-Tenant-Id ou ?tenant=)
+    router.use(resolveTenant);
+
+    // Rotas de configurações gerais
+    router.get('/configs', 
+        rateLimits.read,
+        validateQuery(schemas.listConfigsQuery),
+        configController.getAllConfigs.bind(configController)
+    );
+
+    router.post('/configs', 
+        rateLimits.write,
+        validate(schemas.createConfig),
+        configController.createConfig.bind(configController)
+    );
+
+    // Configurações deletadas (soft delete)
+    router.get('/configs/deleted', 
+        rateLimits.read,
+        configController.getDeletedConfigs.bind(configController)
+    );
+
+    // Rotas para configuração específica
+    router.get('/config/:key', 
+        rateLimits.read,
+        validateParams.configKey,
+        validateQuery(schemas.asOfQuery),
+        configController.getConfig.bind(configController)
+    );
+
+    router.get('/config/:key/value', 
+        rateLimits.read,
+        validateParams.configKey,
+        configController.getConfigValue.bind(configController)
+    );
+
+    router.put('/config/:key', 
+        rateLimits.write,
+        validateParams.configKey,
+        validate(schemas.updateConfig),
+        configController.updateConfig.bind(configController)
+    );
+
+    router.patch('/config/:key', 
+        rateLimits.write,
+        validateParams.configKey,
+        configController.patchConfig.bind(configController)
+    );
+
+    router.delete('/config/:key', 
+        rateLimits.write,
+        validateParams.configKey,
+        configController.deleteConfig.bind(configController)
+    );
+
+    router.get('/config/:key/history', 
+        rateLimits.read,
+        validateParams.configKey,
+        validateQuery(schemas.historyQuery),
+        configController.getConfigHistory.bind(configController)
+    );
+
+    router.get('/config/:key/diff', 
+        rateLimits.read,
+        validateParams.configKey,
+        validateQuery(schemas.diffQuery),
+        configController.getConfigDiff.bind(configController)
+    );
+
+    router.post('/config/:key/restore', 
+        rateLimits.write,
+        validateParams.configKey,
+        configController.restoreConfig.bind(configController)
+    );
+
+    router.delete('/config/:key/purge', 
+        rateLimits.write,
+        authorize('admin'),
+        validateParams.configKey,
+        configController.purgeConfig.bind(configController)
+    );
+
+    // Compatibilidade de um novo validation_schema com o atual
+    router.post('/config/:key/schema/check', 
+        rateLimits.read,
+        validateParams.configKey,
+        validate(schemas.checkSchema),
+        configController.checkConfigSchema.bind(configController)
+    );
+
+    // Segredos: revelação explícita e auditada
+    router.post('/config/:key/reveal', 
+        rateLimits.write,
+        authorize('admin'),
+        validateParams.configKey,
+        validate(schemas.revealSecret),
+        configController.revealConfigSecret.bind(configController)
+    );
+
+    router.get('/config/:key/reveals', 
+        rateLimits.read,
+        authorize('admin'),
+        validateParams.configKey,
+        configController.getSecretAccessLog.bind(configController)
+    );
+
+    // Overrides por tenant
+    router.get('/config/:key/overrides', 
+        rateLimits.read,
+        validateParams.configKey,
+        configController.getTenantOverrides.bind(configController)
+    );
+
+    router.put('/config/:key/overrides/:tenant', 
+        rateLimits.write,
+        validateParams.configKey,
+        validateParams.tenant,
+        validate(schemas.tenantOverride),
+        configController.setTenantOverride.bind(configController)
+    );
+
+    router.delete('/config/:key/overrides/:tenant', 
+        rateLimits.write,
+        validateParams.configKey,
+        validateParams.tenant,
+        configController.deleteTenantOverride.bind(configController)
+    );
+
+    router.post('/config/:key/rollback', 
+        rateLimits.write,
+        validateParams.configKey,
+        validate(schemas.rollbackConfig),
+        configController.rollbackConfig.bind(configController)
+    );
+
+    // Mudanças agendadas
+    router.post('/config/:key/schedule', 
+        rateLimits.write,
+        validateParams.configKey,
+        validate(schemas.scheduleChange),
+        configController.scheduleConfigChange.bind(configController)
+    );
+
+    router.get('/config/:key/schedule', 
+        rateLimits.read,
+        validateParams.configKey,
+        validateQuery(schemas.scheduleQuery),
+        configController.getScheduledChanges.bind(configController)
+    );
+
+    router.delete('/config/:key/schedule/:id', 
+        rateLimits.write,
+        validateParams.configKey,
+        validateParams.id,
+        configController.cancelScheduledChange.bind(configController)
+    );
+
+    // Solicitações de mudança (aprovação por uma segunda pessoa)
+    router.post('/config/:key/change-requests', 
+        rateLimits.write,
+        requireUserToken,
+        validateParams.configKey,
+        validate(schemas.changeRequest),
+        configController.createChangeRequest.bind(configController)
+    );
+
+    router.get('/config/:key/change-requests', 
+        rateLimits.read,
+        validateParams.configKey,
+        validateQuery(schemas.changeRequestQuery),
+        configController.getChangeRequests.bind(configController)
+    );
+
+    router.get('/config/:key/change-requests/:id', 
+        rateLimits.read,
+        validateParams.configKey,
+        validateParams.id,
+        configController.getChangeRequest.bind(configController)
+    );
+
+    router.post('/config/:key/change-requests/:id/approve', 
+        rateLimits.write,
+        requireUserToken,
+        validateParams.configKey,
+        validateParams.id,
+        validate(schemas.reviewChangeRequest),
+        configController.approveChangeRequest.bind(configController)
+    );
+
+    router.post('/config/:key/change-requests/:id/reject', 
+        rateLimits.write,
+        requireUserToken,
+        validateParams.configKey,
+        validateParams.id,
+        validate(schemas.reviewChangeRequest),
+        configController.rejectChangeRequest.bind(configController)
+    );
+
+    router.post('/config/:key/change-requests/:id/comments', 
+        rateLimits.write,
+        requireUserToken,
+        validateParams.configKey,
+        validateParams.id,
+        validate(schemas.changeRequestComment),
+        configController.addChangeRequestComment.bind(configController)
+    );
+
+    // Lote atômico de operações
+    router.post('/configs/batch', 
+        rateLimits.write,
+        validate(schemas.batchConfigs),
+        configController.applyBatch.bind(configController)
+    );
+
+    // Exportação/importação de pacotes
+    router.get('/configs/export', 
+        rateLimits.read,
+        validateQuery(schemas.exportQuery),
+        configController.exportConfigs.bind(configController)
+    );
+
+    router.post('/configs/import', 
+        rateLimits.write,
+        validateQuery(schemas.importQuery),
+        parseYamlBody,
+        validate(schemas.importBundle),
+        configController.importConfigs.bind(configController)
+    );
+
+    // Rotação da chave mestra dos segredos
+    router.post('/configs/secrets/rotate', 
+        rateLimits.write,
+        authorize('admin'),
+        configController.rotateSecrets.bind(configController)
+    );
+
+    // Reconciliação com o estado desejado versionado
+    router.post('/configs/reconcile', 
+        rateLimits.write,
+        authorize('admin'),
+        validate(schemas.reconcileConfigs),
+        configController.reconcileConfigs.bind(configController)
+    );
+
+    // Promoção entre ambientes
+    router.post('/configs/promote', 
+        rateLimits.write,
+        validate(schemas.promoteConfigs),
+        configController.promoteConfigs.bind(configController)
+    );
+
+    // Rotas por categoria
+    router.get('/configs/category/:category', 
+        rateLimits.read,
+        validateParams.category,
+        configController.getConfigsByCategory.bind(configController)
+    );
+
+    // Rotas por tipo
+    router.get('/configs/type/:type', 
+        rateLimits.read,
+        validateParams.type,
+        configController.getConfigsByType.bind(configController)
+    );
+
+    // Restrições de negócio entre configurações
+    router.get('/constraints', 
+        rateLimits.read,
+        configController.getConstraints.bind(configController)
+    );
+
+    // Registro de schemas versionados (compartilhados entre ambientes)
+    router.get('/schemas', 
+        rateLimits.read,
+        configController.getSchemas.bind(configController)
+    );
+
+    router.post('/schemas', 
+        rateLimits.write,
+        authorize('admin'),
+        validate(schemas.createSchema),
+        configController.createSchema.bind(configController)
+    );
+
+    router.get('/schemas/:name', 
+        rateLimits.read,
+        validateParams.schemaName,
+        configController.getSchema.bind(configController)
+    );
+
+    router.put('/schemas/:name', 
+        rateLimits.write,
+        authorize('admin'),
+        validateParams.schemaName,
+        validate(schemas.updateSchema),
+        configController.updateSchema.bind(configController)
+    );
+
+    router.get('/schemas/:name/versions/:version', 
+        rateLimits.read,
+        validateParams.schemaName,
+        validateParams.version,
+        configController.getSchemaVersion.bind(configController)
+    );
+
+    router.delete('/schemas/:name/versions/:version', 
+        rateLimits.write,
+        authorize('admin'),
+        validateParams.schemaName,
+        validateParams.version,
+        configController.deleteSchemaVersion.bind(configController)
+    );
+
+    // Validação de configuração
+    router.post('/config/validate', 
+        rateLimits.read,
+        validate(schemas.validateConfig),
+        configController.validateConfig.bind(configController)
+    );
+
+    // Cache management
+    router.delete('/cache/:key?', 
+        rateLimits.write,
+        configController.clearCache.bind(configController)
+    );
+
+    // Rotas específicas para configurações CPA
+    router.get('/cpa/level-amounts', 
+        rateLimits.read,
+        configController.getCpaLevelAmounts.bind(configController)
+    );
+
+    router.get('/cpa/validation-rules', 
+        rateLimits.read,
+        configController.getCpaValidationRules.bind(configController)
+    );
+
+    router.post('/cpa/evaluate', 
+        rateLimits.read,
+        validate(schemas.evaluateCpa),
+        configController.evaluateCpa.bind(configController)
+    );
+
+    router.post('/cpa/simulate', 
+        rateLimits.read,
+        validate(schemas.simulateCpa),
+        configController.simulateCpa.bind(configController)
+    );
+
+    // Rotas específicas para configurações do sistema
+    router.get('/system/settings', 
+        rateLimits.read,
+        configController.getSystemSettings.bind(configController)
+    );
+
+    // Rotas específicas para configurações MLM
+    router.get('/mlm/settings', 
+        rateLimits.read,
+        configController.getMlmSettings.bind(configController)
+    );
+
+    // Rotas específicas para configurações de APIs externas
+    router.get('/external-apis/settings', 
+        rateLimits.read,
+        configController.getExternalApisSettings.bind(configController)
+    );
+
+    return router;
+};
+
+module.exports = createConfigRoutes;
@@ -0,0 +1,308 @@
+jest.mock('../models/configModel');
+jest.mock('../utils/logger');
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const createConfigRoutes = require('./configRoutes');
+const ConfigService = require('../services/configService');
+
+process.env.API_KEY_SECRET = 'chave-de-teste';
+process.env.JWT_SECRET = 'segredo-de-teste';
+
+const bearer = (claims, secret = 'segredo-de-teste') => `Bearer ${jwt.sign(claims, secret)}`;
+
+const baseConfig = {
+    id: 1,
+    environment: 'staging',
+    config_key: 'system_settings',
+    config_value: { api_timeout: 30000, maintenance_mode: false },
+    config_type: 'system',
+    validation_schema: {
+        type: 'object',
+        properties: { api_timeout: { type: 'integer', minimum: 1000 }, maintenance_mode: { type: 'boolean' } }
+    },
+    version: 4,
+    tags: []
+};
+
+// Rotas reais sobre o ConfigService, com o model simulado
+const createApp = (config = baseConfig) => {
+    const service = new ConfigService();
+    service.configModel = {
+        getConfig: jest.fn(async () => config),
+        getOverride: jest.fn(async () => null),
+        loadSchemaRefs: jest.fn(async () => new Map()),
+        expandSchema: jest.fn(async schema => schema),
+        upsertOverride: jest.fn(async (configKey, tenantId, configValue, changedBy, options) => ({
+            environment: options.environment,
+            config_key: configKey,
+            tenant_id: tenantId,
+            config_value: configValue,
+            updated_by: changedBy
+        }))
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1/env/:environment', createConfigRoutes(service));
+    app.use('/api/v1', createConfigRoutes(service));
+
+    return { app, service };
+};
+
+describe('PUT /config/:key/overrides/:tenant', () => {
+    it('grava o valor enviado para o tenant, no ambiente da rota', async () => {
+        const { app, service } = createApp();
+
+        const response = await request(app)
+            .put('/api/v1/env/staging/config/system_settings/overrides/brand_a')
+            .set('X-API-Key', 'chave-de-teste')
+            .send({ config_value: { api_timeout: 5000, maintenance_mode: true } });
+
+        expect(response.status).toBe(200);
+        expect(service.configModel.upsertOverride).toHaveBeenCalledWith(
+            'system_settings',
+            'brand_a',
+            { api_timeout: 5000, maintenance_mode: true },
+            'api_user',
+            expect.objectContaining({ environment: 'staging', enforceApproval: true })
+        );
+        expect(response.body.data).toMatchObject({
+            environment: 'staging',
+            tenant_id: 'brand_a',
+            config_value: { api_timeout: 5000, maintenance_mode: true }
+        });
+    });
+
+    it('valida o override contra o schema da configuração base', async () => {
+        const { app, service } = createApp();
+
+        const response = await request(app)
+            .put('/api/v1/config/system_settings/overrides/brand_a')
+            .set('X-API-Key', 'chave-de-teste')
+            .send({ config_value: { api_timeout: 10 } });
+
+        expect(response.status).toBe(400);
+        expect(response.body.errors).toEqual([expect.objectContaining({ field: 'api_timeout' })]);
+        expect(service.configModel.upsertOverride).not.toHaveBeenCalled();
+    });
+
+    it('exige aprovação para tipos sensíveis', async () => {
+        const { app, service } = createApp({ ...baseConfig, config_type: 'cpa' });
+
+        const response = await request(app)
+            .put('/api/v1/config/system_settings/overrides/brand_a')
+            .set('X-API-Key', 'chave-de-teste')
+            .send({ config_value: { api_timeout: 5000 } });
+
+        expect(response.status).toBe(403);
+        expect(service.configModel.upsertOverride).not.toHaveBeenCalled();
+    });
+});
+
+describe('ambientes', () => {
+    it('lê a configuração do ambiente da rota e informa o ambiente na resposta', async () => {
+        const { app, service } = createApp();
+
+        const response = await request(app)
+            .get('/api/v1/env/staging/config/system_settings')
+            .set('X-API-Key', 'chave-de-teste');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['x-config-environment']).toBe('staging');
+        expect(service.configModel.getConfig).toHaveBeenCalledWith('system_settings', expect.objectContaining({ environment: 'staging' }));
+    });
+
+    it('rejeita ambientes desconhecidos', async () => {
+        const { app } = createApp();
+
+        const response = await request(app)
+            .get('/api/v1/env/qa/config/system_settings')
+            .set('X-API-Key', 'chave-de-teste');
+
+        expect(response.status).toBe(400);
+        expect(response.body.validEnvironments).toEqual(['dev', 'staging', 'prod']);
+    });
+});
+
+describe('concorrência otimista (ETag / If-Match)', () => {
+    const createVersionedApp = () => {
+        const { app, service } = createApp();
+        service.configModel.updateConfig = jest.fn(async (configKey, updateData) => ({
+            ...baseConfig,
+            config_value: updateData.config_value,
+            version: baseConfig.version + 1
+        }));
+        return { app, service };
+    };
+
+    const update = (app, ifMatch) => request(app)
+        .put('/api/v1/config/system_settings')
+        .set('X-API-Key', 'chave-de-teste')
+        .set('If-Match', ifMatch)
+        .send({ config_value: { api_timeout: 5000, maintenance_mode: false } });
+
+    it('GET devolve a versão como ETag', async () => {
+        const { app } = createVersionedApp();
+
+        const response = await request(app).get('/api/v1/config/system_settings').set('X-API-Key', 'chave-de-teste');
+
+        expect(response.headers.etag).toBe('"4"');
+    });
+
+    it('PUT com a versão atual grava e devolve o ETag novo', async () => {
+        const { app, service } = createVersionedApp();
+
+        const response = await update(app, '"4"');
+
+        expect(response.status).toBe(200);
+        expect(response.headers.etag).toBe('"5"');
+        expect(service.configModel.updateConfig).toHaveBeenCalledWith('system_settings', expect.anything(), expect.objectContaining({ expectedVersion: 4 }));
+    });
+
+    it('PUT com uma versão desatualizada é 409 com a versão atual', async () => {
+        const { app, service } = createVersionedApp();
+
+        const response = await update(app, 'W/"3"');
+
+        expect(response.status).toBe(409);
+        expect(response.body.current_version).toBe(4);
+        expect(service.configModel.updateConfig).not.toHaveBeenCalled();
+    });
+
+    it('If-Match sem uma versão é 400', async () => {
+        const { app, service } = createVersionedApp();
+
+        const response = await update(app, '"abc"');
+
+        expect(response.status).toBe(400);
+        expect(service.configModel.updateConfig).not.toHaveBeenCalled();
+    });
+});
+
+describe('GET /configs', () => {
+    it('repassa busca, filtros e ordenação validados ao model', async () => {
+        const { app, service } = createApp();
+        service.configModel.searchConfigs = jest.fn(async () => ({ configs: [], pagination: { total: 0, limit: 10 } }));
+
+        const response = await request(app)
+            .get('/api/v1/configs?q=timeout&type=system&tag=critico&sort=-updated_at&limit=10')
+            .set('X-API-Key', 'chave-de-teste');
+
+        expect(response.status).toBe(200);
+        expect(service.configModel.searchConfigs).toHaveBeenCalledWith(
+            expect.objectContaining({ q: 'timeout', type: 'system', tag: ['critico'], sort: '-updated_at', limit: 10 }),
+            expect.objectContaining({ environment: 'prod' })
+        );
+    });
+
+    it('rejeita page junto com cursor e ordenações desconhecidas', async () => {
+        const { app } = createApp();
+
+        for (const query of ['page=2&cursor=abc', 'sort=description']) {
+            const response = await request(app).get(`/api/v1/configs?${query}`).set('X-API-Key', 'chave-de-teste');
+            expect(response.status).toBe(400);
+        }
+    });
+});
+
+describe('autenticação', () => {
+    it('token sem role não acessa rotas administrativas', async () => {
+        const { app, service } = createApp();
+        service.configModel.purgeConfig = jest.fn();
+
+        const response = await request(app)
+            .delete('/api/v1/config/system_settings/purge')
+            .set('Authorization', bearer({ sub: 'maria' }));
+
+        expect(response.status).toBe(403);
+        expect(service.configModel.purgeConfig).not.toHaveBeenCalled();
+    });
+
+    it('token com role admin acessa rotas administrativas', async () => {
+        const { app, service } = createApp();
+        service.configModel.purgeConfig = jest.fn(async () => ({ config: baseConfig, versions_removed: 1 }));
+
+        const response = await request(app)
+            .delete('/api/v1/config/system_settings/purge')
+            .set('Authorization', bearer({ sub: 'maria', role: 'admin' }));
+
+        expect(response.status).toBe(200);
+    });
+
+    it('rejeita tokens com outra assinatura', async () => {
+        const { app } = createApp();
+
+        const response = await request(app)
+            .get('/api/v1/configs')
+            .set('Authorization', bearer({ sub: 'maria', role: 'admin' }, 'outro-segredo'));
+
+        expect(response.status).toBe(401);
+    });
+
+    it('a API Key compartilhada não cria, aprova, rejeita nem comenta solicitações', async () => {
+        const { app, service } = createApp();
+        service.configModel.addChangeRequestComment = jest.fn();
+
+        const paths = [
+            '/api/v1/config/system_settings/change-requests',
+            '/api/v1/config/system_settings/change-requests/1/approve',
+            '/api/v1/config/system_settings/change-requests/1/reject',
+            '/api/v1/config/system_settings/change-requests/1/comments'
+        ];
+
+        for (const path of paths) {
+            const response = await request(app)
+                .post(path)
+                .set('X-API-Key', 'chave-de-teste')
+                .set('X-User-Id', 'maria')
+                .send({ config_value: {}, comment: 'ok' });
+
+            expect(response.status).toBe(403);
+        }
+        expect(service.configModel.addChangeRequestComment).not.toHaveBeenCalled();
+    });
+});
+
+describe('POST /config/validate', () => {
+    const configs = {
+        cpa_level_amounts: { ...baseConfig, config_key: 'cpa_level_amounts', config_type: 'cpa', config_value: { level_1: 35, level_2: 10 } },
+        mlm_settings: { ...baseConfig, config_key: 'mlm_settings', config_type: 'mlm', config_value: { max_hierarchy_levels: 5, minimum_amount: 1, max_total_payout: 60 } }
+    };
+
+    const createValidateApp = () => {
+        const { app, service } = createApp();
+        service.configModel.getConfig = jest.fn(async configKey => configs[configKey] || null);
+        service.configModel.getOverrideTenants = jest.fn(async () => []);
+        return { app, service };
+    };
+
+    const levelsSchema = { type: 'object', additionalProperties: { type: 'number', minimum: 0 } };
+
+    it('aplica as restrições entre configurações como no PUT', async () => {
+        const { app } = createValidateApp();
+
+        const response = await request(app)
+            .post('/api/v1/config/validate')
+            .set('X-API-Key', 'chave-de-teste')
+            .send({ config_key: 'cpa_level_amounts', config_value: { level_1: 50, level_2: 20 }, validation_schema: levelsSchema });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({
+            valid: false,
+            violations: [expect.objectContaining({ constraint: 'cpa_total_within_payout_cap' })]
+        });
+    });
+
+    it('sem violações, o valor é válido', async () => {
+        const { app } = createValidateApp();
+
+        const response = await request(app)
+            .post('/api/v1/config/validate')
+            .set('X-API-Key', 'chave-de-teste')
+            .send({ config_key: 'cpa_level_amounts', config_value: { level_1: 40, level_2: 20 }, validation_schema: levelsSchema });
+
+        expect(response.body.data).toMatchObject({ valid: true, violations: [] });
+    });
+});
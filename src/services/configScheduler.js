@@ -0,0 +1,68 @@
+const logger = require('../utils/logger');
+
+// Aplica e reverte mudanças agendadas quando suas datas de vigência são atingidas.
+// Todas as escritas passam pelo ConfigService, então histórico, cache e WebSocket funcionam normalmente.
+class ConfigScheduler {
+    constructor(configService, options = {}) {
+        this.configService = configService;
+        this.interval = options.interval || parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 30000;
+        // Tempo após o qual uma mudança em applying/reverting é considerada interrompida
+        this.staleAfter = options.staleAfter || parseInt(process.env.SCHEDULER_STALE_MS, 10) || 300000;
+        this.timer = null;
+        this.running = false;
+        this.recovered = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.tick(), this.interval);
+        this.tick();
+
+        logger.info(`Agendador de configurações iniciado (intervalo: ${this.interval}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            logger.info('Agendador de configurações parado');
+        }
+    }
+
+    // Processar as mudanças vencidas; execuções sobrepostas são ignoradas
+    async tick() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        try {
+            // Na primeira execução, retomar as mudanças interrompidas por uma queda anterior
+            if (!this.recovered) {
+                await this.configService.recoverScheduledChanges(this.staleAfter);
+                this.recovered = true;
+            }
+
+            const dueChanges = await this.configService.getDueScheduledChanges();
+
+            for (const change of dueChanges) {
+                const result = change.status === 'pending'
+                    ? await this.configService.applyScheduledChange(change)
+                    : await this.configService.revertScheduledChange(change);
+
+                if (result) {
+                    logger.info(`Mudança agendada ${change.id} (${change.config_key}, ${change.environment}): ${change.status} → ${result.status}`);
+                }
+            }
+        } catch (error) {
+            logger.error('Erro ao processar mudanças agendadas:', error);
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+module.exports = ConfigScheduler;
@@ -1,6 +1,41 @@
 const ConfigModel = require('../models/configModel');
 const logger = require('../utils/logger');
-const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { isDeepStrictEqual } = require('util');
+const { DEFAULT_ENVIRONMENT } = require('../utils/environments');
+const { createPatch, summarizePatch, applyPatch, applyMergePatch } = require('../utils/jsonPatch');
+const { loadDesiredState } = require('../utils/desiredState');
+const { findReferences, interpolate } = require('../utils/references');
+const { collectSchemaRefs } = require('../utils/schemaRefs');
+const { compileSchema, formatErrors } = require('../utils/jsonSchema');
+const { checkCompatibility } = require('../utils/schemaCompatibility');
+const { getConstraints, findConstraints, evaluateConstraints } = require('../utils/constraints');
+const { evaluateCpaRules } = require('../utils/cpaRules');
+const { simulatePayout } = require('../utils/cpaPayout');
+const {
+    currentKey,
+    encryptSecrets,
+    restoreMaskedSecrets,
+    hasSecrets,
+    maskSecrets,
+    decryptSecrets,
+    reencryptSecrets
+} = require('../utils/secrets');
+const { ServiceError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Comparação de valores gravados pelo conteúdo: segredos cifrados em momentos diferentes têm envelopes diferentes
+const sameValue = (a, b) => isDeepStrictEqual(decryptSecrets(a), decryptSecrets(b));
+
+// Versão do formato dos pacotes de exportação/importação
+const BUNDLE_FORMAT_VERSION = 1;
+
+const SCHEMA_AND_MODE_MESSAGE = 'validation_schema e schema_compatibility não podem ser alterados na mesma escrita; altere o modo separadamente';
+
+// Tipos cujas mudanças de valor precisam ser aprovadas por uma segunda pessoa
+const APPROVAL_REQUIRED_TYPES = (process.env.APPROVAL_REQUIRED_TYPES || 'cpa,security')
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean);
 
 class ConfigService {
     constructor() {
@@ -8,251 +43,1854 @@ class ConfigService {
         this.cache = new Map();
         this.cacheTTL = new Map();
         this.subscribers = new Map();
+        this.batchSubscribers = new Set();
+        this.scheduleFailureSubscribers = new Set();
+        this.dependents = new Map(); // environment:chaveReferenciada -> Set de chaves cujo valor em cache depende dela
+    }
+
+    // Validar configuração com JSON Schema 2020-12 (schemaRefs: schemas do registro usados via $ref, "nome@versão" -> schema)
+    validateConfig(configValue, validationSchema, schemaRefs = new Map()) {
+        if (!validationSchema) {
+            return { valid: true };
+        }
+
+        try {
+            const validate = compileSchema(validationSchema, schemaRefs);
+
+            if (!validate(configValue)) {
+                return {
+                    valid: false,
+                    errors: formatErrors(validate.errors)
+                };
+            }
+
+            return { valid: true };
+        } catch (error) {
+            logger.error('Erro na validação:', error);
+            return {
+                valid: false,
+                errors: [{ field: 'schema', message: error instanceof ServiceError ? error.message : 'Schema de validação inválido' }]
+            };
+        }
+    }
+
+    // Criar nova configuração
+    async createConfig(configData, options = {}) {
+        try {
+            if (options.enforceApproval) {
+                this.assertCreationAllowed(configData);
+            }
+
+            // Validar dados de entrada
+            const validation = await this.validateResolvedConfig(configData.config_key, configData.config_value, configData.validation_schema, {
+                environment: configData.environment
+            });
+            if (!validation.valid) {
+                throw new ServiceError('Validação falhou', 400, { errors: validation.errors });
+            }
+
+            await this.assertConstraints([configData.config_key], {
+                environment: configData.environment,
+                pending: new Map([[configData.config_key, configData]])
+            });
+
+            const config = await this.configModel.createConfig(configData);
+            
+            // Limpar cache
+            this.clearCache(config.config_key, config.environment);
+            
+            // Notificar subscribers
+            await this.notifySubscribers(config.config_key, config.config_value, config.environment, null, config.tags);
+            
+            logger.info(`Configuração criada: ${config.config_key} (${config.environment})`);
+            return config;
+        } catch (error) {
+            logger.error('Erro ao criar configuração:', error);
+            throw error;
+        }
+    }
+
+    // Buscar configuração (com cache), com as referências ${chave.caminho} resolvidas; options.raw retorna o valor gravado
+    async getConfig(configKey, options = {}) {
+        try {
+            if (options.raw) {
+                return await this.loadRawConfig(configKey, options);
+            }
+
+            // Leituras históricas vêm direto de config_versions, sem cache (referências resolvidas na mesma data)
+            if (options.asOf) {
+                const config = await this.loadRawConfig(configKey, options);
+                return config ? await this.resolveConfig(config, options) : null;
+            }
+
+            const cacheKey = this.getCacheKey(configKey, options.environment, options.tenant);
+
+            // Verificar cache primeiro
+            const cached = this.getFromCache(cacheKey);
+            if (cached) {
+                return cached;
+            }
+
+            // Buscar no banco
+            const config = await this.loadRawConfig(configKey, options);
+            
+            if (config) {
+                const resolved = await this.resolveConfig(config, options);
+
+                // Adicionar ao cache
+                this.addToCache(cacheKey, resolved);
+                return resolved;
+            }
+
+            return null;
+        } catch (error) {
+            logger.error('Erro ao buscar configuração:', error);
+            throw error;
+        }
+    }
+
+    // Configuração como está gravada. Com tenant: tenant → base, indicando de qual camada veio o valor.
+    // options.pending (chave -> configuração ou null) simula o estado de um lote ainda não aplicado.
+    async loadRawConfig(configKey, options = {}) {
+        // Um valor pendente da configuração base ainda é sobrescrito pelo override do tenant; um pendente do próprio
+        // tenant (com tenant_id) já é o valor efetivo
+        if (options.pending && options.pending.has(configKey)) {
+            const pendingConfig = options.pending.get(configKey);
+            return pendingConfig && pendingConfig.tenant_id ? pendingConfig : await this.applyOverride(pendingConfig, options);
+        }
+
+        if (options.asOf) {
+            return await this.configModel.getConfigAsOf(configKey, options.asOf, options);
+        }
+
+        return await this.applyOverride(await this.configModel.getConfig(configKey, options), options);
+    }
+
+    async applyOverride(baseConfig, options = {}) {
+        if (!baseConfig || !options.tenant) {
+            return baseConfig;
+        }
+
+        const override = await this.configModel.getOverride(baseConfig.config_key, options.tenant, options);
+
+        return {
+            ...baseConfig,
+            config_value: override ? override.config_value : baseConfig.config_value,
+            tenant_id: options.tenant,
+            resolved_from: override ? 'tenant' : 'base'
+        };
+    }
+
+    async resolveConfig(config, options = {}) {
+        const references = findReferences(config.config_value);
+        if (references.length === 0) {
+            return config;
+        }
+
+        return {
+            ...config,
+            config_value: await this.resolveReferences(config.config_value, options, [config.config_key]),
+            references
+        };
+    }
+
+    // Resolver recursivamente as referências do valor; chain é o caminho de chaves até aqui (detecção de ciclos).
+    // Com chain vazio (valor avulso, sem chave), nenhuma dependência é registrada.
+    async resolveReferences(value, options, chain) {
+        const values = {};
+        const dependent = chain[chain.length - 1];
+
+        for (const key of findReferences(value)) {
+            if (chain.includes(key)) {
+                throw new ServiceError(`Referência circular: ${[...chain, key].join(' → ')}`, 422);
+            }
+
+            const referenced = await this.loadRawConfig(key, options);
+            if (!referenced) {
+                throw new ServiceError(`Configuração referenciada não encontrada: ${key}${dependent ? ` (em '${dependent}')` : ''}`, 422);
+            }
+
+            if (dependent) {
+                this.trackDependency(dependent, key, options.environment);
+            }
+            values[key] = await this.resolveReferences(referenced.config_value, options, [...chain, key]);
+        }
+
+        return interpolate(value, values);
+    }
+
+    // Validar contra um schema que pode referenciar o registro ($ref: "nome@versão")
+    async validateWithSchema(configValue, validationSchema) {
+        let schemaRefs;
+
+        try {
+            schemaRefs = validationSchema ? await this.configModel.loadSchemaRefs(validationSchema) : new Map();
+        } catch (error) {
+            if (error instanceof ServiceError) {
+                return { valid: false, errors: [{ field: 'schema', message: error.message }] };
+            }
+            throw error;
+        }
+
+        return this.validateConfig(configValue, validationSchema, schemaRefs);
+    }
+
+    // Validar o valor como ele será lido, com as referências resolvidas e os segredos decifrados
+    async validateResolvedConfig(configKey, configValue, validationSchema, options = {}) {
+        let resolvedValue;
+
+        try {
+            resolvedValue = decryptSecrets(await this.resolveReferences(configValue, options, configKey ? [configKey] : []));
+        } catch (error) {
+            if (error instanceof ServiceError) {
+                return { valid: false, errors: [{ field: 'references', message: error.message }] };
+            }
+            throw error;
+        }
+
+        return await this.validateWithSchema(resolvedValue, validationSchema);
+    }
+
+    // Validação completa de uma escrita sem gravar: schema e, com config_key, as restrições entre chaves como no update
+    async validateConfigChange(configKey, configValue, validationSchema, options = {}) {
+        const validation = await this.validateResolvedConfig(configKey, configValue, validationSchema, options);
+        if (!validation.valid || !configKey) {
+            return validation;
+        }
+
+        const currentConfig = await this.configModel.getConfig(configKey, options);
+        const violations = await this.checkConstraints([configKey], {
+            ...options,
+            pending: new Map([[configKey, {
+                ...currentConfig,
+                config_key: configKey,
+                config_value: currentConfig ? restoreMaskedSecrets(configValue, currentConfig.config_value) : configValue
+            }]])
+        });
+
+        return { ...validation, valid: violations.length === 0, violations };
+    }
+
+    // Comparar o schema atual da configuração com um novo, no modo gravado da chave (ou num modo informado, em relatórios)
+    async checkSchemaChange(currentConfig, validationSchema, mode = currentConfig.schema_compatibility) {
+        return checkCompatibility(
+            await this.configModel.expandSchema(currentConfig.validation_schema),
+            await this.configModel.expandSchema(validationSchema),
+            mode
+        );
+    }
+
+    // Trocar o schema e o modo na mesma escrita permitiria desligar a verificação (ex.: modo none junto com o schema novo):
+    // a troca de schema é sempre verificada no modo gravado, e o modo muda em uma escrita própria
+    changesSchemaAndMode(currentConfig, validationSchema, mode) {
+        const schemaChanged = Boolean(validationSchema) && !isDeepStrictEqual(validationSchema, currentConfig.validation_schema);
+        const modeChanged = Boolean(mode) && mode !== currentConfig.schema_compatibility;
+
+        return schemaChanged && modeChanged;
+    }
+
+    incompatibleSchema(configKey, compatibility) {
+        return new ConflictError(
+            `Schema incompatível com o atual de '${configKey}' (modo ${compatibility.mode})`,
+            { compatibility: compatibility.mode, issues: compatibility.issues }
+        );
+    }
+
+    // Relatório de compatibilidade de um novo schema, e se o valor atual seria aceito por ele
+    async checkConfigSchema(configKey, { validation_schema, schema_compatibility }, options = {}) {
+        try {
+            const config = await this.configModel.getConfig(configKey, options);
+            if (!config) {
+                throw new NotFoundError('Configuração não encontrada');
+            }
+
+            const compatibility = await this.checkSchemaChange(config, validation_schema, schema_compatibility);
+            const currentValue = await this.validateResolvedConfig(configKey, config.config_value, validation_schema, options);
+
+            return {
+                config_key: configKey,
+                environment: config.environment,
+                ...compatibility,
+                current_value: currentValue
+            };
+        } catch (error) {
+            logger.error('Erro ao verificar compatibilidade do schema:', error);
+            throw error;
+        }
+    }
+
+    // Valor pronto para gravar fora de system_configurations (overrides, agendamentos, solicitações):
+    // máscaras voltam ao envelope anterior e os campos secretos são cifrados
+    async protectSecrets(configValue, config, previousValue = config.config_value) {
+        return encryptSecrets(
+            restoreMaskedSecrets(configValue, previousValue),
+            await this.configModel.expandSchema(config.validation_schema),
+            config.is_secret
+        );
+    }
+
+    // Buscar apenas o valor da configuração
+    async getConfigValue(configKey, defaultValue = null, options = {}) {
+        try {
+            const config = await this.getConfig(configKey, options);
+            return config ? config.config_value : defaultValue;
+        } catch (error) {
+            logger.error('Erro ao buscar valor da configuração:', error);
+            return defaultValue;
+        }
+    }
+
+    // Buscar configurações por categoria
+    async getConfigsByCategory(category, options = {}) {
+        try {
+            return await this.configModel.getConfigsByCategory(category, options);
+        } catch (error) {
+            logger.error('Erro ao buscar configurações por categoria:', error);
+            throw error;
+        }
+    }
+
+    // Buscar configurações por tipo
+    async getConfigsByType(type, options = {}) {
+        try {
+            return await this.configModel.getConfigsByType(type, options);
+        } catch (error) {
+            logger.error('Erro ao buscar configurações por tipo:', error);
+            throw error;
+        }
+    }
+
+    // Atualizar configuração
+    async updateConfig(configKey, updateData, options = {}) {
+        try {
+            // Buscar configuração atual para validação
+            const currentConfig = await this.configModel.getConfig(configKey, options);
+            if (!currentConfig) {
+                throw new NotFoundError('Configuração não encontrada');
+            }
+
+            // Escritas diretas em tipos sensíveis precisam passar por uma solicitação de mudança
+            if (options.enforceApproval) {
+                this.assertApprovalNotRequired(currentConfig);
+            }
+
+            // Falhar cedo em escritas baseadas em uma versão desatualizada (o model verifica de novo, atomicamente)
+            this.assertExpectedVersion(currentConfig, options.expectedVersion);
+
+            // Validar novos dados
+            const validationSchema = updateData.validation_schema || currentConfig.validation_schema;
+            const validation = await this.validateResolvedConfig(
+                configKey,
+                restoreMaskedSecrets(updateData.config_value, currentConfig.config_value),
+                validationSchema,
+                options
+            );
+            if (!validation.valid) {
+                throw new ServiceError('Validação falhou', 400, { errors: validation.errors });
+            }
+
+            if (updateData.validation_schema) {
+                if (this.changesSchemaAndMode(currentConfig, updateData.validation_schema, updateData.schema_compatibility)) {
+                    throw new ServiceError(SCHEMA_AND_MODE_MESSAGE);
+                }
+
+                const compatibility = await this.checkSchemaChange(currentConfig, updateData.validation_schema);
+                if (!compatibility.compatible) {
+                    throw this.incompatibleSchema(configKey, compatibility);
+                }
+            }
+
+            await this.assertConstraints([configKey], {
+                ...options,
+                pending: new Map([[configKey, {
+                    ...currentConfig,
+                    config_value: restoreMaskedSecrets(updateData.config_value, currentConfig.config_value)
+                }]])
+            });
+
+            const config = await this.configModel.updateConfig(configKey, updateData, options);
+            
+            // Limpar cache
+            this.clearCache(configKey, config.environment);
+            
+            // Notificar subscribers
+            await this.notifySubscribers(configKey, config.config_value, config.environment, null, config.tags);
+            
+            logger.info(`Configuração atualizada: ${configKey} (${config.environment})`);
+            return config;
+        } catch (error) {
+            logger.error('Erro ao atualizar configuração:', error);
+            throw error;
+        }
+    }
+
+    // Atualização parcial do valor com JSON Merge Patch (format 'merge') ou JSON Patch (format 'json-patch')
+    async patchConfig(configKey, { patch, format }, updatedBy, options = {}) {
+        try {
+            const currentConfig = await this.configModel.getConfig(configKey, options);
+            if (!currentConfig) {
+                throw new NotFoundError('Configuração não encontrada');
+            }
+
+            if (options.enforceApproval) {
+                this.assertApprovalNotRequired(currentConfig);
+            }
+
+            this.assertExpectedVersion(currentConfig, options.expectedVersion);
+
+            const configValue = format === 'json-patch'
+                ? applyPatch(currentConfig.config_value, patch)
+                : applyMergePatch(currentConfig.config_value, patch);
+
+            const validation = await this.validateResolvedConfig(configKey, configValue, currentConfig.validation_schema, options);
+            if (!validation.valid) {
+                throw new ServiceError('Validação falhou', 400, { errors: validation.errors });
+            }
+
+            // O patch foi calculado sobre a versão lida: uma escrita concorrente nesse intervalo gera 409
+            return await this.updateConfig(configKey, {
+                config_value: configValue,
+                updated_by: updatedBy,
+                action: 'PATCH'
+            }, { ...options, expectedVersion: currentConfig.version });
+        } catch (error) {
+            logger.error('Erro ao aplicar patch na configuração:', error);
+            throw error;
+        }
+    }
+
+    // Aplicar um lote de operações: tudo é validado antes e gravado em uma única transação
+    async applyBatch(operations, changedBy, options = {}) {
+        try {
+            const environment = options.environment || DEFAULT_ENVIRONMENT;
+            const errors = await this.validateBatch(operations, options);
+
+            if (errors.length > 0) {
+                throw new ServiceError('Lote rejeitado: nenhuma operação foi aplicada', 400, { errors });
+            }
+
+            const results = await this.configModel.applyBatch(operations, changedBy, { environment });
+
+            // Notificar apenas após o commit, como um único evento agrupado
+            const batchId = uuidv4();
+            const changes = results.map(({ op, config }) => ({
+                key: config.config_key,
+                value: op === 'delete' ? null : config.config_value,
+                action: op.toUpperCase(),
+                version: config.version,
+                tags: config.tags
+            }));
+
+            changes.forEach(change => this.clearCache(change.key, environment));
+            await this.notifyBatchSubscribers(batchId, changes, environment);
+
+            logger.info(`Lote ${batchId} aplicado em ${environment}: ${changes.length} operação(ões)`);
+            return { batch_id: batchId, environment, changes };
+        } catch (error) {
+            logger.error('Erro ao aplicar lote de configurações:', error);
+            throw error;
+        }
+    }
+
+    // Validar o lote como um todo, simulando o estado de cada chave após as operações anteriores
+    async validateBatch(operations, options = {}) {
+        const states = new Map();
+        const errors = [];
+
+        for (const [index, operation] of operations.entries()) {
+            const key = operation.config_key;
+
+            if (!states.has(key)) {
+                states.set(key, await this.configModel.getConfig(key, options));
+            }
+
+            const current = states.get(key);
+            const fail = (message, details) => errors.push({ index, op: operation.op, config_key: key, message, ...details });
+
+            if (operation.op === 'create') {
+                if (current) {
+                    fail('Configuração já existe');
+                    continue;
+                }
+                if (options.enforceApproval && this.requiresApproval(operation.config_type)) {
+                    fail(`Configurações do tipo '${operation.config_type}' exigem aprovação e não podem ser criadas diretamente`);
+                    continue;
+                }
+            } else if (!current) {
+                fail('Configuração não encontrada');
+                continue;
+            } else if (operation.expected_version !== undefined && current.version !== operation.expected_version) {
+                fail('Versão desatualizada', { current_version: current.version });
+                continue;
+            } else if (this.requiresApproval(current.config_type)) {
+                fail(`Configurações do tipo '${current.config_type}' exigem aprovação por meio de uma solicitação de mudança`);
+                continue;
+            }
+
+            if (operation.op === 'delete') {
+                states.set(key, null);
+                continue;
+            }
+
+            const validationSchema = operation.validation_schema || (current && current.validation_schema);
+            // Referências a chaves do próprio lote são resolvidas contra o estado simulado
+            const validation = await this.validateResolvedConfig(key, restoreMaskedSecrets(operation.config_value, current && current.config_value), validationSchema, {
+                ...options,
+                pending: states
+            });
+            if (!validation.valid) {
+                fail('Validação falhou', { errors: validation.errors });
+                continue;
+            }
+
+            if (current && operation.validation_schema) {
+                if (this.changesSchemaAndMode(current, operation.validation_schema, operation.schema_compatibility)) {
+                    fail(SCHEMA_AND_MODE_MESSAGE);
+                    continue;
+                }
+
+                const compatibility = await this.checkSchemaChange(current, operation.validation_schema);
+                if (!compatibility.compatible) {
+                    fail(`Schema incompatível (modo ${compatibility.mode})`, { issues: compatibility.issues });
+                    continue;
+                }
+            }
+
+            states.set(key, {
+                ...current,
+                ...operation,
+                validation_schema: validationSchema,
+                version: current ? current.version + 1 : 1
+            });
+        }
+
+        // Restrições entre chaves valem para o estado final do lote, não para cada operação isolada
+        if (errors.length === 0) {
+            const violations = await this.checkConstraints(Array.from(states.keys()), { ...options, pending: states });
+            errors.push(...violations);
+        }
+
+        return errors;
+    }
+
+    // Restrições afetadas pelas chaves alteradas, avaliadas sobre os valores resolvidos (options.pending: estado simulado).
+    // Sem options.tenant, a mudança na configuração base também é avaliada para cada tenant com override nessas chaves.
+    async checkConstraints(changedKeys, options = {}) {
+        const selected = findConstraints(changedKeys);
+        if (selected.length === 0) {
+            return [];
+        }
+
+        const keys = Array.from(new Set(selected.flatMap(constraint => constraint.keys)));
+        const violations = await this.evaluateConstraintsFor(selected, keys, options);
+        if (options.tenant) {
+            return violations;
+        }
+
+        for (const tenant of await this.configModel.getOverrideTenants(keys, options)) {
+            const tenantViolations = await this.evaluateConstraintsFor(selected, keys, { ...options, tenant });
+            violations.push(...tenantViolations.map(violation => ({
+                ...violation,
+                tenant,
+                message: `Tenant ${tenant}: ${violation.message}`
+            })));
+        }
+
+        return violations;
+    }
+
+    async evaluateConstraintsFor(selected, keys, options) {
+        const values = {};
+        for (const key of keys) {
+            const config = await this.loadRawConfig(key, options);
+            values[key] = config
+                ? decryptSecrets(await this.resolveReferences(config.config_value, options, [key]))
+                : undefined;
+        }
+
+        return evaluateConstraints(selected, values);
+    }
+
+    async assertConstraints(changedKeys, options = {}) {
+        const violations = await this.checkConstraints(changedKeys, options);
+
+        if (violations.length > 0) {
+            throw new ServiceError(
+                `Restrições entre configurações violadas: ${violations.map(violation => violation.message).join('; ')}`,
+                422,
+                { violations }
+            );
+        }
+    }
+
+    // Restrições registradas, com as violações no estado atual do ambiente
+    async getConstraintStatus(options = {}) {
+        try {
+            const constraints = getConstraints();
+            const violations = await this.checkConstraints(constraints.flatMap(constraint => constraint.keys), options);
+
+            return constraints.map(({ name, description, keys }) => {
+                const messages = violations
+                    .filter(violation => violation.constraint === name)
+                    .map(violation => violation.message);
+
+                return { name, description, keys, satisfied: messages.length === 0, violations: messages };
+            });
+        } catch (error) {
+            logger.error('Erro ao avaliar restrições:', error);
+            throw error;
+        }
+    }
+
+    // Concorrência otimista: expectedVersion vem de If-Match ou expected_version
+    assertExpectedVersion(currentConfig, expectedVersion) {
+        if (expectedVersion !== undefined && expectedVersion !== null && currentConfig.version !== expectedVersion) {
+            throw new ConflictError(
+                `Configuração '${currentConfig.config_key}' foi alterada por outra operação (versão atual: ${currentConfig.version})`,
+                { current_version: currentConfig.version }
+            );
+        }
+    }
+
+    requiresApproval(configType) {
+        return APPROVAL_REQUIRED_TYPES.includes(configType);
+    }
+
+    assertApprovalNotRequired(currentConfig) {
+        if (this.requiresApproval(currentConfig.config_type)) {
+            throw new ServiceError(
+                `Configurações do tipo '${currentConfig.config_type}' exigem aprovação: crie uma solicitação em /config/${currentConfig.config_key}/change-requests`,
+                403
+            );
+        }
+    }
+
+    // Criar a chave (ou recriar uma chave excluída) com um valor qualquer também contornaria a revisão:
+    // esses tipos são criados pelo estado desejado (reconcile)
+    assertCreationAllowed(configData) {
+        if (this.requiresApproval(configData.config_type)) {
+            throw new ServiceError(
+                `Configurações do tipo '${configData.config_type}' exigem aprovação e não podem ser criadas diretamente: defina-as no estado desejado (reconcile)`,
+                403
+            );
+        }
+    }
+
+    // Restaurar uma versão anterior como nova versão, passando pelo fluxo normal de atualização
+    async rollbackConfig(configKey, target, rolledBackBy, options = {}) {
+        try {
+            const targetVersion = await this.configModel.getConfigVersion(configKey, target, options);
+            if (!targetVersion) {
+                throw new NotFoundError('Versão não encontrada');
+            }
+
+            const currentConfig = await this.configModel.getConfig(configKey, options);
+            if (!currentConfig) {
+                throw new NotFoundError('Configuração não encontrada');
+            }
+
+            if (options.enforceApproval) {
+                this.assertApprovalNotRequired(currentConfig);
+            }
+
+            if (currentConfig.version === targetVersion.version) {
+                throw new ConflictError(`Configuração já está na versão ${targetVersion.version}`);
+            }
+
+            const config = await this.updateConfig(configKey, {
+                config_value: targetVersion.config_value,
+                description: targetVersion.description,
+                validation_schema: targetVersion.validation_schema,
+                updated_by: rolledBackBy,
+                action: 'ROLLBACK'
+            }, options);
+
+            logger.info(`Configuração ${configKey} revertida para a versão ${targetVersion.version}`);
+            return { config, rolled_back_to: targetVersion.version };
+        } catch (error) {
+            logger.error('Erro ao reverter configuração:', error);
+            throw error;
+        }
+    }
+
+    // Deletar configuração
+    async deleteConfig(configKey, deletedBy, options = {}) {
+        try {
+            if (options.enforceApproval) {
+                const currentConfig = await this.configModel.getConfig(configKey, options);
+                if (currentConfig) {
+                    this.assertApprovalNotRequired(currentConfig);
+                }
+            }
+
+            const config = await this.configModel.deleteConfig(configKey, deletedBy, options);
+            
+            // Limpar cache
+            this.clearCache(configKey, config.environment);
+            
+            // Notificar subscribers
+            await this.notifySubscribers(configKey, null, config.environment, null, config.tags);
+            
+            logger.info(`Configuração deletada: ${configKey} (${config.environment})`);
+            return config;
+        } catch (error) {
+            logger.error('Erro ao deletar configuração:', error);
+            throw error;
+        }
+    }
+
+    // Listar configurações deletadas
+    async getDeletedConfigs(options = {}) {
+        try {
+            return await this.configModel.getDeletedConfigs(options);
+        } catch (error) {
+            logger.error('Erro ao buscar configurações deletadas:', error);
+            throw error;
+        }
+    }
+
+    // Restaurar configuração deletada
+    async restoreConfig(configKey, restoredBy, options = {}) {
+        try {
+            // O valor restaurado volta a participar das restrições entre chaves
+            const deleted = await this.configModel.getDeletedConfig(configKey, options);
+            if (deleted) {
+                if (options.enforceApproval) {
+                    this.assertApprovalNotRequired(deleted);
+                }
+
+                await this.assertConstraints([configKey], { ...options, pending: new Map([[configKey, deleted]]) });
+            }
+
+            const config = await this.configModel.restoreConfig(configKey, restoredBy, options);
+
+            this.clearCache(configKey, config.environment);
+            await this.notifySubscribers(configKey, config.config_value, config.environment, null, config.tags);
+
+            logger.info(`Configuração restaurada: ${configKey} (${config.environment})`);
+            return config;
+        } catch (error) {
+            logger.error('Erro ao restaurar configuração:', error);
+            throw error;
+        }
+    }
+
+    // Remover definitivamente uma configuração deletada
+    async purgeConfig(configKey, purgedBy, options = {}) {
+        try {
+            const result = await this.configModel.purgeConfig(configKey, options);
+
+            this.clearCache(configKey, result.config.environment);
+
+            logger.warn(`Configuração removida definitivamente por ${purgedBy}: ${configKey} (${result.config.environment})`);
+            return result;
+        } catch (error) {
+            logger.error('Erro ao remover configuração definitivamente:', error);
+            throw error;
+        }
+    }
+
+    // Buscar histórico de mudanças
+    async getConfigHistory(configKey, options = {}) {
+        try {
+            return await this.configModel.getConfigHistory(configKey, options);
+        } catch (error) {
+            logger.error('Erro ao buscar histórico:', error);
+            throw error;
+        }
+    }
+
+    // Diff estruturado (JSON Patch + resumo por campo) entre duas versões; `to` padrão é a versão mais recente
+    async getConfigDiff(configKey, { from, to }, options = {}) {
+        try {
+            if (to === undefined) {
+                const { entries } = await this.configModel.getConfigHistory(configKey, { ...options, page: 1, limit: 1 });
+                if (entries.length === 0) {
+                    throw new NotFoundError('Configuração não encontrada');
+                }
+                to = entries[0].version;
+            }
+
+            const [fromVersion, toVersion] = await Promise.all([
+                this.configModel.getConfigVersion(configKey, { version: from }, options),
+                this.configModel.getConfigVersion(configKey, { version: to }, options)
+            ]);
+
+            if (!fromVersion || !toVersion) {
+                throw new NotFoundError(`Versão ${!fromVersion ? from : to} não encontrada`);
+            }
+
+            // Segredos entram mascarados: o diff nunca expõe valores cifrados
+            const fromValue = maskSecrets(fromVersion.config_value);
+            const patch = createPatch(fromValue, maskSecrets(toVersion.config_value));
+            const describe = ({ version, action, changed_by, changed_at }) => ({ version, action, changed_by, changed_at });
+
+            return {
+                config_key: configKey,
+                environment: options.environment || DEFAULT_ENVIRONMENT,
+                from: describe(fromVersion),
+                to: describe(toVersion),
+                patch,
+                summary: summarizePatch(patch, fromValue)
+            };
+        } catch (error) {
+            logger.error('Erro ao gerar diff entre versões:', error);
+            throw error;
+        }
+    }
+
+    // Buscar todas as configurações (atuais ou vigentes em options.asOf)
+    async getAllConfigs(options = {}) {
+        try {
+            if (options.asOf) {
+                return await this.configModel.getAllConfigsAsOf(options.asOf, options);
+            }
+
+            return await this.configModel.getAllConfigs(options);
+        } catch (error) {
+            logger.error('Erro ao buscar todas as configurações:', error);
+            throw error;
+        }
+    }
+
+    // Listagem paginada com busca e filtros (q, type, category, updated_since, updated_by, tag, sort, page/limit ou cursor)
+    async searchConfigs(filters = {}, options = {}) {
+        try {
+            return await this.configModel.searchConfigs(filters, options);
+        } catch (error) {
+            logger.error('Erro ao buscar configurações:', error);
+            throw error;
+        }
+    }
+
+    // Exportar um pacote portátil das configurações do ambiente (filtrável por tipo e categoria)
+    async exportConfigs(filters = {}, options = {}) {
+        try {
+            const configs = (await this.configModel.getAllConfigs(options))
+                .filter(config => !filters.config_type || config.config_type === filters.config_type)
+                .filter(config => !filters.config_category || config.config_category === filters.config_category);
+
+            return {
+                format_version: BUNDLE_FORMAT_VERSION,
+                exported_at: new Date().toISOString(),
+                environment: options.environment || DEFAULT_ENVIRONMENT,
+                configs: configs.map(config => ({
+                    config_key: config.config_key,
+                    config_value: maskSecrets(config.config_value),
+                    config_type: config.config_type,
+                    config_category: config.config_category,
+                    description: config.description,
+                    validation_schema: config.validation_schema,
+                    schema_compatibility: config.schema_compatibility,
+                    tags: config.tags,
+                    is_secret: config.is_secret
+                }))
+            };
+        } catch (error) {
+            logger.error('Erro ao exportar configurações:', error);
+            throw error;
+        }
+    }
+
+    // Importar um pacote: merge mescla o valor do pacote sobre o atual, replace substitui o valor inteiro.
+    // Chaves ausentes do pacote não são alteradas; conflitos são reportados e não impedem as demais chaves.
+    async importConfigs(bundle, { mode = 'merge', dry_run = true, imported_by, action = 'IMPORT' }, options = {}) {
+        try {
+            const environment = options.environment || DEFAULT_ENVIRONMENT;
+            const report = [];
+            const operations = [];
+            const pending = new Map();
+
+            for (const entry of bundle.configs) {
+                const current = await this.configModel.getConfig(entry.config_key, { environment });
+                const result = { config_key: entry.config_key };
+                const conflict = (reason, details) => report.push({ ...result, action: 'conflict', reason, ...details });
+
+                if (current && current.config_type !== entry.config_type) {
+                    conflict(`Tipo divergente: '${current.config_type}' no ambiente, '${entry.config_type}' no pacote`);
+                    continue;
+                }
+
+                // Segredos mascarados no pacote (exportações) mantêm o valor cifrado do ambiente
+                const configValue = restoreMaskedSecrets(current && mode === 'merge'
+                    ? applyMergePatch(current.config_value, entry.config_value)
+                    : entry.config_value, current && current.config_value);
+                const validationSchema = entry.validation_schema || (current && current.validation_schema);
+
+                const validation = await this.validateResolvedConfig(entry.config_key, configValue, validationSchema, { environment, pending });
+                if (!validation.valid) {
+                    conflict('Validação falhou', { errors: validation.errors });
+                    continue;
+                }
+
+                if (!current) {
+                    if (options.enforceApproval && this.requiresApproval(entry.config_type)) {
+                        conflict(`Configurações do tipo '${entry.config_type}' exigem aprovação e não podem ser criadas diretamente`);
+                        continue;
+                    }
+
+                    report.push({ ...result, action: 'create' });
+                    operations.push({
+                        op: 'create',
+                        config_key: entry.config_key,
+                        config_value: configValue,
+                        config_type: entry.config_type,
+                        config_category: entry.config_category,
+                        description: entry.description,
+                        validation_schema: entry.validation_schema,
+                        schema_compatibility: entry.schema_compatibility,
+                        tags: entry.tags,
+                        is_secret: entry.is_secret,
+                        action
+                    });
+                    pending.set(entry.config_key, { config_key: entry.config_key, config_value: configValue });
+                    continue;
+                }
+
+                const changes = {};
+                const target = {
+                    config_value: configValue,
+                    config_category: entry.config_category,
+                    description: entry.description ?? current.description,
+                    validation_schema: validationSchema,
+                    schema_compatibility: entry.schema_compatibility ?? current.schema_compatibility,
+                    tags: entry.tags ?? current.tags,
+                    is_secret: entry.is_secret ?? current.is_secret
+                };
+
+                for (const [field, value] of Object.entries(target)) {
+                    if (!isDeepStrictEqual(current[field] ?? null, value ?? null)) {
+                        changes[field] = { from: current[field] ?? null, to: value ?? null };
+                    }
+                }
+
+                if (Object.keys(changes).length === 0) {
+                    report.push({ ...result, action: 'skip' });
+                    continue;
+                }
+
+                if (changes.config_category) {
+                    conflict(`Categoria divergente: '${current.config_category}' no ambiente, '${entry.config_category}' no pacote`);
+                    continue;
+                }
+
+                if (changes.validation_schema) {
+                    if (changes.schema_compatibility) {
+                        conflict(SCHEMA_AND_MODE_MESSAGE);
+                        continue;
+                    }
+
+                    const compatibility = await this.checkSchemaChange(current, validationSchema);
+                    if (!compatibility.compatible) {
+                        conflict(`Schema incompatível (modo ${compatibility.mode})`, { issues: compatibility.issues });
+                        continue;
+                    }
+                }
+
+                // Escritas diretas nesses tipos são bloqueadas em qualquer campo, como em PUT e nos lotes
+                if (this.requiresApproval(current.config_type)) {
+                    conflict(`Configurações do tipo '${current.config_type}' exigem aprovação por meio de uma solicitação de mudança`);
+                    continue;
+                }
+
+                report.push({ ...result, action: 'update', current_version: current.version, changes });
+                operations.push({
+                    op: 'update',
+                    config_key: entry.config_key,
+                    config_value: configValue,
+                    description: target.description,
+                    validation_schema: entry.validation_schema,
+                    schema_compatibility: entry.schema_compatibility,
+                    tags: entry.tags,
+                    is_secret: entry.is_secret,
+                    expected_version: current.version,
+                    action
+                });
+                pending.set(entry.config_key, { ...current, config_value: configValue });
+            }
+
+            await this.rejectConstraintViolations(report, operations, pending, { environment });
+
+            const summary = ['create', 'update', 'skip', 'conflict']
+                .reduce((counts, action) => ({ ...counts, [action]: report.filter(item => item.action === action).length }), {});
+
+            if (!dry_run && operations.length > 0) {
+                await this.applyBatch(operations, imported_by, { environment });
+            }
+
+            logger.info(`Importação em ${environment} (${mode}${dry_run ? ', dry_run' : ''}): ${JSON.stringify(summary)}`);
+            return { environment, mode, dry_run, summary, report };
+        } catch (error) {
+            logger.error('Erro ao importar configurações:', error);
+            throw error;
+        }
+    }
+
+    // Restrições entre chaves sobre o estado final da importação: as chaves do pacote envolvidas em uma violação viram
+    // conflito e saem do lote; a verificação se repete até o restante ficar consistente
+    async rejectConstraintViolations(report, operations, pending, options) {
+        let violations = await this.checkConstraints(Array.from(pending.keys()), { ...options, pending });
+
+        while (violations.length > 0) {
+            const rejected = new Map();
+            for (const violation of violations) {
+                violation.keys
+                    .filter(key => pending.has(key))
+                    .forEach(key => rejected.set(key, [...(rejected.get(key) || []), violation]));
+            }
+
+            for (const [key, keyViolations] of rejected) {
+                const index = report.findIndex(item => item.config_key === key);
+                report[index] = {
+                    config_key: key,
+                    action: 'conflict',
+                    reason: 'Restrições entre configurações violadas',
+                    violations: keyViolations
+                };
+                operations.splice(operations.findIndex(operation => operation.config_key === key), 1);
+                pending.delete(key);
+            }
+
+            violations = pending.size > 0
+                ? await this.checkConstraints(Array.from(pending.keys()), { ...options, pending })
+                : [];
+        }
+    }
+
+    // Reconciliar o banco com o estado desejado versionado em arquivos (plano via dry_run).
+    // Com flag_extra, lista também as chaves que existem no banco mas não nos arquivos (nunca são removidas).
+    async reconcileConfigs({ dry_run = true, flag_extra = false, reconciled_by }, options = {}) {
+        try {
+            const desired = loadDesiredState(options.environment || DEFAULT_ENVIRONMENT);
+
+            const { environment, summary, report } = await this.importConfigs({ configs: desired }, {
+                mode: 'replace',
+                dry_run,
+                imported_by: reconciled_by,
+                action: 'RECONCILE'
+            }, options);
+
+            const result = { environment, dry_run, summary, plan: report };
+
+            if (flag_extra) {
+                const desiredKeys = new Set(desired.map(entry => entry.config_key));
+                result.extra = (await this.configModel.getAllConfigs(options))
+                    .filter(config => !desiredKeys.has(config.config_key))
+                    .map(({ config_key, config_type, config_category, version }) => ({ config_key, config_type, config_category, version }));
+            }
+
+            return result;
+        } catch (error) {
+            logger.error('Erro ao reconciliar configurações:', error);
+            throw error;
+        }
+    }
+
+    // Listar overrides de tenant de uma configuração
+    async getTenantOverrides(configKey, options = {}) {
+        try {
+            return await this.configModel.getOverrides(configKey, options);
+        } catch (error) {
+            logger.error('Erro ao buscar overrides:', error);
+            throw error;
+        }
+    }
+
+    // Criar/atualizar o override de um tenant (validado contra o schema da configuração base)
+    async setTenantOverride(configKey, tenantId, configValue, changedBy, options = {}) {
+        try {
+            const baseConfig = await this.configModel.getConfig(configKey, options);
+            if (!baseConfig) {
+                throw new NotFoundError('Configuração não encontrada');
+            }
+
+            // O override muda o valor efetivo do tenant: vale a mesma exigência de aprovação da configuração base
+            if (options.enforceApproval) {
+                this.assertApprovalNotRequired(baseConfig);
+            }
+
+            const currentOverride = await this.configModel.getOverride(configKey, tenantId, options);
+            const protectedValue = await this.protectSecrets(configValue, baseConfig, (currentOverride || baseConfig).config_value);
+
+            const validation = await this.validateResolvedConfig(configKey, protectedValue, baseConfig.validation_schema, {
+                ...options,
+                tenant: tenantId
+            });
+            if (!validation.valid) {
+                throw new ServiceError('Validação falhou', 400, { errors: validation.errors });
+            }
+
+            // Restrições avaliadas como o tenant enxerga as chaves (com este e os demais overrides do tenant)
+            await this.assertConstraints([configKey], {
+                ...options,
+                tenant: tenantId,
+                pending: new Map([[configKey, { ...baseConfig, config_value: protectedValue, tenant_id: tenantId }]])
+            });
+
+            const override = await this.configModel.upsertOverride(configKey, tenantId, protectedValue, changedBy, options);
+
+            this.clearCache(configKey, override.environment);
+            await this.notifySubscribers(configKey, override.config_value, override.environment, tenantId, baseConfig.tags);
+
+            logger.info(`Override do tenant ${tenantId} salvo: ${configKey} (${override.environment})`);
+            return override;
+        } catch (error) {
+            logger.error('Erro ao salvar override do tenant:', error);
+            throw error;
+        }
+    }
+
+    // Remover o override de um tenant (o tenant volta a herdar o valor base)
+    async deleteTenantOverride(configKey, tenantId, options = {}) {
+        try {
+            const baseConfig = await this.configModel.getConfig(configKey, options);
+            if (baseConfig && options.enforceApproval) {
+                this.assertApprovalNotRequired(baseConfig);
+            }
+
+            const override = await this.configModel.deleteOverride(configKey, tenantId, options);
+            if (!override) {
+                throw new NotFoundError('Override não encontrado para o tenant');
+            }
+
+            this.clearCache(configKey, override.environment);
+
+            await this.notifySubscribers(configKey, baseConfig ? baseConfig.config_value : null, override.environment, tenantId, baseConfig ? baseConfig.tags : []);
+
+            logger.info(`Override do tenant ${tenantId} removido: ${configKey} (${override.environment})`);
+            return override;
+        } catch (error) {
+            logger.error('Erro ao remover override do tenant:', error);
+            throw error;
+        }
+    }
+
+    // Promover uma configuração ou uma categoria inteira de um ambiente para outro
+    async promoteConfigs({ source_environment, target_environment, config_key, config_category, dry_run = true, promoted_by }) {
+        try {
+            if (source_environment === target_environment) {
+                throw new ServiceError('Ambiente de destino deve ser diferente do ambiente de origem');
+            }
+
+            const sourceConfigs = config_key
+                ? [await this.configModel.getConfig(config_key, { environment: source_environment })].filter(Boolean)
+                : await this.configModel.getConfigsByCategory(config_category, { environment: source_environment });
+
+            if (sourceConfigs.length === 0) {
+                throw new NotFoundError(`Nenhuma configuração encontrada em ${source_environment}`);
+            }
+
+            const targetOptions = { environment: target_environment };
+            const diff = [];
+
+            for (const source of sourceConfigs) {
+                const target = await this.configModel.getConfig(source.config_key, targetOptions);
+                const changes = {};
+
+                for (const field of ['config_value', 'validation_schema', 'description']) {
+                    const current = target ? target[field] : null;
+                    // Segredos são recifrados a cada escrita: o valor é comparado decifrado, não pelo envelope
+                    const equal = field === 'config_value' ? sameValue : isDeepStrictEqual;
+                    if (!equal(current ?? null, source[field] ?? null)) {
+                        changes[field] = { from: current ?? null, to: source[field] ?? null };
+                    }
+                }
+
+                const action = !target ? 'create' : Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+                diff.push({
+                    config_key: source.config_key,
+                    action,
+                    source_version: source.version,
+                    target_version: target ? target.version : null,
+                    requires_approval: action !== 'unchanged' && this.requiresApproval((target || source).config_type),
+                    changes
+                });
+            }
+
+            if (dry_run) {
+                return { source_environment, target_environment, dry_run: true, diff };
+            }
+
+            // Criações e atualizações em tipos que exigem aprovação bloqueiam a promoção inteira, antes de qualquer escrita
+            const blocked = diff.filter(entry => entry.requires_approval).map(entry => entry.config_key);
+            if (blocked.length > 0) {
+                throw new ServiceError(
+                    `Configurações que exigem aprovação não podem ser promovidas diretamente: ${blocked.join(', ')}`,
+                    403,
+                    { config_keys: blocked }
+                );
+            }
+
+            for (const entry of diff) {
+                const source = sourceConfigs.find(config => config.config_key === entry.config_key);
+
+                if (entry.action === 'create') {
+                    await this.createConfig({
+                        environment: target_environment,
+                        config_key: source.config_key,
+                        config_value: source.config_value,
+                        config_type: source.config_type,
+                        config_category: source.config_category,
+                        description: source.description,
+                        validation_schema: source.validation_schema,
+                        schema_compatibility: source.schema_compatibility,
+                        tags: source.tags,
+                        is_secret: source.is_secret,
+                        created_by: promoted_by,
+                        action: 'PROMOTE'
+                    });
+                } else if (entry.action === 'update') {
+                    await this.updateConfig(source.config_key, {
+                        config_value: source.config_value,
+                        description: source.description,
+                        validation_schema: source.validation_schema,
+                        updated_by: promoted_by,
+                        action: 'PROMOTE'
+                    }, targetOptions);
+                }
+            }
+
+            logger.info(`Promoção de ${source_environment} para ${target_environment}: ${diff.length} configuração(ões) avaliada(s)`);
+            return { source_environment, target_environment, dry_run: false, diff };
+        } catch (error) {
+            logger.error('Erro ao promover configurações:', error);
+            throw error;
+        }
+    }
+
+    // Agendar uma mudança de valor com vigência (effective_from e, opcionalmente, effective_until)
+    async scheduleConfigChange(configKey, scheduleData, options = {}) {
+        try {
+            const config = await this.configModel.getConfig(configKey, options);
+            if (!config) {
+                throw new NotFoundError('Configuração não encontrada');
+            }
+
+            // Tipos que exigem aprovação são agendados por uma solicitação de mudança com effective_from
+            if (options.enforceApproval && this.requiresApproval(config.config_type)) {
+                throw new ServiceError(
+                    `Configurações do tipo '${config.config_type}' exigem aprovação: crie uma solicitação em /config/${configKey}/change-requests com effective_from (e effective_until)`,
+                    403
+                );
+            }
+
+            const configValue = await this.protectSecrets(scheduleData.config_value, config);
+
+            const validation = await this.validateResolvedConfig(configKey, configValue, config.validation_schema, options);
+            if (!validation.valid) {
+                throw new ServiceError('Validação falhou', 400, { errors: validation.errors });
+            }
+
+            const scheduled = await this.configModel.createScheduledChange(configKey, {
+                ...scheduleData,
+                config_value: configValue
+            }, options);
+
+            logger.info(`Mudança ${scheduled.id} agendada: ${configKey} (${scheduled.environment}) a partir de ${scheduled.effective_from.toISOString()}`);
+            return scheduled;
+        } catch (error) {
+            logger.error('Erro ao agendar mudança:', error);
+            throw error;
+        }
+    }
+
+    async getScheduledChanges(configKey, options = {}) {
+        try {
+            return await this.configModel.getScheduledChanges(configKey, options);
+        } catch (error) {
+            logger.error('Erro ao buscar mudanças agendadas:', error);
+            throw error;
+        }
+    }
+
+    async getDueScheduledChanges() {
+        return await this.configModel.getDueScheduledChanges();
+    }
+
+    // Cancelar uma mudança agendada que ainda não foi aplicada
+    async cancelScheduledChange(configKey, scheduleId, cancelledBy, options = {}) {
+        try {
+            const changes = await this.configModel.getScheduledChanges(configKey, options);
+            const change = changes.find(item => item.id === scheduleId);
+            if (!change) {
+                throw new NotFoundError('Mudança agendada não encontrada');
+            }
+
+            const cancelled = await this.configModel.transitionScheduledChange(change.id, 'pending', 'cancelled', {
+                cancelled_by: cancelledBy,
+                cancelled_at: new Date()
+            });
+
+            if (!cancelled) {
+                throw new ConflictError(`Apenas mudanças pendentes podem ser canceladas (status atual: ${change.status})`);
+            }
+
+            logger.info(`Mudança agendada ${change.id} cancelada: ${configKey} (${change.environment})`);
+            return cancelled;
+        } catch (error) {
+            logger.error('Erro ao cancelar mudança agendada:', error);
+            throw error;
+        }
+    }
+
+    // Aplicar uma mudança agendada pelo caminho normal de atualização (histórico, cache e notificações)
+    async applyScheduledChange(change) {
+        const claimed = await this.configModel.transitionScheduledChange(change.id, 'pending', 'applying', { claimed_at: new Date() });
+        if (!claimed) {
+            return null;
+        }
+
+        const options = { environment: change.environment };
+
+        try {
+            const current = await this.configModel.getConfig(change.config_key, options);
+            if (!current) {
+                throw new NotFoundError('Configuração não encontrada');
+            }
+
+            const config = await this.updateConfig(change.config_key, {
+                config_value: change.config_value,
+                updated_by: change.created_by,
+                action: 'SCHEDULED_APPLY'
+            }, { ...options, expectedVersion: current.version });
+
+            return await this.configModel.transitionScheduledChange(change.id, 'applying', change.effective_until ? 'active' : 'completed', {
+                previous_value: current.config_value,
+                applied_version: config.version,
+                applied_at: new Date()
+            });
+        } catch (error) {
+            logger.error(`Erro ao aplicar mudança agendada ${change.id}:`, error);
+            return await this.failScheduledChange(change, 'applying', error.message);
+        }
+    }
+
+    // Reverter ao fim da vigência apenas o valor, e só enquanto ele ainda é o aplicado: edições de outros campos
+    // (descrição, tags...) não impedem a reversão, mas um novo valor gravado durante a vigência prevalece
+    async revertScheduledChange(change) {
+        const claimed = await this.configModel.transitionScheduledChange(change.id, 'active', 'reverting', { claimed_at: new Date() });
+        if (!claimed) {
+            return null;
+        }
+
+        const options = { environment: change.environment };
+
+        try {
+            const current = await this.configModel.getConfig(change.config_key, options);
+            if (!current) {
+                throw new NotFoundError('Configuração não encontrada');
+            }
+
+            // Já revertida (ex.: retomada após uma queda depois da gravação)
+            if (sameValue(current.config_value, change.previous_value)) {
+                return await this.configModel.transitionScheduledChange(change.id, 'reverting', 'completed', { reverted_at: new Date() });
+            }
+
+            if (!sameValue(current.config_value, change.config_value)) {
+                return await this.failScheduledChange(change, 'reverting', 'Valor alterado durante a vigência; reversão não realizada');
+            }
+
+            await this.updateConfig(change.config_key, {
+                config_value: change.previous_value,
+                updated_by: change.created_by,
+                action: 'SCHEDULED_REVERT'
+            }, { ...options, expectedVersion: current.version });
+
+            return await this.configModel.transitionScheduledChange(change.id, 'reverting', 'completed', {
+                reverted_at: new Date()
+            });
+        } catch (error) {
+            // Escrita concorrente entre a leitura e a gravação: tentar de novo no próximo ciclo
+            if (error instanceof ConflictError) {
+                logger.warn(`Reversão da mudança agendada ${change.id} adiada: ${error.message}`);
+                return await this.configModel.transitionScheduledChange(change.id, 'reverting', 'active');
+            }
+
+            logger.error(`Erro ao reverter mudança agendada ${change.id}:`, error);
+            return await this.failScheduledChange(change, 'reverting', error.message);
+        }
+    }
+
+    // Mudanças presas em applying/reverting após uma queda voltam ao fluxo normal. Uma aplicação já gravada
+    // (última versão é o SCHEDULED_APPLY com o valor agendado) é concluída; as demais voltam a pending.
+    // Reversões voltam a active: revertScheduledChange reconhece o valor já revertido.
+    async recoverScheduledChanges(staleAfterMs) {
+        const recovered = [];
+
+        for (const change of await this.configModel.getStaleScheduledChanges(staleAfterMs)) {
+            const result = change.status === 'applying'
+                ? await this.recoverAppliedChange(change)
+                : await this.configModel.transitionScheduledChange(change.id, 'reverting', 'active');
+
+            if (result) {
+                logger.warn(`Mudança agendada ${change.id} (${change.config_key}, ${change.environment}) recuperada: ${change.status} → ${result.status}`);
+                recovered.push(result);
+            }
+        }
+
+        return recovered;
+    }
+
+    async recoverAppliedChange(change) {
+        const options = { environment: change.environment };
+        const current = await this.configModel.getConfig(change.config_key, options);
+
+        if (!current || !sameValue(current.config_value, change.config_value)) {
+            return await this.configModel.transitionScheduledChange(change.id, 'applying', 'pending');
+        }
+
+        const applied = await this.configModel.getConfigVersion(change.config_key, { version: current.version }, options);
+        const previous = await this.configModel.getConfigVersion(change.config_key, { version: current.version - 1 }, options);
+
+        if (!applied || applied.action !== 'SCHEDULED_APPLY' || !previous) {
+            // O valor já é o agendado, mas sem o valor anterior não há como reverter depois
+            return await this.failScheduledChange(change, 'applying', 'Aplicação interrompida; valor anterior não identificado');
+        }
+
+        return await this.configModel.transitionScheduledChange(change.id, 'applying', change.effective_until ? 'active' : 'completed', {
+            previous_value: previous.config_value,
+            applied_version: current.version,
+            applied_at: applied.changed_at
+        });
+    }
+
+    // Falhas ficam registradas na mudança e são avisadas aos subscribers (WebSocket), não só no log
+    async failScheduledChange(change, fromStatus, message) {
+        const failed = await this.configModel.transitionScheduledChange(change.id, fromStatus, 'failed', { error: message });
+
+        if (failed) {
+            this.scheduleFailureSubscribers.forEach(callback => {
+                try {
+                    callback(failed);
+                } catch (error) {
+                    logger.error('Erro ao notificar falha de mudança agendada:', error);
+                }
+            });
+        }
+
+        return failed;
     }
 
-    // Validar configuração usando schema
-    validateConfig(configValue, validationSchema) {
-        if (!validationSchema) {
-            return { valid: true };
-        }
+    subscribeScheduleFailures(callback) {
+        this.scheduleFailureSubscribers.add(callback);
+    }
 
+    // Criar uma solicitação de mudança (rascunho validado contra o schema, aplicado apenas após aprovação)
+    async createChangeRequest(configKey, requestData, requestedBy, options = {}) {
         try {
-            const schema = this.convertToJoiSchema(validationSchema);
-            const { error, value } = schema.validate(configValue);
-            
-            if (error) {
-                return {
-                    valid: false,
-                    errors: error.details.map(detail => ({
-                        field: detail.path.join('.'),
-                        message: detail.message
-                    }))
-                };
+            const config = await this.configModel.getConfig(configKey, options);
+            if (!config) {
+                throw new NotFoundError('Configuração não encontrada');
             }
 
-            return { valid: true, value };
+            const configValue = await this.protectSecrets(requestData.config_value, config);
+
+            const validation = await this.validateResolvedConfig(configKey, configValue, config.validation_schema, options);
+            if (!validation.valid) {
+                throw new ServiceError('Validação falhou', 400, { errors: validation.errors });
+            }
+
+            const changeRequest = await this.configModel.createChangeRequest(configKey, {
+                config_value: configValue,
+                description: requestData.description,
+                base_version: config.version,
+                requested_by: requestedBy,
+                effective_from: requestData.effective_from,
+                effective_until: requestData.effective_until
+            }, options);
+
+            const comments = requestData.comment
+                ? [await this.configModel.addChangeRequestComment(changeRequest.id, requestedBy, requestData.comment)]
+                : [];
+
+            logger.info(`Solicitação de mudança ${changeRequest.id} criada: ${configKey} (${changeRequest.environment}) por ${requestedBy}`);
+            return { ...changeRequest, comments };
         } catch (error) {
-            logger.error('Erro na validação:', error);
-            return {
-                valid: false,
-                errors: [{ field: 'schema', message: 'Schema de validação inválido' }]
-            };
+            logger.error('Erro ao criar solicitação de mudança:', error);
+            throw error;
         }
     }
 
-    // Converter schema JSON para Joi
-    convertToJoiSchema(jsonSchema) {
-        if (jsonSchema.type === 'object') {
-            let joiObject = {};
-            
-            if (jsonSchema.properties) {
-                for (const [key, prop] of Object.entries(jsonSchema.properties)) {
-                    joiObject[key] = this.convertPropertyToJoi(prop);
-                }
-            }
+    async getChangeRequests(configKey, options = {}) {
+        try {
+            return await this.configModel.getChangeRequests(configKey, options);
+        } catch (error) {
+            logger.error('Erro ao buscar solicitações de mudança:', error);
+            throw error;
+        }
+    }
 
-            let schema = Joi.object(joiObject);
-            
-            if (jsonSchema.required) {
-                schema = schema.required();
+    // Buscar uma solicitação com seu histórico de comentários
+    async getChangeRequest(configKey, id, options = {}) {
+        try {
+            const changeRequest = await this.configModel.getChangeRequest(configKey, id, options);
+            if (!changeRequest) {
+                throw new NotFoundError('Solicitação de mudança não encontrada');
             }
 
-            return schema;
+            const comments = await this.configModel.getChangeRequestComments(id);
+            return { ...changeRequest, comments };
+        } catch (error) {
+            logger.error('Erro ao buscar solicitação de mudança:', error);
+            throw error;
         }
-
-        return this.convertPropertyToJoi(jsonSchema);
     }
 
-    convertPropertyToJoi(property) {
-        switch (property.type) {
-            case 'string':
-                let stringSchema = Joi.string();
-                if (property.enum) {
-                    stringSchema = stringSchema.valid(...property.enum);
-                }
-                return stringSchema;
+    // Aprovar e aplicar uma solicitação; o aprovador deve ser diferente de quem a criou
+    async approveChangeRequest(configKey, id, approvedBy, comment, options = {}) {
+        try {
+            const changeRequest = await this.getChangeRequest(configKey, id, options);
 
-            case 'number':
-                let numberSchema = Joi.number();
-                if (property.minimum !== undefined) {
-                    numberSchema = numberSchema.min(property.minimum);
-                }
-                if (property.maximum !== undefined) {
-                    numberSchema = numberSchema.max(property.maximum);
-                }
-                return numberSchema;
+            if (changeRequest.requested_by === approvedBy) {
+                throw new ServiceError('A solicitação deve ser aprovada por uma pessoa diferente de quem a criou', 403);
+            }
 
-            case 'boolean':
-                return Joi.boolean();
+            if (changeRequest.effective_until && new Date(changeRequest.effective_until) <= new Date()) {
+                throw new ConflictError('A vigência da solicitação já terminou: crie uma nova solicitação');
+            }
 
-            case 'array':
-                let arraySchema = Joi.array();
-                if (property.items) {
-                    arraySchema = arraySchema.items(this.convertPropertyToJoi(property.items));
-                }
-                return arraySchema;
+            const claimed = await this.configModel.transitionChangeRequest(id, 'pending', 'approving');
+            if (!claimed) {
+                throw new ConflictError(`Apenas solicitações pendentes podem ser aprovadas (status atual: ${changeRequest.status})`);
+            }
+
+            if (changeRequest.effective_from) {
+                return await this.scheduleApprovedChange(changeRequest, approvedBy, comment);
+            }
+
+            let config;
+            try {
+                // A solicitação só vale para a versão sobre a qual foi criada
+                config = await this.updateConfig(configKey, {
+                    config_value: changeRequest.config_value,
+                    description: changeRequest.description,
+                    updated_by: approvedBy,
+                    action: 'APPROVE'
+                }, { environment: changeRequest.environment, expectedVersion: changeRequest.base_version });
+            } catch (error) {
+                await this.configModel.transitionChangeRequest(id, 'approving', 'pending');
+                throw error;
+            }
+
+            const approved = await this.configModel.transitionChangeRequest(id, 'approving', 'approved', {
+                reviewed_by: approvedBy,
+                reviewed_at: new Date(),
+                applied_version: config.version
+            });
 
-            case 'object':
-                return this.convertToJoiSchema(property);
+            if (comment) {
+                await this.configModel.addChangeRequestComment(id, approvedBy, comment);
+            }
 
-            default:
-                return Joi.any();
+            logger.info(`Solicitação de mudança ${id} aprovada por ${approvedBy}: ${configKey} (${config.environment}) v${config.version}`);
+            return { change_request: approved, config };
+        } catch (error) {
+            logger.error('Erro ao aprovar solicitação de mudança:', error);
+            throw error;
         }
     }
 
-    // Criar nova configuração
-    async createConfig(configData) {
+    // Solicitação aprovada com vigência: vira uma mudança agendada (o agendador aplica e reverte pelo fluxo normal)
+    async scheduleApprovedChange(changeRequest, approvedBy, comment) {
+        const options = { environment: changeRequest.environment };
+        let scheduled;
+
         try {
-            // Validar dados de entrada
-            const validation = this.validateConfig(configData.config_value, configData.validation_schema);
-            if (!validation.valid) {
-                throw new Error(`Validação falhou: ${JSON.stringify(validation.errors)}`);
+            const current = await this.configModel.getConfig(changeRequest.config_key, options);
+            if (!current) {
+                throw new NotFoundError('Configuração não encontrada');
             }
 
-            const config = await this.configModel.createConfig(configData);
-            
-            // Limpar cache
-            this.clearCache(config.config_key);
-            
-            // Notificar subscribers
-            this.notifySubscribers(config.config_key, config.config_value);
-            
-            logger.info(`Configuração criada: ${config.config_key}`);
-            return config;
+            // Assim como na aplicação imediata, a aprovação vale apenas para a versão revisada
+            this.assertExpectedVersion(current, changeRequest.base_version);
+
+            scheduled = await this.configModel.createScheduledChange(changeRequest.config_key, {
+                config_value: changeRequest.config_value,
+                description: changeRequest.description,
+                effective_from: changeRequest.effective_from,
+                effective_until: changeRequest.effective_until,
+                created_by: approvedBy
+            }, options);
         } catch (error) {
-            logger.error('Erro ao criar configuração:', error);
+            await this.configModel.transitionChangeRequest(changeRequest.id, 'approving', 'pending');
             throw error;
         }
+
+        const approved = await this.configModel.transitionChangeRequest(changeRequest.id, 'approving', 'approved', {
+            reviewed_by: approvedBy,
+            reviewed_at: new Date(),
+            scheduled_change_id: scheduled.id
+        });
+
+        if (comment) {
+            await this.configModel.addChangeRequestComment(changeRequest.id, approvedBy, comment);
+        }
+
+        logger.info(`Solicitação de mudança ${changeRequest.id} aprovada por ${approvedBy}: ${changeRequest.config_key} (${scheduled.environment}) agendada como ${scheduled.id}`);
+        return { change_request: approved, scheduled_change: scheduled };
     }
 
-    // Buscar configuração (com cache)
-    async getConfig(configKey) {
+    async rejectChangeRequest(configKey, id, rejectedBy, comment, options = {}) {
         try {
-            // Verificar cache primeiro
-            const cached = this.getFromCache(configKey);
-            if (cached) {
-                return cached;
+            const changeRequest = await this.getChangeRequest(configKey, id, options);
+
+            const rejected = await this.configModel.transitionChangeRequest(id, 'pending', 'rejected', {
+                reviewed_by: rejectedBy,
+                reviewed_at: new Date()
+            });
+
+            if (!rejected) {
+                throw new ConflictError(`Apenas solicitações pendentes podem ser rejeitadas (status atual: ${changeRequest.status})`);
             }
 
-            // Buscar no banco
-            const config = await this.configModel.getConfig(configKey);
-            
-            if (config) {
-                // Adicionar ao cache
-                this.addToCache(configKey, config);
-                return config;
+            if (comment) {
+                await this.configModel.addChangeRequestComment(id, rejectedBy, comment);
             }
 
-            return null;
+            logger.info(`Solicitação de mudança ${id} rejeitada por ${rejectedBy}: ${configKey} (${rejected.environment})`);
+            return rejected;
         } catch (error) {
-            logger.error('Erro ao buscar configuração:', error);
+            logger.error('Erro ao rejeitar solicitação de mudança:', error);
             throw error;
         }
     }
 
-    // Buscar apenas o valor da configuração
-    async getConfigValue(configKey, defaultValue = null) {
+    async addChangeRequestComment(configKey, id, author, comment, options = {}) {
         try {
-            const config = await this.getConfig(configKey);
-            return config ? config.config_value : defaultValue;
+            await this.getChangeRequest(configKey, id, options);
+            return await this.configModel.addChangeRequestComment(id, author, comment);
         } catch (error) {
-            logger.error('Erro ao buscar valor da configuração:', error);
-            return defaultValue;
+            logger.error('Erro ao comentar solicitação de mudança:', error);
+            throw error;
         }
     }
 
-    // Buscar configurações por categoria
-    async getConfigsByCategory(category) {
+    // Registro de schemas reutilizáveis: configurações apontam para "nome@versão" via $ref no validation_schema
+    async getSchemas() {
         try {
-            return await this.configModel.getConfigsByCategory(category);
+            return await this.configModel.getSchemas();
         } catch (error) {
-            logger.error('Erro ao buscar configurações por categoria:', error);
+            logger.error('Erro ao buscar schemas:', error);
             throw error;
         }
     }
 
-    // Buscar configurações por tipo
-    async getConfigsByType(type) {
+    async getSchema(name, version = null) {
         try {
-            return await this.configModel.getConfigsByType(type);
+            const schema = await this.configModel.getSchema(name, version);
+            if (!schema) {
+                throw new NotFoundError(version ? `Schema ${name}@${version} não encontrado` : `Schema '${name}' não encontrado`);
+            }
+
+            return schema;
         } catch (error) {
-            logger.error('Erro ao buscar configurações por tipo:', error);
+            logger.error('Erro ao buscar schema:', error);
             throw error;
         }
     }
 
-    // Atualizar configuração
-    async updateConfig(configKey, updateData) {
+    async getSchemaVersions(name) {
         try {
-            // Buscar configuração atual para validação
-            const currentConfig = await this.configModel.getConfig(configKey);
-            if (!currentConfig) {
-                throw new Error('Configuração não encontrada');
+            return await this.configModel.getSchemaVersions(name);
+        } catch (error) {
+            logger.error('Erro ao buscar versões do schema:', error);
+            throw error;
+        }
+    }
+
+    async createSchema(name, { schema, description }, createdBy) {
+        try {
+            if (await this.configModel.getSchema(name)) {
+                throw new ConflictError(`Schema '${name}' já existe: use PUT /schemas/${name} para criar uma nova versão`);
             }
 
-            // Validar novos dados
-            const validationSchema = updateData.validation_schema || currentConfig.validation_schema;
-            const validation = this.validateConfig(updateData.config_value, validationSchema);
-            if (!validation.valid) {
-                throw new Error(`Validação falhou: ${JSON.stringify(validation.errors)}`);
+            await this.assertValidSchema(schema);
+
+            const created = await this.configModel.createSchemaVersion(name, { schema, description, created_by: createdBy });
+
+            logger.info(`Schema registrado: ${name}@${created.version}`);
+            return created;
+        } catch (error) {
+            logger.error('Erro ao registrar schema:', error);
+            throw error;
+        }
+    }
+
+    // Nova versão de um schema. Configurações continuam presas à versão que referenciam; o relatório de
+    // impacto mostra quais delas ficariam inválidas ao migrar para a nova definição (dry_run não grava).
+    async updateSchema(name, { schema, description, dry_run = false }, updatedBy) {
+        try {
+            const current = await this.getSchema(name);
+
+            await this.assertValidSchema(schema);
+            const impact = await this.checkSchemaImpact(name, schema);
+
+            if (dry_run) {
+                return { dry_run, name, version: current.version + 1, impact };
             }
 
-            const config = await this.configModel.updateConfig(configKey, updateData);
-            
-            // Limpar cache
-            this.clearCache(configKey);
-            
-            // Notificar subscribers
-            this.notifySubscribers(configKey, config.config_value);
-            
-            logger.info(`Configuração atualizada: ${configKey}`);
-            return config;
+            const created = await this.configModel.createSchemaVersion(name, {
+                schema,
+                description: description ?? current.description,
+                created_by: updatedBy
+            });
+
+            logger.info(`Schema ${name}@${created.version} registrado (${impact.invalid.length} configuração(ões) inválida(s) na nova versão)`);
+            return { dry_run, name, version: created.version, schema: created, impact };
         } catch (error) {
-            logger.error('Erro ao atualizar configuração:', error);
+            logger.error('Erro ao atualizar schema:', error);
             throw error;
         }
     }
 
-    // Deletar configuração
-    async deleteConfig(configKey, deletedBy) {
+    // Versões só podem ser removidas quando nenhuma configuração ou outro schema as referencia
+    async deleteSchema(name, version) {
         try {
-            const config = await this.configModel.deleteConfig(configKey, deletedBy);
-            
-            // Limpar cache
-            this.clearCache(configKey);
-            
-            // Notificar subscribers
-            this.notifySubscribers(configKey, null);
-            
-            logger.info(`Configuração deletada: ${configKey}`);
-            return config;
+            await this.getSchema(name, version);
+
+            const ref = `${name}@${version}`;
+            const usage = await this.configModel.getSchemaUsage(name);
+            const configs = usage.configs
+                .filter(config => collectSchemaRefs(config.validation_schema).has(ref))
+                .map(config => `${config.environment}:${config.config_key}`);
+            const schemas = usage.schemas
+                .filter(item => collectSchemaRefs(item.schema).has(ref))
+                .map(item => `${item.name}@${item.version}`);
+
+            if (configs.length > 0 || schemas.length > 0) {
+                throw new ConflictError(`Schema ${ref} está em uso`, { configs, schemas });
+            }
+
+            const deleted = await this.configModel.deleteSchemaVersion(name, version);
+
+            logger.info(`Schema removido: ${ref}`);
+            return deleted;
         } catch (error) {
-            logger.error('Erro ao deletar configuração:', error);
+            logger.error('Erro ao remover schema:', error);
             throw error;
         }
     }
 
-    // Buscar histórico de mudanças
-    async getConfigHistory(configKey) {
+    // As referências precisam existir e o schema precisa ser um JSON Schema 2020-12 válido
+    async assertValidSchema(schema) {
+        compileSchema(schema, await this.configModel.loadSchemaRefs(schema));
+    }
+
+    // Validar o valor atual das configurações que referenciam o schema (em qualquer versão) contra a nova definição
+    async checkSchemaImpact(name, schema) {
+        const { configs } = await this.configModel.getSchemaUsage(name);
+        const newRefs = await this.configModel.loadSchemaRefs(schema);
+        const results = [];
+
+        for (const config of configs) {
+            const usedRefs = Array.from(collectSchemaRefs(config.validation_schema))
+                .filter(ref => ref.startsWith(`${name}@`));
+
+            if (usedRefs.length === 0) {
+                continue;
+            }
+
+            const result = { environment: config.environment, config_key: config.config_key, schema_refs: usedRefs };
+            let validation;
+
+            try {
+                const schemaRefs = new Map([...await this.configModel.loadSchemaRefs(config.validation_schema), ...newRefs]);
+                usedRefs.forEach(ref => schemaRefs.set(ref, schema));
+
+                const configValue = decryptSecrets(await this.resolveReferences(
+                    config.config_value,
+                    { environment: config.environment },
+                    [config.config_key]
+                ));
+
+                validation = this.validateConfig(configValue, config.validation_schema, schemaRefs);
+            } catch (error) {
+                if (!(error instanceof ServiceError)) {
+                    throw error;
+                }
+                validation = { valid: false, errors: [{ field: 'references', message: error.message }] };
+            }
+
+            results.push(validation.valid ? { ...result, valid: true } : { ...result, valid: false, errors: validation.errors });
+        }
+
+        return {
+            checked: results.length,
+            invalid: results.filter(result => !result.valid)
+        };
+    }
+
+    // Revelar os segredos de uma configuração (valor resolvido e decifrado); toda revelação é auditada
+    async revealConfig(configKey, { reason, revealed_by, ip_address }, options = {}) {
+        try {
+            const config = await this.getConfig(configKey, options);
+            if (!config) {
+                throw new NotFoundError('Configuração não encontrada');
+            }
+
+            if (!hasSecrets(config.config_value)) {
+                throw new ServiceError('Configuração não possui valores secretos');
+            }
+
+            const configValue = decryptSecrets(config.config_value);
+
+            await this.configModel.logSecretAccess({
+                environment: config.environment,
+                config_key: configKey,
+                version: config.version,
+                tenant_id: options.tenant,
+                revealed_by,
+                reason,
+                ip_address
+            });
+
+            logger.warn(`Segredo revelado: ${configKey} (${config.environment}${options.tenant ? `, tenant ${options.tenant}` : ''}) por ${revealed_by}: ${reason}`);
+
+            return {
+                config_key: configKey,
+                environment: config.environment,
+                version: config.version,
+                tenant_id: options.tenant || null,
+                config_value: configValue
+            };
+        } catch (error) {
+            logger.error('Erro ao revelar segredo:', error);
+            throw error;
+        }
+    }
+
+    async getSecretAccessLog(configKey, options = {}) {
         try {
-            return await this.configModel.getConfigHistory(configKey);
+            return await this.configModel.getSecretAccessLog(configKey, options);
         } catch (error) {
-            logger.error('Erro ao buscar histórico:', error);
+            logger.error('Erro ao buscar auditoria de segredos:', error);
             throw error;
         }
     }
 
-    // Buscar todas as configurações
-    async getAllConfigs() {
+    // Rotação da chave mestra: com a nova chave em CONFIG_MASTER_KEY e as antigas em CONFIG_MASTER_KEY_PREVIOUS,
+    // recifra todos os segredos gravados; depois disso as chaves antigas podem ser removidas
+    async rotateSecrets(rotatedBy) {
         try {
-            return await this.configModel.getAllConfigs();
+            const key = currentKey();
+            const updated = await this.configModel.reencryptSecrets(reencryptSecrets);
+
+            this.clearCache();
+
+            logger.info(`Segredos recifrados com a chave ${key.id} por ${rotatedBy}: ${JSON.stringify(updated)}`);
+            return { key_id: key.id, updated };
         } catch (error) {
-            logger.error('Erro ao buscar todas as configurações:', error);
+            logger.error('Erro ao rotacionar a chave mestra:', error);
             throw error;
         }
     }
 
     // Métodos de cache
+    getCacheKey(configKey, environment, tenant) {
+        const scope = tenant ? `${environment || DEFAULT_ENVIRONMENT}:${tenant}` : environment || DEFAULT_ENVIRONMENT;
+        return `${scope}:${configKey}`;
+    }
+
     getFromCache(key) {
         if (this.cache.has(key)) {
             const ttl = this.cacheTTL.get(key);
@@ -281,17 +1919,45 @@ class ConfigService {
         }
     }
 
-    clearCache(key) {
+    // Remove a chave do ambiente informado (ou de todos), incluindo os valores resolvidos por tenant
+    // e, em cascata, os valores em cache que referenciam a chave
+    clearCache(key, environment) {
         if (key) {
-            this.cache.delete(key);
-            this.cacheTTL.delete(key);
+            for (const cacheKey of Array.from(this.cache.keys())) {
+                const matchesEnvironment = !environment || cacheKey.startsWith(`${environment}:`);
+                if (matchesEnvironment && cacheKey.endsWith(`:${key}`)) {
+                    this.cache.delete(cacheKey);
+                    this.cacheTTL.delete(cacheKey);
+                }
+            }
+
+            for (const [dependencyKey, dependents] of Array.from(this.dependents.entries())) {
+                const separator = dependencyKey.indexOf(':');
+                const dependencyEnvironment = dependencyKey.slice(0, separator);
+
+                if (dependencyKey.slice(separator + 1) === key && (!environment || dependencyEnvironment === environment)) {
+                    this.dependents.delete(dependencyKey);
+                    dependents.forEach(dependent => this.clearCache(dependent, dependencyEnvironment));
+                }
+            }
         } else {
             this.cache.clear();
             this.cacheTTL.clear();
+            this.dependents.clear();
+        }
+    }
+
+    // Registrar que o valor resolvido de `dependent` usa `key`, para invalidá-lo junto
+    trackDependency(dependent, key, environment = DEFAULT_ENVIRONMENT) {
+        const dependencyKey = `${environment}:${key}`;
+
+        if (!this.dependents.has(dependencyKey)) {
+            this.dependents.set(dependencyKey, new Set());
         }
+        this.dependents.get(dependencyKey).add(dependent);
     }
 
-    // Sistema de notificações
+    // Sistema de notificações ('*' recebe todas as mudanças individuais)
     subscribe(configKey, callback) {
         if (!this.subscribers.has(configKey)) {
             this.subscribers.set(configKey, new Set());
@@ -305,12 +1971,84 @@ class ConfigService {
         }
     }
 
-    notifySubscribers(configKey, newValue) {
-        if (this.subscribers.has(configKey)) {
-            const callbacks = this.subscribers.get(configKey);
+    // tenant só é informado quando a mudança afeta apenas o override de um tenant;
+    // tags permitem que o notificador WebSocket entregue a mudança a quem subscreveu por tag
+    // Subscribers recebem o valor como ele é lido (referências resolvidas), como os dependentes em notifyDependents
+    async notifySubscribers(configKey, newValue, environment = DEFAULT_ENVIRONMENT, tenant = null, tags = []) {
+        const value = await this.resolveNotifiedValue(configKey, newValue, { environment, tenant: tenant || undefined });
+
+        this.emitChange(configKey, value, environment, tenant, tags);
+        this.notifyDependents([configKey], environment, tenant);
+    }
+
+    // Falhas na resolução são apenas registradas: a escrita já foi aplicada e o valor gravado segue na notificação
+    async resolveNotifiedValue(configKey, value, options) {
+        if (value === null || findReferences(value).length === 0) {
+            return value;
+        }
+
+        try {
+            return await this.resolveReferences(value, options, [configKey]);
+        } catch (error) {
+            logger.warn(`Não foi possível resolver ${configKey} para notificação: ${error.message}`);
+            return value;
+        }
+    }
+
+    emitChange(configKey, newValue, environment, tenant = null, tags = []) {
+        this.notifyKeySubscribers(configKey, newValue, environment, tenant, configKey, tags);
+        this.notifyKeySubscribers('*', newValue, environment, tenant, configKey, tags);
+    }
+
+    // Chaves que referenciam as informadas mudam de valor junto: limpar o cache e avisar seus subscribers
+    // com o novo valor resolvido. Roda após a notificação principal; falhas são apenas registradas.
+    async notifyDependents(configKeys, environment = DEFAULT_ENVIRONMENT, tenant = null) {
+        try {
+            const dependents = await this.findDependentKeys(configKeys, { environment });
+
+            for (const dependentKey of dependents) {
+                this.clearCache(dependentKey, environment);
+
+                try {
+                    const config = await this.getConfig(dependentKey, { environment, tenant: tenant || undefined });
+                    if (config) {
+                        this.emitChange(dependentKey, config.config_value, environment, tenant, config.tags);
+                    }
+                } catch (error) {
+                    logger.warn(`Não foi possível resolver ${dependentKey} após mudança em ${configKeys.join(', ')}: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            logger.error('Erro ao notificar configurações dependentes:', error);
+        }
+    }
+
+    // Dependentes diretos e indiretos (A referencia B, que referencia a chave alterada), sem as próprias chaves
+    async findDependentKeys(configKeys, options = {}) {
+        const found = new Set();
+        let frontier = configKeys;
+
+        while (frontier.length > 0) {
+            const referencing = await this.configModel.getReferencingConfigs(frontier, options);
+            const current = new Set(frontier);
+
+            frontier = Array.from(new Set(referencing
+                .filter(config => findReferences(config.config_value).some(key => current.has(key)))
+                .map(config => config.config_key)))
+                .filter(key => !found.has(key) && !configKeys.includes(key));
+
+            frontier.forEach(key => found.add(key));
+        }
+
+        return Array.from(found);
+    }
+
+    notifyKeySubscribers(subscriptionKey, newValue, environment, tenant = null, configKey = subscriptionKey, tags = []) {
+        if (this.subscribers.has(subscriptionKey)) {
+            const callbacks = this.subscribers.get(subscriptionKey);
             callbacks.forEach(callback => {
                 try {
-                    callback(configKey, newValue);
+                    callback(configKey, newValue, environment, tenant, tags || []);
                 } catch (error) {
                     logger.error('Erro ao notificar subscriber:', error);
                 }
@@ -318,40 +2056,126 @@ class ConfigService {
         }
     }
 
+    // Subscrição a lotes: um único callback por lote aplicado
+    subscribeBatch(callback) {
+        this.batchSubscribers.add(callback);
+    }
+
+    unsubscribeBatch(callback) {
+        this.batchSubscribers.delete(callback);
+    }
+
+    // Subscribers de cada chave continuam sendo avisados; '*' recebe o lote agrupado via subscribeBatch
+    async notifyBatchSubscribers(batchId, changes, environment = DEFAULT_ENVIRONMENT) {
+        const resolvedChanges = [];
+        for (const change of changes) {
+            resolvedChanges.push({ ...change, value: await this.resolveNotifiedValue(change.key, change.value, { environment }) });
+        }
+
+        resolvedChanges.forEach(change => this.notifyKeySubscribers(change.key, change.value, environment, null, change.key, change.tags));
+
+        this.batchSubscribers.forEach(callback => {
+            try {
+                callback(batchId, resolvedChanges, environment);
+            } catch (error) {
+                logger.error('Erro ao notificar subscriber de lote:', error);
+            }
+        });
+
+        this.notifyDependents(changes.map(change => change.key), environment);
+    }
+
     // Métodos específicos para configurações CPA
-    async getCpaLevelAmounts() {
+    async getCpaLevelAmounts(options = {}) {
         return await this.getConfigValue('cpa_level_amounts', {
             level_1: 50.00, level_2: 20.00, level_3: 5.00, level_4: 5.00, level_5: 5.00
-        });
+        }, options);
     }
 
-    async getCpaValidationRules() {
+    async getCpaValidationRules(options = {}) {
         return await this.getConfigValue('cpa_validation_rules', {
             groups: [],
             group_operator: 'OR'
-        });
+        }, options);
+    }
+
+    // Qualificação CPA de um jogador pelas regras vigentes (o mesmo avaliador do ConfigClient)
+    async evaluateCpa(metrics, options = {}) {
+        try {
+            const rules = await this.getCpaValidationRules(options);
+            return { metrics, ...evaluateCpaRules(rules, metrics) };
+        } catch (error) {
+            logger.error('Erro ao avaliar qualificação CPA:', error);
+            throw error;
+        }
+    }
+
+    // Distribuição do CPA de uma indicação pela upline. Valores propostos (ainda não gravados) de cpa_level_amounts e
+    // mlm_settings substituem os vigentes, são validados como num PUT e as restrições violadas voltam na resposta.
+    async simulateCpa({ referral, upline, proposed = {} }, options = {}) {
+        try {
+            const pending = new Map();
+            const values = {};
+
+            for (const [key, value] of Object.entries(proposed)) {
+                const current = await this.loadRawConfig(key, options);
+                const validation = await this.validateResolvedConfig(key, value, current ? current.validation_schema : null, options);
+                if (!validation.valid) {
+                    throw new ServiceError(`Valor proposto para '${key}' inválido`, 400, { errors: validation.errors });
+                }
+
+                pending.set(key, { ...current, config_key: key, config_value: value });
+                values[key] = decryptSecrets(await this.resolveReferences(value, options, [key]));
+            }
+
+            const levelAmounts = values.cpa_level_amounts || await this.getCpaLevelAmounts(options);
+            const mlmSettings = values.mlm_settings || await this.getMlmSettings(options);
+            const payout = simulatePayout({ levelAmounts, mlmSettings, upline });
+
+            const violations = pending.size > 0
+                ? await this.checkConstraints(Array.from(pending.keys()), { ...options, pending })
+                : [];
+
+            // Com métricas, a indicação precisa se qualificar pelas regras vigentes para gerar pagamentos
+            const qualification = referral.metrics ? await this.evaluateCpa(referral.metrics, options) : null;
+            if (qualification && !qualification.qualified) {
+                payout.levels = payout.levels.map(level => ({ ...level, amount: 0, status: 'not_qualified' }));
+                payout.total = 0;
+            }
+
+            return {
+                referral,
+                qualified: qualification ? qualification.qualified : true,
+                proposed: Array.from(pending.keys()),
+                ...payout,
+                violations
+            };
+        } catch (error) {
+            logger.error('Erro ao simular distribuição CPA:', error);
+            throw error;
+        }
     }
 
-    async getSystemSettings() {
+    async getSystemSettings(options = {}) {
         return await this.getConfigValue('system_settings', {
             api_timeout: 30000,
             cache_ttl: 3600,
             max_retries: 3,
             batch_size: 100
-        });
+        }, options);
     }
 
-    async getMlmSettings() {
+    async getMlmSettings(options = {}) {
         return await this.getConfigValue('mlm_settings', {
             max_hierarchy_levels: 5,
             calculation_method: 'standard',
             auto_distribution: true,
             minimum_amount: 0.01,
             currency: 'BRL'
-        });
+        }, options);
     }
 
-    async getExternalApisSettings() {
+    async getExternalApisSettings(options = {}) {
         return await this.getConfigValue('external_apis', {
             operation_db: {
                 sync_interval: 300000,
@@ -362,7 +2186,7 @@ class ConfigService {
                 retry_attempts: 3,
                 retry_delay: 5000
             }
-        });
+        }, options);
     }
 
     // Cleanup
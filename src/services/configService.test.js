@@ -0,0 +1,707 @@
+jest.mock('../models/configModel');
+jest.mock('../utils/logger');
+
+const crypto = require('crypto');
+const ConfigService = require('./configService');
+const { encryptSecrets } = require('../utils/secrets');
+const { ServiceError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const schema = {
+    type: 'object',
+    properties: { level: { type: 'number', minimum: 0 } }
+};
+// Estreita o schema atual: quebra a compatibilidade backward
+const narrowerSchema = {
+    type: 'object',
+    properties: { level: { type: 'number', minimum: 1 } }
+};
+
+const storedConfig = (overrides = {}) => ({
+    id: 1,
+    environment: 'prod',
+    config_key: 'feature_limits',
+    config_value: { level: 2 },
+    config_type: 'system',
+    validation_schema: schema,
+    schema_compatibility: 'full',
+    version: 3,
+    tags: [],
+    ...overrides
+});
+
+const createService = (current) => {
+    const service = new ConfigService();
+
+    service.configModel = {
+        getConfig: jest.fn(async () => current),
+        getOverrideTenants: jest.fn(async () => []),
+        loadSchemaRefs: jest.fn(async () => new Map()),
+        expandSchema: jest.fn(async value => value),
+        updateConfig: jest.fn(async (configKey, updateData) => ({ ...current, ...updateData, version: current.version + 1 })),
+        deleteConfig: jest.fn(async () => current)
+    };
+
+    return service;
+};
+
+describe('ConfigService: troca de schema e modo de compatibilidade', () => {
+    it('rejeita o schema novo junto com outro modo (ex.: none) na mesma escrita', async () => {
+        const service = createService(storedConfig());
+
+        await expect(service.updateConfig('feature_limits', {
+            config_value: { level: 2 },
+            validation_schema: narrowerSchema,
+            schema_compatibility: 'none'
+        })).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('não podem ser alterados na mesma escrita') });
+        expect(service.configModel.updateConfig).not.toHaveBeenCalled();
+    });
+
+    it('verifica o schema novo no modo gravado da chave', async () => {
+        const service = createService(storedConfig());
+
+        await expect(service.updateConfig('feature_limits', {
+            config_value: { level: 2 },
+            validation_schema: narrowerSchema,
+            schema_compatibility: 'full'
+        })).rejects.toMatchObject({ statusCode: 409, details: { compatibility: 'full' } });
+    });
+
+    it('com o modo none já gravado, o schema novo é aceito', async () => {
+        const service = createService(storedConfig({ schema_compatibility: 'none' }));
+
+        await service.updateConfig('feature_limits', { config_value: { level: 2 }, validation_schema: narrowerSchema });
+
+        expect(service.configModel.updateConfig).toHaveBeenCalled();
+    });
+
+    it('o modo pode mudar sozinho, sem trocar o schema', async () => {
+        const service = createService(storedConfig());
+
+        await service.updateConfig('feature_limits', {
+            config_value: { level: 2 },
+            validation_schema: schema,
+            schema_compatibility: 'none'
+        });
+
+        expect(service.configModel.updateConfig).toHaveBeenCalled();
+    });
+
+    it('lotes aplicam a mesma regra', async () => {
+        const service = createService(storedConfig());
+
+        const errors = await service.validateBatch([{
+            op: 'update',
+            config_key: 'feature_limits',
+            config_value: { level: 2 },
+            validation_schema: narrowerSchema,
+            schema_compatibility: 'none'
+        }]);
+
+        expect(errors).toEqual([expect.objectContaining({ index: 0, message: expect.stringContaining('mesma escrita') })]);
+    });
+});
+
+describe('ConfigService: rollback', () => {
+    const versionTwo = { version: 2, config_value: { level: 1 }, description: 'Versão 2', validation_schema: schema };
+
+    it('aplica o valor da versão escolhida como uma nova versão (ROLLBACK)', async () => {
+        const service = createService(storedConfig());
+        service.configModel.getConfigVersion = jest.fn(async () => versionTwo);
+
+        const result = await service.rollbackConfig('feature_limits', { version: 2 }, 'maria', { expectedVersion: 3 });
+
+        expect(result).toMatchObject({ rolled_back_to: 2, config: { version: 4, config_value: { level: 1 } } });
+        expect(service.configModel.updateConfig).toHaveBeenCalledWith('feature_limits', expect.objectContaining({
+            config_value: { level: 1 },
+            description: 'Versão 2',
+            updated_by: 'maria',
+            action: 'ROLLBACK'
+        }), expect.objectContaining({ expectedVersion: 3 }));
+    });
+
+    it('versão inexistente é 404 e a versão atual é 409', async () => {
+        const service = createService(storedConfig());
+
+        service.configModel.getConfigVersion = jest.fn(async () => null);
+        await expect(service.rollbackConfig('feature_limits', { version: 9 }, 'maria')).rejects.toMatchObject({ statusCode: 404 });
+
+        service.configModel.getConfigVersion = jest.fn(async () => ({ ...versionTwo, version: 3 }));
+        await expect(service.rollbackConfig('feature_limits', { history_id: 12 }, 'maria')).rejects.toMatchObject({ statusCode: 409 });
+
+        expect(service.configModel.updateConfig).not.toHaveBeenCalled();
+    });
+});
+
+describe('ConfigService: leituras em uma data', () => {
+    it('lê de config_versions, sem cache, com as referências resolvidas na mesma data', async () => {
+        const service = createService(storedConfig());
+        const asOf = '2024-03-02T00:00:00Z';
+        const versions = {
+            feature_limits: storedConfig({ config_value: { level: '${limits_base.level}' }, version: 2 }),
+            limits_base: storedConfig({ config_key: 'limits_base', config_value: { level: 4 }, version: 5 })
+        };
+        service.configModel.getConfigAsOf = jest.fn(async configKey => versions[configKey] || null);
+
+        const config = await service.getConfig('feature_limits', { asOf });
+        await service.getConfig('feature_limits', { asOf });
+
+        expect(config).toMatchObject({ version: 2, config_value: { level: 4 }, references: ['limits_base'] });
+        expect(service.configModel.getConfigAsOf).toHaveBeenCalledWith('limits_base', asOf, expect.objectContaining({ asOf }));
+        expect(service.configModel.getConfigAsOf.mock.calls.filter(([configKey]) => configKey === 'feature_limits')).toHaveLength(2);
+        expect(service.configModel.getConfig).not.toHaveBeenCalled();
+    });
+});
+
+describe('ConfigService: overrides por tenant', () => {
+    const createTenantService = () => {
+        const service = createService(storedConfig());
+        service.configModel.getOverride = jest.fn(async (configKey, tenantId) => (
+            tenantId === 'brand_a' ? { config_key: configKey, tenant_id: tenantId, config_value: { level: 9 } } : null
+        ));
+        return service;
+    };
+
+    it('o override do tenant substitui o valor base; sem override, o tenant herda a base', async () => {
+        const service = createTenantService();
+
+        await expect(service.getConfig('feature_limits', { tenant: 'brand_a' }))
+            .resolves.toMatchObject({ config_value: { level: 9 }, tenant_id: 'brand_a', resolved_from: 'tenant' });
+        await expect(service.getConfig('feature_limits', { tenant: 'brand_b' }))
+            .resolves.toMatchObject({ config_value: { level: 2 }, tenant_id: 'brand_b', resolved_from: 'base' });
+        await expect(service.getConfig('feature_limits')).resolves.toMatchObject({ config_value: { level: 2 } });
+    });
+
+    it('o cache separa os valores de cada tenant', async () => {
+        const service = createTenantService();
+
+        await service.getConfig('feature_limits', { tenant: 'brand_a' });
+        const base = await service.getConfig('feature_limits');
+        const cached = await service.getConfig('feature_limits', { tenant: 'brand_a' });
+
+        expect(base.config_value).toEqual({ level: 2 });
+        expect(cached.config_value).toEqual({ level: 9 });
+        expect(service.configModel.getOverride).toHaveBeenCalledTimes(1);
+    });
+
+    it('remover um override inexistente é 404', async () => {
+        const service = createTenantService();
+        service.configModel.deleteOverride = jest.fn(async () => null);
+
+        await expect(service.deleteTenantOverride('feature_limits', 'brand_b')).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('ConfigService: lotes', () => {
+    it('qualquer operação inválida rejeita o lote inteiro, sem chegar ao banco', async () => {
+        const service = createService(storedConfig());
+        service.configModel.getConfig = jest.fn(async configKey => (configKey === 'feature_limits' ? storedConfig() : null));
+        service.configModel.applyBatch = jest.fn();
+
+        const error = await service.applyBatch([
+            { op: 'update', config_key: 'feature_limits', config_value: { level: 1 } },
+            { op: 'update', config_key: 'feature_limits', config_value: { level: -1 } },
+            { op: 'delete', config_key: 'missing_key' },
+            { op: 'update', config_key: 'feature_limits', config_value: { level: 1 }, expected_version: 3 }
+        ], 'maria').catch(caught => caught);
+
+        expect(error.statusCode).toBe(400);
+        expect(error.details.errors).toEqual([
+            expect.objectContaining({ index: 1, message: 'Validação falhou' }),
+            expect.objectContaining({ index: 2, message: 'Configuração não encontrada' }),
+            // A primeira operação já leva a chave para a versão 4 no estado simulado
+            expect.objectContaining({ index: 3, message: 'Versão desatualizada', current_version: 4 })
+        ]);
+        expect(service.configModel.applyBatch).not.toHaveBeenCalled();
+    });
+
+    it('operações seguintes enxergam o estado simulado das anteriores', async () => {
+        const service = createService(null);
+        service.configModel.applyBatch = jest.fn(async operations => operations.map(operation => ({
+            op: operation.op,
+            config: { config_key: operation.config_key, config_value: operation.config_value, version: 1, tags: [] }
+        })));
+
+        const result = await service.applyBatch([
+            { op: 'create', config_key: 'limits_base', config_value: { level: 4 }, config_type: 'system', config_category: 'limits' },
+            { op: 'create', config_key: 'feature_limits', config_value: { level: '${limits_base.level}' }, config_type: 'system', config_category: 'limits', validation_schema: schema }
+        ], 'maria');
+
+        expect(result.changes.map(change => change.action)).toEqual(['CREATE', 'CREATE']);
+        expect(service.configModel.applyBatch).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('ConfigService: reversão de mudanças agendadas', () => {
+    // Mudança ativa: aplicou { level: 5 } sobre { level: 2 } e a vigência terminou
+    const activeChange = {
+        id: 11,
+        environment: 'prod',
+        config_key: 'feature_limits',
+        config_value: { level: 5 },
+        previous_value: { level: 2 },
+        effective_until: new Date('2024-03-01T00:00:00Z'),
+        created_by: 'maria',
+        status: 'active'
+    };
+
+    const createSchedulerService = (current) => {
+        const service = createService(current);
+        service.configModel.transitionScheduledChange = jest.fn(async (id, from, to, fields) => ({ ...activeChange, id, status: to, ...fields }));
+        return service;
+    };
+
+    it('devolve o valor anterior enquanto o valor aplicado não foi alterado', async () => {
+        const service = createSchedulerService(storedConfig({ config_value: { level: 5 }, version: 6 }));
+
+        const result = await service.revertScheduledChange(activeChange);
+
+        expect(result.status).toBe('completed');
+        expect(service.configModel.updateConfig).toHaveBeenCalledWith('feature_limits', expect.objectContaining({
+            config_value: { level: 2 },
+            action: 'SCHEDULED_REVERT'
+        }), expect.objectContaining({ expectedVersion: 6 }));
+    });
+
+    it('um valor gravado durante a vigência prevalece: a reversão falha e é avisada', async () => {
+        const service = createSchedulerService(storedConfig({ config_value: { level: 7 } }));
+        const failures = [];
+        service.subscribeScheduleFailures(change => failures.push(change));
+
+        const result = await service.revertScheduledChange(activeChange);
+
+        expect(result).toMatchObject({ status: 'failed', error: expect.stringContaining('alterado durante a vigência') });
+        expect(failures).toEqual([result]);
+        expect(service.configModel.updateConfig).not.toHaveBeenCalled();
+    });
+
+    it('uma reversão já gravada (retomada após queda) só é concluída', async () => {
+        const service = createSchedulerService(storedConfig({ config_value: { level: 2 } }));
+
+        await expect(service.revertScheduledChange(activeChange)).resolves.toMatchObject({ status: 'completed' });
+        expect(service.configModel.updateConfig).not.toHaveBeenCalled();
+    });
+
+    it('uma escrita concorrente adia a reversão para o próximo ciclo', async () => {
+        const service = createSchedulerService(storedConfig({ config_value: { level: 5 }, version: 6 }));
+        service.configModel.updateConfig = jest.fn(async () => {
+            throw new ConflictError("Configuração 'feature_limits' foi alterada por outra operação (versão atual: 7)");
+        });
+
+        await expect(service.revertScheduledChange(activeChange)).resolves.toMatchObject({ status: 'active' });
+        expect(service.configModel.transitionScheduledChange).toHaveBeenLastCalledWith(11, 'reverting', 'active');
+    });
+
+    it('mudanças já reivindicadas por outra instância são ignoradas', async () => {
+        const service = createSchedulerService(storedConfig());
+        service.configModel.transitionScheduledChange = jest.fn(async () => null);
+
+        await expect(service.revertScheduledChange(activeChange)).resolves.toBeNull();
+        expect(service.configModel.getConfig).not.toHaveBeenCalled();
+    });
+});
+
+describe('ConfigService: importação de pacotes', () => {
+    const stored = {
+        feature_limits: storedConfig({ config_category: 'limits', config_value: { level: 2, burst: 10 } }),
+        rate_limits: storedConfig({ config_key: 'rate_limits', config_category: 'limits', config_value: { level: 1 } })
+    };
+    const bundle = {
+        configs: [
+            { config_key: 'feature_limits', config_value: { level: 3 }, config_type: 'system', config_category: 'limits' },
+            { config_key: 'rate_limits', config_value: { level: 1 }, config_type: 'system', config_category: 'limits' },
+            { config_key: 'new_limits', config_value: { level: 1 }, config_type: 'system', config_category: 'limits' },
+            { config_key: 'rate_limits_typed', config_value: { level: 1 }, config_type: 'mlm', config_category: 'limits' }
+        ]
+    };
+
+    const createImportService = () => {
+        const service = createService(null);
+        const configs = { ...stored, rate_limits_typed: storedConfig({ config_key: 'rate_limits_typed' }) };
+        service.configModel.getConfig = jest.fn(async configKey => configs[configKey] || null);
+        service.configModel.applyBatch = jest.fn(async operations => operations.map(operation => ({
+            op: operation.op,
+            config: { config_key: operation.config_key, config_value: operation.config_value, version: 1, tags: [] }
+        })));
+        return service;
+    };
+
+    it('dry_run (padrão) relata a ação de cada chave sem gravar', async () => {
+        const service = createImportService();
+
+        const result = await service.importConfigs(bundle, {});
+
+        expect(result).toMatchObject({ mode: 'merge', dry_run: true, summary: { create: 1, update: 1, skip: 1, conflict: 1 } });
+        expect(result.report).toEqual([
+            // merge: os campos do pacote são aplicados sobre o valor atual
+            expect.objectContaining({
+                config_key: 'feature_limits',
+                action: 'update',
+                current_version: 3,
+                changes: { config_value: { from: { level: 2, burst: 10 }, to: { level: 3, burst: 10 } } }
+            }),
+            { config_key: 'rate_limits', action: 'skip' },
+            { config_key: 'new_limits', action: 'create' },
+            expect.objectContaining({ config_key: 'rate_limits_typed', action: 'conflict', reason: expect.stringContaining('Tipo divergente') })
+        ]);
+        expect(service.configModel.applyBatch).not.toHaveBeenCalled();
+    });
+
+    it('replace troca o valor inteiro e, fora do dry_run, grava tudo em um único lote', async () => {
+        const service = createImportService();
+
+        const result = await service.importConfigs(bundle, { mode: 'replace', dry_run: false, imported_by: 'maria' });
+
+        expect(result.report[0].changes.config_value.to).toEqual({ level: 3 });
+        expect(service.configModel.applyBatch).toHaveBeenCalledTimes(1);
+        expect(service.configModel.applyBatch).toHaveBeenCalledWith([
+            expect.objectContaining({ op: 'update', config_key: 'feature_limits', expected_version: 3, action: 'IMPORT' }),
+            expect.objectContaining({ op: 'create', config_key: 'new_limits', action: 'IMPORT' })
+        ], 'maria', { environment: 'prod' });
+    });
+});
+
+describe('ConfigService: reconciliação com o estado desejado', () => {
+    it('planeja a criação das chaves dos arquivos e só aponta as chaves extras do banco', async () => {
+        const service = createService(null);
+        service.configModel.getAllConfigs = jest.fn(async () => [storedConfig({ config_category: 'limits' })]);
+        service.configModel.applyBatch = jest.fn();
+
+        const result = await service.reconcileConfigs({ flag_extra: true }, { environment: 'staging' });
+
+        expect(result).toMatchObject({ environment: 'staging', dry_run: true });
+        expect(result.plan.map(item => item.action)).toEqual(result.plan.map(() => 'create'));
+        expect(result.plan.map(item => item.config_key)).toEqual(expect.arrayContaining(['cpa_level_amounts', 'mlm_settings']));
+        expect(result.extra).toEqual([{ config_key: 'feature_limits', config_type: 'system', config_category: 'limits', version: 3 }]);
+        expect(service.configModel.applyBatch).not.toHaveBeenCalled();
+    });
+});
+
+describe('ConfigService: tags', () => {
+    it('a atualização grava a lista de tags e os subscribers recebem as tags da configuração', async () => {
+        const service = createService(storedConfig({ tags: ['limites'] }));
+        const notified = [];
+        service.subscribe('*', (configKey, value, environment, tenant, tags) => notified.push({ configKey, tags }));
+
+        await service.updateConfig('feature_limits', { config_value: { level: 1 }, tags: ['limites', 'critico'] }, {});
+
+        expect(service.configModel.updateConfig).toHaveBeenCalledWith('feature_limits', expect.objectContaining({ tags: ['limites', 'critico'] }), {});
+        expect(notified).toEqual([{ configKey: 'feature_limits', tags: ['limites', 'critico'] }]);
+    });
+});
+
+describe('ConfigService: schemas do registro', () => {
+    it('valida o valor contra o schema referenciado por nome@versão', async () => {
+        const service = createService(null);
+        service.configModel.loadSchemaRefs = jest.fn(async () => new Map([['limit_level@2', { type: 'number', minimum: 0 }]]));
+        const validationSchema = { type: 'object', properties: { level: { $ref: 'limit_level@2' } } };
+
+        await expect(service.validateWithSchema({ level: 1 }, validationSchema)).resolves.toMatchObject({ valid: true });
+        await expect(service.validateWithSchema({ level: -1 }, validationSchema))
+            .resolves.toMatchObject({ valid: false, errors: [expect.objectContaining({ field: 'level' })] });
+    });
+
+    it('uma referência que não pode ser carregada vira erro de validação', async () => {
+        const service = createService(null);
+        service.configModel.loadSchemaRefs = jest.fn(async () => {
+            throw new ServiceError('Schema não encontrado: limit_level@9');
+        });
+
+        await expect(service.validateWithSchema({ level: 1 }, { $ref: 'limit_level@9' }))
+            .resolves.toEqual({ valid: false, errors: [{ field: 'schema', message: 'Schema não encontrado: limit_level@9' }] });
+    });
+});
+
+describe('ConfigService: erros tipados', () => {
+    it('atualizar uma chave inexistente é NotFoundError (404)', async () => {
+        const service = createService(null);
+
+        const error = await service.updateConfig('feature_limits', { config_value: { level: 1 } }, {}).catch(caught => caught);
+
+        expect(error).toBeInstanceOf(NotFoundError);
+        expect(error.statusCode).toBe(404);
+        expect(service.configModel.updateConfig).not.toHaveBeenCalled();
+    });
+
+    it('valores inválidos trazem os erros de validação, com status 400', async () => {
+        const service = createService(storedConfig());
+
+        await expect(service.updateConfig('feature_limits', { config_value: { level: -1 } }, {})).rejects.toMatchObject({
+            statusCode: 400,
+            message: 'Validação falhou',
+            details: { errors: [expect.objectContaining({ field: 'level' })] }
+        });
+        await expect(service.createConfig({
+            config_key: 'feature_limits_v2',
+            config_value: { level: -1 },
+            config_type: 'system',
+            config_category: 'limits',
+            validation_schema: schema
+        })).rejects.toMatchObject({ statusCode: 400, details: { errors: [expect.objectContaining({ field: 'level' })] } });
+    });
+});
+
+describe('ConfigService: tipos que exigem aprovação', () => {
+    it('bloqueia escritas diretas com enforceApproval', async () => {
+        const service = createService(storedConfig({ config_type: 'cpa' }));
+
+        await expect(service.updateConfig('feature_limits', { config_value: { level: 2 } }, { enforceApproval: true }))
+            .rejects.toMatchObject({ statusCode: 403 });
+        await expect(service.deleteConfig('feature_limits', 'maria', { enforceApproval: true }))
+            .rejects.toMatchObject({ statusCode: 403 });
+        expect(service.configModel.updateConfig).not.toHaveBeenCalled();
+        expect(service.configModel.deleteConfig).not.toHaveBeenCalled();
+    });
+
+    it('bloqueia update e delete em lote', async () => {
+        const service = createService(storedConfig({ config_type: 'cpa' }));
+
+        const errors = await service.validateBatch([
+            { op: 'update', config_key: 'feature_limits', config_value: { level: 2 } },
+            { op: 'delete', config_key: 'feature_limits' }
+        ]);
+
+        expect(errors.map(error => [error.op, error.message])).toEqual([
+            ['update', expect.stringContaining('exigem aprovação')],
+            ['delete', expect.stringContaining('exigem aprovação')]
+        ]);
+    });
+
+    it('bloqueia o agendamento direto e aponta a solicitação de mudança', async () => {
+        const service = createService(storedConfig({ config_type: 'cpa' }));
+
+        await expect(service.scheduleConfigChange('feature_limits', {
+            config_value: { level: 5 },
+            effective_from: new Date(Date.now() + 60000)
+        }, { enforceApproval: true })).rejects.toMatchObject({ statusCode: 403, message: expect.stringContaining('effective_from') });
+    });
+
+    it('solicitação aprovada com vigência cria a mudança agendada, sem aplicar o valor', async () => {
+        const service = createService(storedConfig({ config_type: 'cpa' }));
+        const effectiveFrom = new Date(Date.now() + 60000);
+        const changeRequest = {
+            id: 7,
+            environment: 'prod',
+            config_key: 'feature_limits',
+            config_value: { level: 5 },
+            base_version: 3,
+            status: 'pending',
+            requested_by: 'maria',
+            effective_from: effectiveFrom,
+            effective_until: null
+        };
+
+        Object.assign(service.configModel, {
+            getChangeRequest: jest.fn(async () => changeRequest),
+            getChangeRequestComments: jest.fn(async () => []),
+            transitionChangeRequest: jest.fn(async (id, from, to, fields) => ({ ...changeRequest, status: to, ...fields })),
+            createScheduledChange: jest.fn(async (configKey, data, options) => ({ id: 11, environment: options.environment, ...data }))
+        });
+
+        const result = await service.approveChangeRequest('feature_limits', 7, 'joao');
+
+        expect(service.configModel.createScheduledChange).toHaveBeenCalledWith('feature_limits', expect.objectContaining({
+            config_value: { level: 5 },
+            effective_from: effectiveFrom,
+            created_by: 'joao'
+        }), { environment: 'prod' });
+        expect(service.configModel.updateConfig).not.toHaveBeenCalled();
+        expect(result.change_request).toMatchObject({ status: 'approved', reviewed_by: 'joao', scheduled_change_id: 11 });
+    });
+
+    it('mudanças agendadas de tipos sensíveis são aplicadas pelo agendador', async () => {
+        const service = createService(storedConfig({ config_type: 'cpa' }));
+        service.configModel.transitionScheduledChange = jest.fn(async (id, from, to, fields) => ({ id, status: to, ...fields }));
+
+        const result = await service.applyScheduledChange({
+            id: 11,
+            environment: 'prod',
+            config_key: 'feature_limits',
+            config_value: { level: 5 },
+            created_by: 'joao',
+            effective_until: null
+        });
+
+        expect(result).toMatchObject({ status: 'completed', applied_version: 4 });
+        expect(service.configModel.updateConfig).toHaveBeenCalledWith('feature_limits', expect.objectContaining({
+            config_value: { level: 5 },
+            action: 'SCHEDULED_APPLY'
+        }), expect.objectContaining({ expectedVersion: 3 }));
+    });
+
+    it('bloqueia criar ou recriar a chave diretamente, nos lotes e na importação', async () => {
+        const service = createService(null);
+        service.configModel.createConfig = jest.fn();
+        const entry = { config_key: 'cpa_bonus', config_value: { level: 9 }, config_type: 'cpa', config_category: 'cpa' };
+
+        await expect(service.createConfig(entry, { enforceApproval: true })).rejects.toMatchObject({ statusCode: 403 });
+        expect(service.configModel.createConfig).not.toHaveBeenCalled();
+
+        const errors = await service.validateBatch([{ op: 'create', ...entry }], { enforceApproval: true });
+        expect(errors).toEqual([expect.objectContaining({ op: 'create', message: expect.stringContaining('exigem aprovação') })]);
+
+        const { report } = await service.importConfigs({ configs: [entry] }, { dry_run: true }, { enforceApproval: true });
+        expect(report).toEqual([expect.objectContaining({ config_key: 'cpa_bonus', action: 'conflict' })]);
+    });
+
+    it('o estado desejado (sem enforceApproval) ainda cria esses tipos', async () => {
+        const service = createService(null);
+        const entry = { config_key: 'cpa_bonus', config_value: { level: 9 }, config_type: 'cpa', config_category: 'cpa' };
+
+        const { report } = await service.importConfigs({ configs: [entry] }, { dry_run: true, action: 'RECONCILE' });
+
+        expect(report).toEqual([expect.objectContaining({ config_key: 'cpa_bonus', action: 'create' })]);
+    });
+});
+
+describe('ConfigService: restrições com overrides por tenant', () => {
+    const mlmSettings = { max_hierarchy_levels: 5, minimum_amount: 1, max_total_payout: 100 };
+
+    // Base: soma 60; o tenant brand_a sobrescreve os valores (soma 90), o brand_b sobrescreve o teto (50)
+    const createConstraintService = () => {
+        const configs = {
+            cpa_level_amounts: storedConfig({ config_key: 'cpa_level_amounts', config_type: 'cpa', config_value: { level_1: 40, level_2: 20 }, validation_schema: null }),
+            mlm_settings: storedConfig({ config_key: 'mlm_settings', config_type: 'mlm', config_value: mlmSettings, validation_schema: null })
+        };
+        const overrides = {
+            brand_a: { cpa_level_amounts: { level_1: 60, level_2: 30 } },
+            brand_b: { mlm_settings: { ...mlmSettings, max_total_payout: 50 } }
+        };
+
+        const service = createService(null);
+        Object.assign(service.configModel, {
+            getConfig: jest.fn(async configKey => configs[configKey] || null),
+            getOverride: jest.fn(async (configKey, tenantId) => {
+                const value = (overrides[tenantId] || {})[configKey];
+                return value ? { config_key: configKey, tenant_id: tenantId, config_value: value } : null;
+            }),
+            getOverrideTenants: jest.fn(async () => Object.keys(overrides))
+        });
+
+        return service;
+    };
+
+    it('avalia a mudança na base com o valor efetivo de cada tenant', async () => {
+        const service = createConstraintService();
+
+        const violations = await service.checkConstraints(['mlm_settings'], {
+            pending: new Map([['mlm_settings', { config_key: 'mlm_settings', config_value: { ...mlmSettings, max_total_payout: 80 } }]])
+        });
+
+        // A base (60) cabe no teto novo; o brand_a (90) excede o teto novo e o brand_b (60), o próprio teto de 50
+        expect(violations).toEqual([
+            expect.objectContaining({ tenant: 'brand_a', message: expect.stringMatching(/^Tenant brand_a: Soma .*\(90\).*\(80\)/) }),
+            expect.objectContaining({ tenant: 'brand_b', message: expect.stringContaining('(50)') })
+        ]);
+    });
+
+    it('o valor pendente de um override vale como o efetivo do próprio tenant', async () => {
+        const service = createConstraintService();
+
+        const violations = await service.checkConstraints(['cpa_level_amounts'], {
+            tenant: 'brand_b',
+            pending: new Map([['cpa_level_amounts', { config_key: 'cpa_level_amounts', tenant_id: 'brand_b', config_value: { level_1: 30, level_2: 20 } }]])
+        });
+
+        expect(violations).toEqual([]);
+        expect(service.configModel.getOverrideTenants).not.toHaveBeenCalled();
+    });
+});
+
+describe('ConfigService: promoção entre ambientes', () => {
+    const environment = { ...process.env };
+
+    beforeAll(() => {
+        process.env.CONFIG_MASTER_KEY = crypto.randomBytes(32).toString('base64');
+    });
+
+    afterAll(() => {
+        process.env = environment;
+    });
+
+    // Mesma chave nos dois ambientes, com o segredo cifrado separadamente (envelopes diferentes)
+    const createPromotionService = (targetConfig) => {
+        const secretConfig = (overrides) => storedConfig({
+            config_key: 'payment_gateway',
+            config_value: encryptSecrets({ api_key: 'chave-real' }, null, true),
+            validation_schema: null,
+            is_secret: true,
+            tags: ['pagamentos'],
+            schema_compatibility: 'backward',
+            ...overrides
+        });
+        const configs = {
+            staging: secretConfig({ environment: 'staging' }),
+            prod: targetConfig === undefined ? secretConfig({ environment: 'prod' }) : targetConfig
+        };
+
+        const service = createService(null);
+        service.configModel.getConfig = jest.fn(async (configKey, options) => configs[options.environment]);
+        service.configModel.createConfig = jest.fn(async configData => ({ ...configData, version: 1 }));
+
+        return { service, source: configs.staging };
+    };
+
+    it('segredos com o mesmo valor não aparecem como alterados', async () => {
+        const { service } = createPromotionService();
+
+        const result = await service.promoteConfigs({
+            source_environment: 'staging',
+            target_environment: 'prod',
+            config_key: 'payment_gateway'
+        });
+
+        expect(result.diff).toEqual([expect.objectContaining({ action: 'unchanged', changes: {} })]);
+    });
+
+    it('o plano (dry_run, padrão) mostra cada campo alterado, sem gravar', async () => {
+        const { service } = createPromotionService(storedConfig({ config_key: 'payment_gateway', environment: 'prod', config_value: { api_key: 'outra' }, version: 8 }));
+
+        const result = await service.promoteConfigs({
+            source_environment: 'staging',
+            target_environment: 'prod',
+            config_key: 'payment_gateway'
+        });
+
+        expect(result).toMatchObject({ dry_run: true, diff: [{ action: 'update', source_version: 3, target_version: 8, requires_approval: false }] });
+        expect(Object.keys(result.diff[0].changes)).toEqual(['config_value', 'validation_schema']);
+        expect(service.configModel.updateConfig).not.toHaveBeenCalled();
+    });
+
+    it('recusa promover para o mesmo ambiente e bloqueia tipos que exigem aprovação antes de gravar', async () => {
+        const { service } = createPromotionService(null);
+        service.configModel.getConfig = jest.fn(async (configKey, options) => (
+            options.environment === 'staging' ? storedConfig({ config_key: configKey, config_type: 'cpa' }) : null
+        ));
+
+        await expect(service.promoteConfigs({ source_environment: 'prod', target_environment: 'prod', config_key: 'payment_gateway' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(service.promoteConfigs({
+            source_environment: 'staging',
+            target_environment: 'prod',
+            config_key: 'cpa_level_amounts',
+            dry_run: false
+        })).rejects.toMatchObject({ statusCode: 403, details: { config_keys: ['cpa_level_amounts'] } });
+        expect(service.configModel.createConfig).not.toHaveBeenCalled();
+    });
+
+    it('a chave criada no destino mantém is_secret, tags e schema_compatibility', async () => {
+        const { service, source } = createPromotionService(null);
+
+        await service.promoteConfigs({
+            source_environment: 'staging',
+            target_environment: 'prod',
+            config_key: 'payment_gateway',
+            dry_run: false,
+            promoted_by: 'maria'
+        });
+
+        expect(service.configModel.createConfig).toHaveBeenCalledWith(expect.objectContaining({
+            environment: 'prod',
+            config_value: source.config_value,
+            is_secret: true,
+            tags: ['pagamentos'],
+            schema_compatibility: 'backward',
+            action: 'PROMOTE'
+        }));
+    });
+});
@@ -1,5 +1,7 @@
 const axios = require('axios');
 const WebSocket = require('ws');
+const { evaluateCpaRules } = require('./cpaRules');
+const { simulatePayout } = require('./cpaPayout');
 
 /**
  * SDK Client para o Config Service
@@ -10,6 +12,8 @@ class ConfigClient {
         this.baseURL = options.baseURL || process.env.CONFIG_SERVICE_URL || 'http://localhost:3000/api/v1';
         this.wsURL = options.wsURL || process.env.CONFIG_SERVICE_WS_URL || 'ws://localhost:3000/ws/config';
         this.apiKey = options.apiKey || process.env.CONFIG_SERVICE_API_KEY;
+        this.environment = options.environment || process.env.CONFIG_SERVICE_ENVIRONMENT || 'prod';
+        this.tenant = options.tenant || process.env.CONFIG_SERVICE_TENANT || null;
         this.timeout = options.timeout || 30000;
         
         // Cache local
@@ -32,7 +36,9 @@ class ConfigClient {
             timeout: this.timeout,
             headers: {
                 'Content-Type': 'application/json',
-                'X-API-Key': this.apiKey
+                'X-API-Key': this.apiKey,
+                'X-Config-Environment': this.environment,
+                ...(this.tenant ? { 'X-Tenant-Id': this.tenant } : {})
             }
         });
 
@@ -133,6 +139,18 @@ class ConfigClient {
         });
     }
 
+    // Qualificação CPA avaliada localmente, com o mesmo avaliador de POST /cpa/evaluate
+    async evaluateCpa(metrics) {
+        const rules = await this.getCpaValidationRules();
+        return evaluateCpaRules(rules, metrics);
+    }
+
+    // Distribuição do CPA pela upline calculada localmente, com o mesmo cálculo de POST /cpa/simulate
+    async simulateCpa(upline) {
+        const [levelAmounts, mlmSettings] = await Promise.all([this.getCpaLevelAmounts(), this.getMlmSettings()]);
+        return simulatePayout({ levelAmounts, mlmSettings, upline });
+    }
+
     // Métodos específicos para configurações do sistema
     async getSystemSettings() {
         return await this.getConfig('system_settings', {
@@ -215,7 +233,8 @@ class ConfigClient {
                 if (keysToSubscribe.length > 0) {
                     this.ws.send(JSON.stringify({
                         action: 'subscribe',
-                        keys: keysToSubscribe
+                        keys: keysToSubscribe,
+                        environment: this.environment
                     }));
                 }
             });
@@ -247,7 +266,27 @@ class ConfigClient {
     handleWebSocketMessage(message) {
         switch (message.type) {
             case 'config_changed':
-                this.handleConfigChange(message.key, message.value);
+                // Ignorar mudanças de outros ambientes e de overrides de outros tenants
+                if (message.environment && message.environment !== this.environment) {
+                    break;
+                }
+                if (message.tenant && message.tenant !== this.tenant) {
+                    break;
+                }
+                this.handleConfigChange(message.key, message.value, message.tenant)
+                    .catch(error => console.error('Erro ao processar mudança de configuração:', error));
+                break;
+            case 'config_batch_changed':
+                if (message.environment && message.environment !== this.environment) {
+                    break;
+                }
+                message.changes.forEach(change => this.handleConfigChange(change.key, change.value)
+                    .catch(error => console.error('Erro ao processar mudança de configuração:', error)));
+                break;
+            case 'scheduled_change_failed':
+                if (!message.environment || message.environment === this.environment) {
+                    console.error(`Mudança agendada ${message.schedule_id} de ${message.key} falhou:`, message.error);
+                }
                 break;
             case 'connected':
                 console.log('Config Client WebSocket:', message.message);
@@ -261,16 +300,24 @@ class ConfigClient {
         }
     }
 
-    handleConfigChange(key, newValue) {
-        // Atualizar cache local
-        this.addToCache(key, newValue);
+    async handleConfigChange(key, newValue, tenant = null) {
+        // Com tenant, uma mudança no valor base pode estar encoberta por um override: buscar o valor resolvido
+        if (this.tenant && !tenant) {
+            this.clearCache(key);
+            newValue = await this.getConfig(key, newValue);
+        } else {
+            // Atualizar cache local
+            this.addToCache(key, newValue);
+        }
         
         // Chamar callbacks registrados
         const callbacks = this.changeCallbacks.get(key);
         if (callbacks) {
             callbacks.forEach(callback => {
                 try {
-                    callback(newValue, key);
+                    // Callbacks assíncronos: a rejeição é tratada como um erro síncrono
+                    Promise.resolve(callback(newValue, key))
+                        .catch(error => console.error('Erro ao executar callback de mudança:', error));
                 } catch (error) {
                     console.error('Erro ao executar callback de mudança:', error);
                 }
@@ -304,7 +351,8 @@ class ConfigClient {
         if (this.ws && this.ws.readyState === WebSocket.OPEN) {
             this.ws.send(JSON.stringify({
                 action: 'subscribe',
-                keys: [configKey]
+                keys: [configKey],
+                environment: this.environment
             }));
         }
     }
@@ -321,7 +369,8 @@ class ConfigClient {
                 if (this.ws && this.ws.readyState === WebSocket.OPEN) {
                     this.ws.send(JSON.stringify({
                         action: 'unsubscribe',
-                        keys: [configKey]
+                        keys: [configKey],
+                        environment: this.environment
                     }));
                 }
             }
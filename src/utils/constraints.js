@@ -0,0 +1,82 @@
+// Restrições de negócio entre chaves. Cada restrição declara as chaves que lê e devolve as mensagens das violações;
+// só é avaliada quando todas as chaves existem e alguma delas está sendo alterada.
+const constraints = new Map();
+
+const registerConstraint = ({ name, description, keys, check }) => {
+    constraints.set(name, { name, description, keys, check });
+};
+
+const getConstraints = () => Array.from(constraints.values());
+
+// Restrições que leem alguma das chaves alteradas
+const findConstraints = (changedKeys) => getConstraints()
+    .filter(constraint => constraint.keys.some(key => changedKeys.includes(key)));
+
+// values: chave -> valor resolvido (undefined quando a chave não existe)
+const evaluateConstraints = (selected, values) => selected.flatMap(constraint => {
+    if (constraint.keys.some(key => values[key] === undefined || values[key] === null)) {
+        return [];
+    }
+
+    return constraint.check(values).map(message => ({
+        constraint: constraint.name,
+        keys: constraint.keys,
+        message
+    }));
+});
+
+// Níveis de cpa_level_amounts ("level_1", "level_2"...) em ordem
+const LEVEL_PATTERN = /^level_(\d+)$/;
+
+const levelAmounts = (amounts) => Object.entries(amounts)
+    .map(([field, amount]) => ({ field, level: Number((field.match(LEVEL_PATTERN) || [])[1]), amount }))
+    .filter(({ level }) => Number.isInteger(level))
+    .sort((a, b) => a.level - b.level);
+
+registerConstraint({
+    name: 'cpa_levels_within_hierarchy',
+    description: 'cpa_level_amounts não pode ter níveis além de mlm_settings.max_hierarchy_levels',
+    keys: ['cpa_level_amounts', 'mlm_settings'],
+    check: ({ cpa_level_amounts: amounts, mlm_settings: mlm }) => {
+        const exceeding = levelAmounts(amounts).filter(({ level }) => level > mlm.max_hierarchy_levels);
+
+        return exceeding.length > 0
+            ? [`Níveis acima de mlm_settings.max_hierarchy_levels (${mlm.max_hierarchy_levels}): ${exceeding.map(({ field }) => field).join(', ')}`]
+            : [];
+    }
+});
+
+registerConstraint({
+    name: 'cpa_total_within_payout_cap',
+    description: 'A soma de cpa_level_amounts não pode exceder mlm_settings.max_total_payout (quando definido)',
+    keys: ['cpa_level_amounts', 'mlm_settings'],
+    check: ({ cpa_level_amounts: amounts, mlm_settings: mlm }) => {
+        if (typeof mlm.max_total_payout !== 'number') {
+            return [];
+        }
+
+        // Comparação em centavos: a soma em ponto flutuante (0.1 + 0.2) não pode exceder um teto igual (0.3)
+        const cents = levelAmounts(amounts).reduce((sum, { amount }) => sum + Math.round(Number(amount) * 100), 0);
+        const total = cents / 100;
+
+        return cents > Math.round(mlm.max_total_payout * 100)
+            ? [`Soma de cpa_level_amounts (${total}) excede mlm_settings.max_total_payout (${mlm.max_total_payout})`]
+            : [];
+    }
+});
+
+registerConstraint({
+    name: 'cpa_amounts_above_minimum',
+    description: 'Cada valor de cpa_level_amounts deve ser no mínimo mlm_settings.minimum_amount',
+    keys: ['cpa_level_amounts', 'mlm_settings'],
+    check: ({ cpa_level_amounts: amounts, mlm_settings: mlm }) => levelAmounts(amounts)
+        .filter(({ amount }) => Number(amount) < mlm.minimum_amount)
+        .map(({ field, amount }) => `${field} (${amount}) abaixo de mlm_settings.minimum_amount (${mlm.minimum_amount})`)
+});
+
+module.exports = {
+    registerConstraint,
+    getConstraints,
+    findConstraints,
+    evaluateConstraints
+};
@@ -0,0 +1,69 @@
+const { getConstraints, findConstraints, evaluateConstraints } = require('./constraints');
+
+const mlm = { max_hierarchy_levels: 3, minimum_amount: 1, max_total_payout: 60 };
+const amounts = { level_1: 35, level_2: 10, level_3: 5 };
+
+const violationsFor = (values) => evaluateConstraints(findConstraints(Object.keys(values)), values);
+
+describe('constraints', () => {
+    it('registra as restrições entre cpa_level_amounts e mlm_settings', () => {
+        expect(getConstraints().map(constraint => constraint.name)).toEqual([
+            'cpa_levels_within_hierarchy',
+            'cpa_total_within_payout_cap',
+            'cpa_amounts_above_minimum'
+        ]);
+    });
+
+    it('seleciona apenas as restrições que leem as chaves alteradas', () => {
+        expect(findConstraints(['mlm_settings'])).toHaveLength(3);
+        expect(findConstraints(['system_settings'])).toEqual([]);
+    });
+
+    it('valores consistentes não geram violações', () => {
+        expect(violationsFor({ cpa_level_amounts: amounts, mlm_settings: mlm })).toEqual([]);
+    });
+
+    it('ignora restrições com alguma chave ausente', () => {
+        expect(violationsFor({ cpa_level_amounts: { level_9: 0 }, mlm_settings: undefined })).toEqual([]);
+        expect(violationsFor({ cpa_level_amounts: { level_9: 0 }, mlm_settings: null })).toEqual([]);
+    });
+
+    it('aponta níveis além de max_hierarchy_levels', () => {
+        const violations = violationsFor({ cpa_level_amounts: { ...amounts, level_4: 1 }, mlm_settings: mlm });
+
+        expect(violations).toEqual([expect.objectContaining({
+            constraint: 'cpa_levels_within_hierarchy',
+            keys: ['cpa_level_amounts', 'mlm_settings'],
+            message: expect.stringContaining('level_4')
+        })]);
+    });
+
+    it('aplica o teto de pagamento só quando max_total_payout está definido', () => {
+        const values = { cpa_level_amounts: { ...amounts, level_1: 50 }, mlm_settings: mlm };
+
+        expect(violationsFor(values).map(violation => violation.constraint)).toEqual(['cpa_total_within_payout_cap']);
+        expect(violationsFor({ ...values, mlm_settings: { ...mlm, max_total_payout: undefined } })).toEqual([]);
+    });
+
+    it('compara a soma com o teto em centavos', () => {
+        const cap = { ...mlm, minimum_amount: 0, max_total_payout: 0.3 };
+
+        expect(violationsFor({ cpa_level_amounts: { level_1: 0.1, level_2: 0.2 }, mlm_settings: cap })).toEqual([]);
+        expect(violationsFor({ cpa_level_amounts: { level_1: 0.1, level_2: 0.21 }, mlm_settings: cap })).toEqual([
+            expect.objectContaining({ message: 'Soma de cpa_level_amounts (0.31) excede mlm_settings.max_total_payout (0.3)' })
+        ]);
+    });
+
+    it('aponta cada nível abaixo de minimum_amount', () => {
+        const violations = violationsFor({ cpa_level_amounts: { ...amounts, level_2: 0.5, level_3: '0' }, mlm_settings: mlm });
+
+        expect(violations.map(violation => violation.message)).toEqual([
+            'level_2 (0.5) abaixo de mlm_settings.minimum_amount (1)',
+            'level_3 (0) abaixo de mlm_settings.minimum_amount (1)'
+        ]);
+    });
+
+    it('considera apenas os campos level_N', () => {
+        expect(violationsFor({ cpa_level_amounts: { ...amounts, currency: 'BRL' }, mlm_settings: mlm })).toEqual([]);
+    });
+});
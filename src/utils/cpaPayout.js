@@ -0,0 +1,48 @@
+// Distribuição do CPA de uma indicação pela cadeia de afiliados, compartilhada pelo serviço e pelo ConfigClient
+// (upline[0] é o indicador direto, nível 1).
+// standard: cada nível recebe o valor configurado em cpa_level_amounts;
+// progressive: os valores dos níveis sem afiliado na cadeia (até max_hierarchy_levels) sobem para o afiliado mais alto.
+// Valores abaixo de minimum_amount não são pagos.
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const simulatePayout = ({ levelAmounts, mlmSettings, upline }) => {
+    const maxLevels = mlmSettings.max_hierarchy_levels;
+    const configuredAmount = (level) => Number(levelAmounts[`level_${level}`]) || 0;
+    const paidLevels = Math.min(upline.length, maxLevels);
+
+    const levels = upline.slice(0, paidLevels).map((affiliateId, index) => ({
+        level: index + 1,
+        affiliate_id: affiliateId,
+        configured_amount: configuredAmount(index + 1),
+        rolled_up_amount: 0
+    }));
+
+    if (mlmSettings.calculation_method === 'progressive' && levels.length > 0) {
+        let rolledUp = 0;
+        for (let level = paidLevels + 1; level <= maxLevels; level++) {
+            rolledUp += configuredAmount(level);
+        }
+        levels[levels.length - 1].rolled_up_amount = roundAmount(rolledUp);
+    }
+
+    const payouts = levels.map(entry => {
+        const amount = entry.configured_amount + entry.rolled_up_amount;
+        const status = amount === 0 ? 'no_amount' : amount < mlmSettings.minimum_amount ? 'below_minimum' : 'paid';
+
+        return { ...entry, amount: status === 'paid' ? roundAmount(amount) : 0, status };
+    });
+
+    return {
+        calculation_method: mlmSettings.calculation_method,
+        currency: mlmSettings.currency,
+        max_hierarchy_levels: maxLevels,
+        minimum_amount: mlmSettings.minimum_amount,
+        levels: payouts,
+        beyond_max_levels: upline.slice(paidLevels),
+        total: roundAmount(payouts.reduce((sum, entry) => sum + entry.amount, 0))
+    };
+};
+
+module.exports = {
+    simulatePayout
+};
@@ -0,0 +1,59 @@
+const { simulatePayout } = require('./cpaPayout');
+
+const levelAmounts = { level_1: 35, level_2: 10, level_3: 5, level_4: 0.15 };
+const mlmSettings = { max_hierarchy_levels: 4, minimum_amount: 1, calculation_method: 'standard', currency: 'BRL' };
+
+describe('simulatePayout', () => {
+    it('paga o valor configurado de cada nível da cadeia', () => {
+        const result = simulatePayout({ levelAmounts, mlmSettings, upline: ['a', 'b', 'c'] });
+
+        expect(result.levels.map(level => [level.affiliate_id, level.amount, level.status])).toEqual([
+            ['a', 35, 'paid'],
+            ['b', 10, 'paid'],
+            ['c', 5, 'paid']
+        ]);
+        expect(result.total).toBe(50);
+        expect(result.beyond_max_levels).toEqual([]);
+    });
+
+    it('não paga valores abaixo de minimum_amount nem níveis sem valor', () => {
+        const result = simulatePayout({
+            levelAmounts: { ...levelAmounts, level_2: undefined },
+            mlmSettings,
+            upline: ['a', 'b', 'c', 'd']
+        });
+
+        expect(result.levels.map(level => [level.status, level.amount])).toEqual([
+            ['paid', 35],
+            ['no_amount', 0],
+            ['paid', 5],
+            ['below_minimum', 0]
+        ]);
+        expect(result.total).toBe(40);
+    });
+
+    it('afiliados além de max_hierarchy_levels não recebem', () => {
+        const result = simulatePayout({ levelAmounts, mlmSettings, upline: ['a', 'b', 'c', 'd', 'e', 'f'] });
+
+        expect(result.levels).toHaveLength(4);
+        expect(result.beyond_max_levels).toEqual(['e', 'f']);
+    });
+
+    it('progressive: os níveis sem afiliado sobem para o afiliado mais alto', () => {
+        const result = simulatePayout({
+            levelAmounts,
+            mlmSettings: { ...mlmSettings, calculation_method: 'progressive' },
+            upline: ['a', 'b']
+        });
+
+        expect(result.levels[1]).toMatchObject({ configured_amount: 10, rolled_up_amount: 5.15, amount: 15.15, status: 'paid' });
+        expect(result.total).toBe(50.15);
+    });
+
+    it('sem afiliados, não há pagamento', () => {
+        const result = simulatePayout({ levelAmounts, mlmSettings: { ...mlmSettings, calculation_method: 'progressive' }, upline: [] });
+
+        expect(result.levels).toEqual([]);
+        expect(result.total).toBe(0);
+    });
+});
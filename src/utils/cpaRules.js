@@ -0,0 +1,52 @@
+// Avaliação das regras de qualificação CPA (cpa_validation_rules), compartilhada pelo serviço e pelo ConfigClient.
+// Um critério passa quando a métrica do jogador atinge o valor mínimo (deposit, bets, ggr). Critérios e grupos com
+// enabled: false são ignorados; sem nenhum grupo ativo, o jogador não se qualifica.
+const CPA_METRICS = ['deposit', 'bets', 'ggr'];
+
+const combine = (operator, results) => (operator === 'OR'
+    ? results.some(Boolean)
+    : results.every(Boolean));
+
+// Critérios de um grupo desabilitado também ficam desabilitados
+const evaluateCriterion = (criterion, metrics, groupEnabled) => {
+    const enabled = groupEnabled && criterion.enabled !== false;
+    const actual = typeof metrics[criterion.type] === 'number' ? metrics[criterion.type] : null;
+
+    return {
+        type: criterion.type,
+        value: criterion.value,
+        actual,
+        enabled,
+        passed: enabled ? actual !== null && actual >= criterion.value : null
+    };
+};
+
+const evaluateGroup = (group, index, metrics) => {
+    const criteria = (group.criteria || []).map(criterion => evaluateCriterion(criterion, metrics, group.enabled !== false));
+    const active = criteria.filter(criterion => criterion.enabled);
+    const enabled = active.length > 0;
+
+    return {
+        index,
+        operator: group.operator,
+        enabled,
+        passed: enabled ? combine(group.operator, active.map(criterion => criterion.passed)) : null,
+        criteria
+    };
+};
+
+const evaluateCpaRules = (rules, metrics = {}) => {
+    const groups = (rules.groups || []).map((group, index) => evaluateGroup(group, index, metrics));
+    const active = groups.filter(group => group.enabled);
+
+    return {
+        qualified: active.length > 0 && combine(rules.group_operator, active.map(group => group.passed)),
+        group_operator: rules.group_operator,
+        groups
+    };
+};
+
+module.exports = {
+    CPA_METRICS,
+    evaluateCpaRules
+};
@@ -0,0 +1,65 @@
+const { evaluateCpaRules } = require('./cpaRules');
+
+const rules = {
+    group_operator: 'OR',
+    groups: [
+        {
+            operator: 'AND',
+            criteria: [
+                { type: 'deposit', value: 30 },
+                { type: 'bets', value: 10 }
+            ]
+        },
+        {
+            operator: 'OR',
+            criteria: [{ type: 'ggr', value: 100 }]
+        }
+    ]
+};
+
+describe('evaluateCpaRules', () => {
+    it('qualifica quando algum grupo passa (OR entre grupos)', () => {
+        const result = evaluateCpaRules(rules, { deposit: 50, bets: 10 });
+
+        expect(result.qualified).toBe(true);
+        expect(result.groups.map(group => group.passed)).toEqual([true, false]);
+    });
+
+    it('exige todos os critérios de um grupo AND', () => {
+        const result = evaluateCpaRules(rules, { deposit: 50, bets: 9 });
+
+        expect(result.qualified).toBe(false);
+        expect(result.groups[0].criteria.map(criterion => criterion.passed)).toEqual([true, false]);
+    });
+
+    it('exige todos os grupos com group_operator AND', () => {
+        expect(evaluateCpaRules({ ...rules, group_operator: 'AND' }, { deposit: 50, bets: 10 }).qualified).toBe(false);
+        expect(evaluateCpaRules({ ...rules, group_operator: 'AND' }, { deposit: 50, bets: 10, ggr: 100 }).qualified).toBe(true);
+    });
+
+    it('métrica ausente ou não numérica não passa', () => {
+        const [criterion] = evaluateCpaRules(rules, { deposit: '50' }).groups[0].criteria;
+
+        expect(criterion).toEqual({ type: 'deposit', value: 30, actual: null, enabled: true, passed: false });
+    });
+
+    it('ignora critérios e grupos desabilitados', () => {
+        const result = evaluateCpaRules({
+            group_operator: 'AND',
+            groups: [
+                { operator: 'AND', criteria: [{ type: 'deposit', value: 30 }, { type: 'bets', value: 10, enabled: false }] },
+                { operator: 'AND', enabled: false, criteria: [{ type: 'ggr', value: 100 }] }
+            ]
+        }, { deposit: 30 });
+
+        expect(result.qualified).toBe(true);
+        expect(result.groups[0].criteria[1]).toMatchObject({ enabled: false, passed: null });
+        expect(result.groups[1]).toMatchObject({ enabled: false, passed: null });
+        expect(result.groups[1].criteria[0].enabled).toBe(false);
+    });
+
+    it('sem nenhum grupo ativo, não qualifica', () => {
+        expect(evaluateCpaRules({ group_operator: 'OR', groups: [] }, { deposit: 100 }).qualified).toBe(false);
+        expect(evaluateCpaRules({ group_operator: 'OR' }).qualified).toBe(false);
+    });
+});
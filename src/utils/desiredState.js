@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { configEntrySchema } = require('./schemas');
+
+// Diretório versionado com o estado desejado das configurações.
+// Arquivos na raiz valem para todos os ambientes; arquivos em <diretório>/<ambiente>/ sobrescrevem por chave.
+const DESIRED_STATE_DIR = process.env.DESIRED_STATE_DIR || path.join(__dirname, '../../config/desired-state');
+
+const SUPPORTED_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Um arquivo contém uma configuração ou uma lista em `configs` (mesmo formato do pacote de exportação)
+const readDesiredStateFile = (file) => {
+    const content = fs.readFileSync(file, 'utf8');
+    const document = path.extname(file) === '.json' ? JSON.parse(content) : yaml.load(content);
+
+    const entries = Array.isArray(document?.configs) ? document.configs : [document];
+
+    return entries.map((entry, index) => {
+        const { error, value } = configEntrySchema.validate(entry);
+        if (error) {
+            throw new Error(`Estado desejado inválido em ${file} (item ${index}): ${error.message}`);
+        }
+        return value;
+    });
+};
+
+const readDesiredStateDir = (dir) => {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    const entries = [];
+    const files = fs.readdirSync(dir)
+        .filter(file => SUPPORTED_EXTENSIONS.includes(path.extname(file)))
+        .sort();
+
+    for (const file of files) {
+        for (const entry of readDesiredStateFile(path.join(dir, file))) {
+            if (entries.some(existing => existing.config_key === entry.config_key)) {
+                throw new Error(`Chave '${entry.config_key}' definida mais de uma vez em ${dir}`);
+            }
+            entries.push(entry);
+        }
+    }
+
+    return entries;
+};
+
+// Estado desejado de um ambiente: arquivos comuns + sobrescritas do ambiente
+const loadDesiredState = (environment, dir = DESIRED_STATE_DIR) => {
+    const desired = new Map();
+
+    for (const entry of readDesiredStateDir(dir)) {
+        desired.set(entry.config_key, entry);
+    }
+
+    for (const entry of readDesiredStateDir(path.join(dir, environment))) {
+        desired.set(entry.config_key, entry);
+    }
+
+    return [...desired.values()].sort((a, b) => a.config_key.localeCompare(b.config_key));
+};
+
+module.exports = {
+    DESIRED_STATE_DIR,
+    loadDesiredState
+};
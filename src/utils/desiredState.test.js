@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ENVIRONMENTS } = require('./environments');
+const { DESIRED_STATE_DIR, loadDesiredState } = require('./desiredState');
+
+const entry = (configKey, configValue, overrides = {}) => ({
+    config_key: configKey,
+    config_value: configValue,
+    config_type: 'system',
+    config_category: 'performance',
+    ...overrides
+});
+
+describe('desiredState', () => {
+    let dir;
+
+    const write = (file, content) => {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), content);
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'desired-state-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('lê arquivos YAML e JSON, com uma configuração ou uma lista em configs', () => {
+        write('system_settings.yaml', 'config_key: system_settings\nconfig_value:\n  api_timeout: 30000\nconfig_type: system\nconfig_category: performance\n');
+        write('limits.json', JSON.stringify({ configs: [entry('rate_limits', { level: 1 }), entry('burst_limits', { level: 2 })] }));
+        write('notas.txt', 'ignorado');
+
+        expect(loadDesiredState('prod', dir).map(config => config.config_key)).toEqual(['burst_limits', 'rate_limits', 'system_settings']);
+        expect(loadDesiredState('prod', dir)[2].config_value).toEqual({ api_timeout: 30000 });
+    });
+
+    it('arquivos do ambiente sobrescrevem os comuns por chave', () => {
+        write('limits.json', JSON.stringify({ configs: [entry('rate_limits', { level: 1 }), entry('burst_limits', { level: 2 })] }));
+        write('staging/limits.json', JSON.stringify(entry('rate_limits', { level: 9 })));
+
+        expect(loadDesiredState('staging', dir).find(config => config.config_key === 'rate_limits').config_value).toEqual({ level: 9 });
+        expect(loadDesiredState('prod', dir).find(config => config.config_key === 'rate_limits').config_value).toEqual({ level: 1 });
+    });
+
+    it('rejeita entradas inválidas e chaves repetidas no mesmo nível, indicando o arquivo', () => {
+        write('a.json', JSON.stringify(entry('rate_limits', {}, { config_type: 'desconhecido' })));
+        expect(() => loadDesiredState('prod', dir)).toThrow(/a\.json \(item 0\).*config_type/);
+
+        write('a.json', JSON.stringify(entry('rate_limits', {})));
+        write('b.yaml', 'config_key: rate_limits\nconfig_value: {}\nconfig_type: system\nconfig_category: performance\n');
+        expect(() => loadDesiredState('prod', dir)).toThrow("Chave 'rate_limits' definida mais de uma vez");
+    });
+
+    it('diretório inexistente é um estado vazio', () => {
+        expect(loadDesiredState('prod', path.join(dir, 'nao-existe'))).toEqual([]);
+    });
+
+    it('os arquivos versionados do repositório são válidos em todos os ambientes', () => {
+        for (const environment of ENVIRONMENTS) {
+            expect(loadDesiredState(environment, DESIRED_STATE_DIR).map(config => config.config_key)).toEqual(expect.arrayContaining([
+                'cpa_level_amounts',
+                'mlm_settings',
+                'system_settings'
+            ]));
+        }
+    });
+});
@@ -0,0 +1,15 @@
+// Ambientes (namespaces) de configuração suportados pelo serviço
+const ENVIRONMENTS = (process.env.CONFIG_ENVIRONMENTS || 'dev,staging,prod')
+    .split(',')
+    .map(environment => environment.trim())
+    .filter(Boolean);
+
+const DEFAULT_ENVIRONMENT = process.env.DEFAULT_CONFIG_ENVIRONMENT || 'prod';
+
+const isValidEnvironment = (environment) => ENVIRONMENTS.includes(environment);
+
+module.exports = {
+    ENVIRONMENTS,
+    DEFAULT_ENVIRONMENT,
+    isValidEnvironment
+};
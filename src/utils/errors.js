@@ -0,0 +1,27 @@
+// Erros de domínio com status HTTP associado, usados pelos controllers para montar a resposta
+class ServiceError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+class NotFoundError extends ServiceError {
+    constructor(message, details = {}) {
+        super(message, 404, details);
+    }
+}
+
+class ConflictError extends ServiceError {
+    constructor(message, details = {}) {
+        super(message, 409, details);
+    }
+}
+
+module.exports = {
+    ServiceError,
+    NotFoundError,
+    ConflictError
+};
@@ -0,0 +1,282 @@
+const { isDeepStrictEqual } = require('util');
+const { ServiceError } = require('./errors');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Só propriedades próprias: membros herdados (toString, __proto__...) não fazem parte do documento
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Escapar um segmento de JSON Pointer (RFC 6901)
+const escapePointer = (segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+
+// Gerar um JSON Patch (RFC 6902) que transforma `from` em `to`
+const createPatch = (from, to, path = '') => {
+    if (isDeepStrictEqual(from, to)) {
+        return [];
+    }
+
+    if (isObject(from) && isObject(to)) {
+        const operations = [];
+
+        for (const key of Object.keys(from)) {
+            const childPath = `${path}/${escapePointer(key)}`;
+            if (!hasOwn(to, key)) {
+                operations.push({ op: 'remove', path: childPath });
+            } else {
+                operations.push(...createPatch(from[key], to[key], childPath));
+            }
+        }
+
+        for (const key of Object.keys(to)) {
+            if (!hasOwn(from, key)) {
+                operations.push({ op: 'add', path: `${path}/${escapePointer(key)}`, value: to[key] });
+            }
+        }
+
+        return operations;
+    }
+
+    if (Array.isArray(from) && Array.isArray(to)) {
+        const operations = [];
+        const common = Math.min(from.length, to.length);
+
+        for (let index = 0; index < common; index++) {
+            operations.push(...createPatch(from[index], to[index], `${path}/${index}`));
+        }
+
+        // Remoções do fim para o início, para que os índices continuem válidos
+        for (let index = from.length - 1; index >= common; index--) {
+            operations.push({ op: 'remove', path: `${path}/${index}` });
+        }
+
+        for (let index = common; index < to.length; index++) {
+            operations.push({ op: 'add', path: `${path}/${index}`, value: to[index] });
+        }
+
+        return operations;
+    }
+
+    return [{ op: 'replace', path, value: to }];
+};
+
+// Converter um JSON Pointer em caminho legível (groups[0].criteria[1].value)
+const toReadablePath = (pointer) => {
+    if (pointer === '') {
+        return '(valor)';
+    }
+
+    return pointer
+        .slice(1)
+        .split('/')
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((readable, segment) => (/^\d+$/.test(segment)
+            ? `${readable}[${segment}]`
+            : readable ? `${readable}.${segment}` : segment), '');
+};
+
+const getAtPointer = (document, pointer) => {
+    if (pointer === '') {
+        return document;
+    }
+
+    return pointer
+        .slice(1)
+        .split('/')
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((current, segment) => (current !== null && typeof current === 'object' && hasOwn(current, segment)
+            ? current[segment]
+            : undefined), document);
+};
+
+// Segmentos que alcançariam o protótipo dos objetos (e de todo o processo) em vez do documento
+const FORBIDDEN_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+const assertAllowedSegment = (segment) => {
+    if (FORBIDDEN_SEGMENTS.includes(segment)) {
+        throw new ServiceError(`Campo não permitido: ${segment}`);
+    }
+};
+
+const parsePointer = (pointer) => {
+    if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+        throw new ServiceError(`JSON Pointer inválido: ${pointer}`);
+    }
+
+    return pointer === ''
+        ? []
+        : pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Localizar o container pai e a chave final de um caminho (o pai precisa existir)
+const resolveParent = (document, pointer) => {
+    const segments = parsePointer(pointer);
+    segments.forEach(assertAllowedSegment);
+    const key = segments.pop();
+    let parent = document;
+
+    for (const segment of segments) {
+        parent = parent !== null && typeof parent === 'object' && hasOwn(parent, segment) ? parent[segment] : undefined;
+        if (parent === undefined) {
+            throw new ServiceError(`Caminho não encontrado: ${pointer}`);
+        }
+    }
+
+    if (parent === null || typeof parent !== 'object') {
+        throw new ServiceError(`Caminho não encontrado: ${pointer}`);
+    }
+
+    return { parent, key };
+};
+
+const arrayIndex = (array, key, pointer, allowEnd) => {
+    if (allowEnd && key === '-') {
+        return array.length;
+    }
+
+    const index = /^(0|[1-9]\d*)$/.test(key) ? parseInt(key, 10) : NaN;
+    if (Number.isNaN(index) || index > array.length || (!allowEnd && index === array.length)) {
+        throw new ServiceError(`Índice de array inválido: ${pointer}`);
+    }
+
+    return index;
+};
+
+const addValue = (document, pointer, value) => {
+    if (pointer === '') {
+        return value;
+    }
+
+    const { parent, key } = resolveParent(document, pointer);
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, key, pointer, true), 0, value);
+    } else {
+        parent[key] = value;
+    }
+
+    return document;
+};
+
+const removeValue = (document, pointer) => {
+    const { parent, key } = resolveParent(document, pointer);
+
+    if (Array.isArray(parent)) {
+        return parent.splice(arrayIndex(parent, key, pointer, false), 1)[0];
+    }
+
+    if (!hasOwn(parent, key)) {
+        throw new ServiceError(`Caminho não encontrado: ${pointer}`);
+    }
+
+    const removed = parent[key];
+    delete parent[key];
+    return removed;
+};
+
+const readValue = (document, pointer) => {
+    const value = getAtPointer(document, pointer);
+    if (value === undefined) {
+        throw new ServiceError(`Caminho não encontrado: ${pointer}`);
+    }
+
+    return value;
+};
+
+// Aplicar um JSON Patch (RFC 6902); o documento original não é alterado
+const applyPatch = (document, patch) => {
+    if (!Array.isArray(patch)) {
+        throw new ServiceError('JSON Patch deve ser um array de operações');
+    }
+
+    return patch.reduce((current, operation, index) => {
+        try {
+            if (!operation || typeof operation.path !== 'string') {
+                throw new ServiceError('Operação sem "path"');
+            }
+
+            switch (operation.op) {
+                case 'add':
+                    return addValue(current, operation.path, clone(operation.value));
+                case 'remove':
+                    if (operation.path === '') {
+                        throw new ServiceError('Não é possível remover o documento inteiro');
+                    }
+                    removeValue(current, operation.path);
+                    return current;
+                case 'replace':
+                    if (operation.path === '') {
+                        return clone(operation.value);
+                    }
+                    readValue(current, operation.path);
+                    removeValue(current, operation.path);
+                    return addValue(current, operation.path, clone(operation.value));
+                case 'move': {
+                    if (operation.path.startsWith(`${operation.from}/`)) {
+                        throw new ServiceError('Não é possível mover um valor para dentro dele mesmo');
+                    }
+                    const value = removeValue(current, operation.from);
+                    return addValue(current, operation.path, value);
+                }
+                case 'copy':
+                    return addValue(current, operation.path, clone(readValue(current, operation.from)));
+                case 'test':
+                    if (!isDeepStrictEqual(getAtPointer(current, operation.path), operation.value)) {
+                        throw new ServiceError(`Teste falhou em ${operation.path || '/'}`);
+                    }
+                    return current;
+                default:
+                    throw new ServiceError(`Operação desconhecida: ${operation.op}`);
+            }
+        } catch (error) {
+            throw new ServiceError(`Operação ${index} do JSON Patch inválida: ${error.message}`, 400, {
+                operation: index
+            });
+        }
+    }, clone(document));
+};
+
+// Aplicar um JSON Merge Patch (RFC 7396): null remove o campo, objetos são mesclados recursivamente
+const applyMergePatch = (document, patch) => {
+    if (!isObject(patch)) {
+        return clone(patch);
+    }
+
+    const result = isObject(document) ? clone(document) : {};
+
+    for (const [key, value] of Object.entries(patch)) {
+        assertAllowedSegment(key);
+
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(hasOwn(result, key) ? result[key] : undefined, value);
+        }
+    }
+
+    return result;
+};
+
+const formatValue = (value) => (value === undefined ? '∅' : JSON.stringify(value));
+
+// Resumo por campo de um patch gerado a partir de `from` (ex.: "level_1: 35 → 50")
+const summarizePatch = (patch, from) => patch.map(operation => {
+    const field = toReadablePath(operation.path);
+
+    if (operation.op === 'add') {
+        return `${field}: ∅ → ${formatValue(operation.value)}`;
+    }
+
+    if (operation.op === 'remove') {
+        return `${field}: ${formatValue(getAtPointer(from, operation.path))} → ∅`;
+    }
+
+    return `${field}: ${formatValue(getAtPointer(from, operation.path))} → ${formatValue(operation.value)}`;
+});
+
+module.exports = {
+    createPatch,
+    summarizePatch,
+    applyPatch,
+    applyMergePatch
+};
@@ -0,0 +1,81 @@
+const { createPatch, applyPatch, applyMergePatch } = require('./jsonPatch');
+
+describe('createPatch', () => {
+    it('gera add, remove e replace por campo', () => {
+        expect(createPatch({ a: 1, b: 2 }, { a: 3, c: 4 })).toEqual([
+            { op: 'replace', path: '/a', value: 3 },
+            { op: 'remove', path: '/b' },
+            { op: 'add', path: '/c', value: 4 }
+        ]);
+    });
+
+    it('não confunde chaves com membros herdados', () => {
+        expect(createPatch({ a: 1 }, { toString: 1 })).toEqual([
+            { op: 'remove', path: '/a' },
+            { op: 'add', path: '/toString', value: 1 }
+        ]);
+        expect(createPatch({ constructor: 1 }, {})).toEqual([{ op: 'remove', path: '/constructor' }]);
+    });
+
+    it('escapa os segmentos do caminho', () => {
+        expect(createPatch({}, { 'a/b~c': 1 })).toEqual([{ op: 'add', path: '/a~1b~0c', value: 1 }]);
+    });
+
+    it('aplicado sobre a origem produz o destino', () => {
+        const from = { levels: [1, 2, 3], nested: { keep: true, drop: 'x' } };
+        const to = { levels: [1, 5], nested: { keep: false }, extra: null };
+
+        expect(applyPatch(from, createPatch(from, to))).toEqual(to);
+    });
+});
+
+describe('applyPatch', () => {
+    it('aplica as operações sem alterar o documento original', () => {
+        const document = { level_1: 35, tags: ['a'] };
+        const patched = applyPatch(document, [
+            { op: 'replace', path: '/level_1', value: 50 },
+            { op: 'add', path: '/tags/-', value: 'b' },
+            { op: 'copy', from: '/level_1', path: '/level_2' },
+            { op: 'test', path: '/level_2', value: 50 }
+        ]);
+
+        expect(patched).toEqual({ level_1: 50, level_2: 50, tags: ['a', 'b'] });
+        expect(document).toEqual({ level_1: 35, tags: ['a'] });
+    });
+
+    it('informa a operação que falhou', () => {
+        expect(() => applyPatch({ a: 1 }, [{ op: 'remove', path: '/b' }])).toThrow(/Operação 0/);
+        expect(() => applyPatch({ a: 1 }, [{ op: 'test', path: '/a', value: 2 }])).toThrow(/Teste falhou/);
+    });
+
+    it.each([
+        '/__proto__/polluted',
+        '/constructor/prototype/polluted',
+        '/a/__proto__'
+    ])('rejeita caminhos que alcançam o protótipo (%s)', (path) => {
+        expect(() => applyPatch({ a: {} }, [{ op: 'add', path, value: 'yes' }])).toThrow(/Campo não permitido/);
+        expect({}.polluted).toBeUndefined();
+    });
+
+    it('não resolve, testa nem remove membros herdados', () => {
+        expect(() => applyPatch({ a: 1 }, [{ op: 'remove', path: '/toString' }])).toThrow(/Caminho não encontrado/);
+        expect(() => applyPatch({ a: 1 }, [{ op: 'add', path: '/hasOwnProperty/x', value: 1 }])).toThrow(/Caminho não encontrado/);
+        expect(() => applyPatch({ a: 1 }, [{ op: 'copy', from: '/valueOf', path: '/b' }])).toThrow(/Caminho não encontrado/);
+        expect(() => applyPatch({ a: 1 }, [{ op: 'test', path: '/toString', value: {} }])).toThrow(/Teste falhou/);
+    });
+});
+
+describe('applyMergePatch', () => {
+    it('mescla objetos recursivamente e remove campos com null', () => {
+        expect(applyMergePatch({ a: { b: 1, c: 2 }, d: 3 }, { a: { b: 5, c: null }, d: null, e: [1] }))
+            .toEqual({ a: { b: 5 }, e: [1] });
+    });
+
+    it('rejeita campos que alcançam o protótipo', () => {
+        const patch = JSON.parse('{"__proto__": {"polluted": "yes"}}');
+
+        expect(() => applyMergePatch({}, patch)).toThrow(/Campo não permitido/);
+        expect(() => applyMergePatch({}, { a: { constructor: { prototype: { polluted: 'yes' } } } })).toThrow(/Campo não permitido/);
+        expect({}.polluted).toBeUndefined();
+    });
+});
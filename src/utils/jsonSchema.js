@@ -0,0 +1,73 @@
+const Ajv2020 = require('ajv/dist/2020').default;
+const addFormats = require('ajv-formats');
+const { ServiceError } = require('./errors');
+
+// Validadores compilados por schema (e schemas do registro que ele referencia); o limite evita crescimento sem fim
+const MAX_COMPILED_SCHEMAS = 500;
+const compiled = new Map();
+
+// Cada schema é compilado em uma instância própria: as referências "nome@versão" ficam registradas só nela
+const createAjv = () => {
+    const ajv = new Ajv2020({
+        allErrors: true,
+        strictTypes: false,
+        strictTuples: false
+    });
+
+    addFormats(ajv);
+
+    // Marca os campos cifrados em repouso (ver utils/secrets)
+    ajv.addKeyword({ keyword: 'x-secret', schemaType: 'boolean' });
+
+    return ajv;
+};
+
+// Compilar um schema JSON Schema 2020-12 (refs: "nome@versão" -> schema do registro).
+// Schemas inválidos (palavras-chave desconhecidas, required não-array, $ref inexistente...) geram ServiceError.
+const compileSchema = (schema, refs = new Map()) => {
+    const cacheKey = JSON.stringify([schema, Array.from(refs.entries()).sort(([a], [b]) => a.localeCompare(b))]);
+
+    if (compiled.has(cacheKey)) {
+        return compiled.get(cacheKey);
+    }
+
+    let validate;
+
+    try {
+        const ajv = createAjv();
+        refs.forEach((refSchema, ref) => ajv.addSchema(refSchema, ref));
+        validate = ajv.compile(schema);
+    } catch (error) {
+        throw new ServiceError(`Schema de validação inválido: ${error.message}`);
+    }
+
+    if (compiled.size >= MAX_COMPILED_SCHEMAS) {
+        compiled.clear();
+    }
+    compiled.set(cacheKey, validate);
+
+    return validate;
+};
+
+const escapePointer = (segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+const unescapePointer = (segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~');
+
+// Erros do Ajv com o caminho exato do campo: path em JSON Pointer e field em notação de ponto.
+// Em required/additionalProperties o caminho aponta para a propriedade em questão, não para o objeto pai.
+const formatErrors = (errors = []) => errors.map(error => {
+    const property = error.params.missingProperty ?? error.params.additionalProperty ?? error.params.propertyName;
+    const path = property === undefined ? error.instancePath : `${error.instancePath}/${escapePointer(property)}`;
+
+    return {
+        field: path.split('/').slice(1).map(unescapePointer).join('.'),
+        path,
+        keyword: error.keyword,
+        message: error.message,
+        params: error.params
+    };
+});
+
+module.exports = {
+    compileSchema,
+    formatErrors
+};
@@ -0,0 +1,80 @@
+const { compileSchema, formatErrors } = require('./jsonSchema');
+const { ServiceError } = require('./errors');
+
+describe('compileSchema', () => {
+    it('valida com JSON Schema 2020-12 e formatos', () => {
+        const validate = compileSchema({
+            type: 'object',
+            properties: {
+                url: { type: 'string', format: 'uri' },
+                tags: { type: 'array', prefixItems: [{ type: 'string' }] }
+            }
+        });
+
+        expect(validate({ url: 'https://api.exemplo.com', tags: ['a'] })).toBe(true);
+        expect(validate({ url: 'não é uma url' })).toBe(false);
+        expect(validate({ tags: [1] })).toBe(false);
+    });
+
+    it('aceita a marcação x-secret', () => {
+        const validate = compileSchema({ type: 'object', properties: { token: { type: 'string', 'x-secret': true } } });
+
+        expect(validate({ token: 'abc' })).toBe(true);
+    });
+
+    it('resolve referências ao registro (nome@versão)', () => {
+        const refs = new Map([['cpa_criterion@1', { type: 'object', required: ['type'] }]]);
+        const validate = compileSchema({ type: 'array', items: { $ref: 'cpa_criterion@1' } }, refs);
+
+        expect(validate([{ type: 'deposit' }])).toBe(true);
+        expect(validate([{}])).toBe(false);
+    });
+
+    it('rejeita schemas inválidos com ServiceError', () => {
+        expect(() => compileSchema({ type: 'object', required: 'nome' })).toThrow(ServiceError);
+        expect(() => compileSchema({ type: 'object', palavraDesconhecida: true })).toThrow('Schema de validação inválido');
+        expect(() => compileSchema({ $ref: 'inexistente@1' })).toThrow(ServiceError);
+    });
+
+    it('reaproveita o validador compilado', () => {
+        const schema = { type: 'integer', minimum: 1 };
+
+        expect(compileSchema(schema)).toBe(compileSchema({ ...schema }));
+    });
+});
+
+describe('formatErrors', () => {
+    const errorsFor = (schema, value) => {
+        const validate = compileSchema(schema);
+        validate(value);
+        return formatErrors(validate.errors);
+    };
+
+    it('aponta para o campo exato, inclusive em required e additionalProperties', () => {
+        const errors = errorsFor({
+            type: 'object',
+            required: ['currency'],
+            additionalProperties: false,
+            properties: {
+                currency: { type: 'string' },
+                levels: { type: 'object', properties: { level_1: { type: 'number', minimum: 0 } } }
+            }
+        }, { levels: { level_1: -1 }, extra: true });
+
+        expect(errors).toEqual(expect.arrayContaining([
+            expect.objectContaining({ field: 'currency', path: '/currency', keyword: 'required' }),
+            expect.objectContaining({ field: 'extra', path: '/extra', keyword: 'additionalProperties' }),
+            expect.objectContaining({ field: 'levels.level_1', path: '/levels/level_1', keyword: 'minimum' })
+        ]));
+    });
+
+    it('escapa o nome da propriedade no path e o desfaz no field', () => {
+        const [error] = errorsFor({ type: 'object', required: ['a/b~c'] }, {});
+
+        expect(error).toMatchObject({ path: '/a~1b~0c', field: 'a/b~c' });
+    });
+
+    it('sem erros, devolve lista vazia', () => {
+        expect(formatErrors()).toEqual([]);
+    });
+});
@@ -0,0 +1,85 @@
+const { ServiceError } = require('./errors');
+const { isEnvelope } = require('./secrets');
+
+// Referência a outra chave: ${system_settings.api_timeout} (chave seguida de um caminho opcional no valor)
+const REFERENCE_PATTERN = /\$\{([a-z0-9_]+)((?:\.[A-Za-z0-9_-]+)*)\}/g;
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+// Percorrer todas as strings do valor (em objetos e arrays)
+const collectStrings = (value, strings = []) => {
+    if (typeof value === 'string') {
+        strings.push(value);
+    } else if (isObject(value)) {
+        Object.values(value).forEach(item => collectStrings(item, strings));
+    }
+
+    return strings;
+};
+
+// Chaves referenciadas pelo valor, sem repetição
+const findReferences = (value) => {
+    const keys = new Set();
+
+    for (const text of collectStrings(value)) {
+        for (const match of text.matchAll(REFERENCE_PATTERN)) {
+            keys.add(match[1]);
+        }
+    }
+
+    return Array.from(keys);
+};
+
+const readPath = (expression, key, path, values) => {
+    const segments = path ? path.slice(1).split('.') : [];
+
+    const value = segments.reduce(
+        // Só propriedades próprias: ${key.constructor} não pode alcançar membros herdados
+        (current, segment) => (isObject(current) && Object.prototype.hasOwnProperty.call(current, segment) ? current[segment] : undefined),
+        values[key]
+    );
+
+    if (value === undefined) {
+        throw new ServiceError(`Referência inválida: ${expression} (caminho não encontrado em '${key}')`, 422);
+    }
+
+    return value;
+};
+
+// Substituir as referências pelos valores já resolvidos de cada chave (values: chave -> valor).
+// Uma string que é só a referência assume o valor referenciado com seu tipo (número, objeto...);
+// dentro de um texto maior, o valor é convertido em string.
+const interpolate = (value, values) => {
+    if (typeof value === 'string') {
+        const whole = value.match(new RegExp(`^${REFERENCE_PATTERN.source}$`));
+        if (whole) {
+            return readPath(whole[0], whole[1], whole[2], values);
+        }
+
+        return value.replace(REFERENCE_PATTERN, (expression, key, path) => {
+            const resolved = readPath(expression, key, path, values);
+
+            // Interpolar um segredo exporia o valor cifrado dentro de um texto comum
+            if (isEnvelope(resolved)) {
+                throw new ServiceError(`Referência inválida: ${expression} aponta para um valor secreto e só pode ser usada como valor inteiro`, 422);
+            }
+
+            return isObject(resolved) ? JSON.stringify(resolved) : String(resolved);
+        });
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => interpolate(item, values));
+    }
+
+    if (isObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, interpolate(item, values)]));
+    }
+
+    return value;
+};
+
+module.exports = {
+    findReferences,
+    interpolate
+};
@@ -0,0 +1,51 @@
+const { findReferences, interpolate } = require('./references');
+const { ServiceError } = require('./errors');
+
+const values = {
+    system_settings: { api_timeout: 30000, maintenance_mode: false, limits: { max: 5 } },
+    external_apis: { token: { $secret: 'v1:abc:iv:tag:data' } }
+};
+
+describe('findReferences', () => {
+    it('lista as chaves referenciadas em strings aninhadas, sem repetição', () => {
+        expect(findReferences({
+            timeout: '${system_settings.api_timeout}',
+            nested: ['${system_settings.limits.max}', { url: 'https://${external_apis.host}/v1' }]
+        })).toEqual(['system_settings', 'external_apis']);
+    });
+
+    it('valores sem referências', () => {
+        expect(findReferences({ a: 1, b: 'texto', c: null })).toEqual([]);
+    });
+});
+
+describe('interpolate', () => {
+    it('referência como valor inteiro mantém o tipo', () => {
+        expect(interpolate({
+            timeout: '${system_settings.api_timeout}',
+            maintenance: '${system_settings.maintenance_mode}',
+            limits: '${system_settings.limits}'
+        }, values)).toEqual({ timeout: 30000, maintenance: false, limits: { max: 5 } });
+    });
+
+    it('referência dentro de um texto é convertida em string', () => {
+        expect(interpolate(['Timeout: ${system_settings.api_timeout}ms', '${system_settings.limits}!'], values))
+            .toEqual(['Timeout: 30000ms', '{"max":5}!']);
+    });
+
+    it('caminho inexistente gera erro 422', () => {
+        expect(() => interpolate('${system_settings.missing}', values)).toThrow(ServiceError);
+        expect(() => interpolate('${system_settings.missing}', values)).toThrow(expect.objectContaining({ statusCode: 422 }));
+    });
+
+    it('não alcança membros herdados', () => {
+        expect(() => interpolate('${system_settings.constructor}', values)).toThrow('caminho não encontrado');
+        expect(() => interpolate('${system_settings.limits.toString}', values)).toThrow('caminho não encontrado');
+        expect(() => interpolate('${system_settings.__proto__}', values)).toThrow('caminho não encontrado');
+    });
+
+    it('segredo só pode ser referenciado como valor inteiro', () => {
+        expect(interpolate('${external_apis.token}', values)).toEqual({ $secret: 'v1:abc:iv:tag:data' });
+        expect(() => interpolate('Bearer ${external_apis.token}', values)).toThrow('aponta para um valor secreto');
+    });
+});
@@ -0,0 +1,234 @@
+const { isDeepStrictEqual } = require('util');
+
+// Modos de compatibilidade entre versões do validation_schema de uma chave:
+// backward: o novo schema aceita todo valor que o anterior aceitava (nada é estreitado);
+// forward: o schema anterior aceita todo valor do novo, então consumidores antigos continuam funcionando (nada é alargado);
+// full: as duas direções; none: sem verificação.
+const COMPATIBILITY_MODES = ['backward', 'forward', 'full', 'none'];
+const DEFAULT_COMPATIBILITY = 'full';
+
+const CHECKED_DIRECTIONS = {
+    backward: ['backward'],
+    forward: ['forward'],
+    full: ['backward', 'forward'],
+    none: []
+};
+
+const LOWER_BOUNDS = ['minimum', 'exclusiveMinimum', 'minLength', 'minItems', 'minProperties'];
+const UPPER_BOUNDS = ['maximum', 'exclusiveMaximum', 'maxLength', 'maxItems', 'maxProperties'];
+const TEXT_CONSTRAINTS = ['pattern', 'format'];
+// Composições não são comparadas estruturalmente: qualquer mudança quebra as duas direções
+const COMPOSITIONS = ['oneOf', 'anyOf', 'allOf', 'not', 'if', 'then', 'else'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const childField = (field, name) => (field ? `${field}.${name}` : name);
+
+// Referências locais ("#/$defs/...") são seguidas dentro do schema de origem; palavras-chave vizinhas são mantidas
+const resolveLocalRef = (schema, root) => {
+    if (typeof schema.$ref !== 'string' || !schema.$ref.startsWith('#')) {
+        return schema;
+    }
+
+    const target = schema.$ref
+        .slice(1)
+        .split('/')
+        .filter(Boolean)
+        .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, segment) => (isObject(node) ? node[segment] : undefined), root);
+
+    const { $ref, ...siblings } = schema;
+    return isObject(target) ? { ...target, ...siblings } : siblings;
+};
+
+// null = qualquer tipo; integer é aceito por number
+const schemaTypes = (schema) => {
+    if (schema.type === undefined) {
+        return null;
+    }
+
+    const types = new Set([].concat(schema.type));
+    if (schema.nullable === true) {
+        types.add('null');
+    }
+    return types;
+};
+
+const acceptsType = (types, type) => types === null || types.has(type) || (type === 'integer' && types.has('number'));
+
+const allowedValues = (schema) => {
+    if (Array.isArray(schema.enum)) {
+        return schema.enum;
+    }
+    return schema.const !== undefined ? [schema.const] : null;
+};
+
+const includesValue = (values, value) => values.some(item => isDeepStrictEqual(item, value));
+
+const formatValues = (values) => values.map(value => JSON.stringify(value)).join(', ');
+
+// Todas as diferenças entre dois schemas, cada uma com a direção que ela quebra
+const findSchemaChanges = (previousSchema, nextSchema) => {
+    const issues = [];
+    const add = (field, rule, breaks, message) => issues.push({ field, rule, breaks, message });
+
+    const compare = (previousNode, nextNode, field, seenRefs) => {
+        if (!isObject(previousNode) || !isObject(nextNode)) {
+            return;
+        }
+
+        // Schemas recursivos: o mesmo par de referências no caminho já foi comparado
+        const refPair = `${previousNode.$ref}|${nextNode.$ref}`;
+        if ((previousNode.$ref || nextNode.$ref) && seenRefs.includes(refPair)) {
+            return;
+        }
+        const refs = previousNode.$ref || nextNode.$ref ? [...seenRefs, refPair] : seenRefs;
+
+        const previous = resolveLocalRef(previousNode, previousSchema);
+        const next = resolveLocalRef(nextNode, nextSchema);
+
+        // Tipos
+        const previousTypes = schemaTypes(previous);
+        const nextTypes = schemaTypes(next);
+
+        if (previousTypes === null && nextTypes !== null) {
+            add(field, 'type', 'backward', `Tipo restringido a ${Array.from(nextTypes).join(', ')}`);
+        }
+        (previousTypes || []).forEach(type => {
+            if (!acceptsType(nextTypes, type)) {
+                add(field, 'type', 'backward', `Tipo '${type}' deixou de ser aceito`);
+            }
+        });
+        (nextTypes || []).forEach(type => {
+            if (!acceptsType(previousTypes, type)) {
+                add(field, 'type', 'forward', `Tipo '${type}' passou a ser aceito`);
+            }
+        });
+
+        // Valores permitidos (enum/const)
+        const previousValues = allowedValues(previous);
+        const nextValues = allowedValues(next);
+
+        if (previousValues === null && nextValues !== null) {
+            add(field, 'enum', 'backward', `Valores restringidos a: ${formatValues(nextValues)}`);
+        } else if (previousValues !== null && nextValues === null) {
+            add(field, 'enum', 'forward', 'Restrição de valores (enum) removida');
+        } else if (previousValues !== null) {
+            const removed = previousValues.filter(value => !includesValue(nextValues, value));
+            const added = nextValues.filter(value => !includesValue(previousValues, value));
+
+            if (removed.length > 0) {
+                add(field, 'enum', 'backward', `Valores removidos do enum: ${formatValues(removed)}`);
+            }
+            if (added.length > 0) {
+                add(field, 'enum', 'forward', `Valores adicionados ao enum: ${formatValues(added)}`);
+            }
+        }
+
+        // Limites numéricos e de tamanho
+        LOWER_BOUNDS.forEach(keyword => {
+            const [before, after] = [previous[keyword], next[keyword]];
+            if (after !== undefined && (before === undefined || after > before)) {
+                add(field, keyword, 'backward', `${keyword} ${before === undefined ? 'adicionado' : `aumentado de ${before}`} para ${after}`);
+            }
+            if (before !== undefined && (after === undefined || after < before)) {
+                add(field, keyword, 'forward', `${keyword} ${after === undefined ? 'removido' : `reduzido de ${before} para ${after}`}`);
+            }
+        });
+
+        UPPER_BOUNDS.forEach(keyword => {
+            const [before, after] = [previous[keyword], next[keyword]];
+            if (after !== undefined && (before === undefined || after < before)) {
+                add(field, keyword, 'backward', `${keyword} ${before === undefined ? 'adicionado' : `reduzido de ${before}`} para ${after}`);
+            }
+            if (before !== undefined && (after === undefined || after > before)) {
+                add(field, keyword, 'forward', `${keyword} ${after === undefined ? 'removido' : `aumentado de ${before} para ${after}`}`);
+            }
+        });
+
+        TEXT_CONSTRAINTS.forEach(keyword => {
+            const [before, after] = [previous[keyword], next[keyword]];
+            if (before === after) {
+                return;
+            }
+            if (after !== undefined) {
+                add(field, keyword, 'backward', `${keyword} ${before === undefined ? 'adicionado' : 'alterado'}: ${after}`);
+            }
+            if (before !== undefined) {
+                add(field, keyword, 'forward', `${keyword} ${after === undefined ? 'removido' : 'alterado'}: ${before}`);
+            }
+        });
+
+        COMPOSITIONS.forEach(keyword => {
+            if (!isDeepStrictEqual(previous[keyword], next[keyword])) {
+                const message = `${keyword} alterado: compatibilidade não pode ser verificada`;
+                add(field, keyword, 'backward', message);
+                add(field, keyword, 'forward', message);
+            }
+        });
+
+        // Campos obrigatórios
+        const previousRequired = previous.required || [];
+        const nextRequired = next.required || [];
+
+        previousRequired.filter(name => !nextRequired.includes(name)).forEach(name => {
+            add(childField(field, name), 'required', 'forward', 'Campo obrigatório removido');
+        });
+        nextRequired.filter(name => !previousRequired.includes(name)).forEach(name => {
+            add(childField(field, name), 'required', 'backward', 'Campo passou a ser obrigatório');
+        });
+
+        // Propriedades (campos opcionais novos em objetos abertos são compatíveis)
+        const previousProperties = previous.properties || {};
+        const nextProperties = next.properties || {};
+        const previousClosed = previous.additionalProperties === false;
+        const nextClosed = next.additionalProperties === false;
+
+        Object.keys(previousProperties).forEach(name => {
+            if (name in nextProperties) {
+                compare(previousProperties[name], nextProperties[name], childField(field, name), refs);
+            } else if (nextClosed) {
+                add(childField(field, name), 'properties', 'backward', 'Campo removido de um objeto fechado (additionalProperties: false)');
+            } else {
+                add(childField(field, name), 'properties', 'forward', 'Definição do campo removida: qualquer valor passa a ser aceito');
+            }
+        });
+
+        Object.keys(nextProperties)
+            .filter(name => !(name in previousProperties) && previousClosed)
+            .forEach(name => add(childField(field, name), 'properties', 'forward', 'Campo adicionado a um objeto fechado (additionalProperties: false)'));
+
+        if (!previousClosed && nextClosed) {
+            add(field, 'additionalProperties', 'backward', 'Campos adicionais deixaram de ser aceitos');
+        } else if (previousClosed && !nextClosed) {
+            add(field, 'additionalProperties', 'forward', 'Campos adicionais passaram a ser aceitos');
+        }
+
+        // Itens de arrays
+        if (isObject(previous.items) || isObject(next.items)) {
+            compare(previous.items || {}, next.items || {}, `${field}[]`, refs);
+        }
+    };
+
+    compare(previousSchema || {}, nextSchema || {}, '', []);
+    return issues;
+};
+
+// Sem schema anterior não há contrato a preservar
+const checkCompatibility = (previousSchema, nextSchema, mode = DEFAULT_COMPATIBILITY) => {
+    const issues = previousSchema && nextSchema
+        ? findSchemaChanges(previousSchema, nextSchema).filter(issue => CHECKED_DIRECTIONS[mode].includes(issue.breaks))
+        : [];
+
+    return {
+        mode,
+        compatible: issues.length === 0,
+        issues
+    };
+};
+
+module.exports = {
+    COMPATIBILITY_MODES,
+    DEFAULT_COMPATIBILITY,
+    checkCompatibility
+};
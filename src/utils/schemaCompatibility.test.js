@@ -0,0 +1,88 @@
+const { checkCompatibility, DEFAULT_COMPATIBILITY } = require('./schemaCompatibility');
+
+const base = {
+    type: 'object',
+    required: ['currency'],
+    properties: {
+        currency: { type: 'string', enum: ['BRL', 'USD'] },
+        minimum_amount: { type: 'number', minimum: 0 }
+    }
+};
+
+const rules = (result) => result.issues.map(issue => [issue.field, issue.rule, issue.breaks]);
+
+describe('checkCompatibility', () => {
+    it('usa o modo full por padrão', () => {
+        expect(DEFAULT_COMPATIBILITY).toBe('full');
+        expect(checkCompatibility(base, base)).toEqual({ mode: 'full', compatible: true, issues: [] });
+    });
+
+    it('sem schema anterior ou novo não há contrato a verificar', () => {
+        expect(checkCompatibility(null, base).compatible).toBe(true);
+        expect(checkCompatibility(base, undefined).compatible).toBe(true);
+    });
+
+    it('estreitar o schema quebra backward, mas não forward', () => {
+        const next = {
+            ...base,
+            required: ['currency', 'minimum_amount'],
+            properties: { ...base.properties, minimum_amount: { type: 'number', minimum: 1 } }
+        };
+
+        expect(rules(checkCompatibility(base, next, 'backward'))).toEqual([
+            ['minimum_amount', 'required', 'backward'],
+            ['minimum_amount', 'minimum', 'backward']
+        ]);
+        expect(checkCompatibility(base, next, 'forward').compatible).toBe(true);
+        expect(checkCompatibility(base, next, 'full').compatible).toBe(false);
+    });
+
+    it('alargar o schema quebra forward, mas não backward', () => {
+        const next = { ...base, properties: { ...base.properties, currency: { type: 'string', enum: ['BRL', 'USD', 'EUR'] } } };
+
+        expect(checkCompatibility(base, next, 'backward').compatible).toBe(true);
+        expect(rules(checkCompatibility(base, next, 'forward'))).toEqual([['currency', 'enum', 'forward']]);
+    });
+
+    it('o modo none aceita qualquer mudança', () => {
+        expect(checkCompatibility(base, { type: 'string' }, 'none')).toEqual({ mode: 'none', compatible: true, issues: [] });
+    });
+
+    it('campo opcional novo em objeto aberto é compatível; em objeto fechado quebra forward', () => {
+        const added = { ...base, properties: { ...base.properties, note: { type: 'string' } } };
+        const closed = { ...base, additionalProperties: false };
+
+        expect(checkCompatibility(base, added, 'full').compatible).toBe(true);
+        expect(rules(checkCompatibility(closed, { ...added, additionalProperties: false }, 'full')))
+            .toEqual([['note', 'properties', 'forward']]);
+    });
+
+    it('integer continua aceito quando o tipo passa a number', () => {
+        const previous = { type: 'integer' };
+        const next = { type: 'number' };
+
+        expect(checkCompatibility(previous, next, 'backward').compatible).toBe(true);
+        expect(rules(checkCompatibility(previous, next, 'forward'))).toEqual([['', 'type', 'forward']]);
+    });
+
+    it('composições alteradas quebram as duas direções', () => {
+        const result = checkCompatibility({ oneOf: [{ type: 'string' }] }, { oneOf: [{ type: 'number' }] }, 'full');
+
+        expect(rules(result)).toEqual([['', 'oneOf', 'backward'], ['', 'oneOf', 'forward']]);
+    });
+
+    it('segue referências locais e termina em schemas recursivos', () => {
+        const node = (maximum) => ({
+            $defs: {
+                node: {
+                    type: 'object',
+                    properties: { value: { type: 'number', maximum }, children: { type: 'array', items: { $ref: '#/$defs/node' } } }
+                }
+            },
+            $ref: '#/$defs/node'
+        });
+
+        expect(checkCompatibility(node(10), node(10), 'full').compatible).toBe(true);
+        expect(rules(checkCompatibility(node(10), node(5), 'backward'))).toEqual([['value', 'maximum', 'backward']]);
+    });
+});
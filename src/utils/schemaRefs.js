@@ -0,0 +1,73 @@
+const { ServiceError } = require('./errors');
+
+// Referência a um schema do registro: { "$ref": "cpa_criterion@2" }
+const SCHEMA_REF_PATTERN = /^([a-z0-9_]+)@([1-9]\d*)$/;
+
+// Referências locais ("#/$defs/...") são resolvidas pelo próprio validador
+const isLocalRef = (ref) => ref.startsWith('#');
+
+const parseSchemaRef = (ref) => {
+    const match = typeof ref === 'string' && ref.match(SCHEMA_REF_PATTERN);
+    if (!match) {
+        throw new ServiceError(`Referência de schema inválida: ${ref} (use nome@versão)`);
+    }
+
+    return { name: match[1], version: parseInt(match[2], 10) };
+};
+
+// Referências ao registro ($ref) usadas diretamente pelo schema, sem repetição
+const collectSchemaRefs = (schema, refs = new Set()) => {
+    if (Array.isArray(schema)) {
+        schema.forEach(item => collectSchemaRefs(item, refs));
+    } else if (schema !== null && typeof schema === 'object') {
+        for (const [field, value] of Object.entries(schema)) {
+            if (field === '$ref' && typeof value === 'string') {
+                if (!isLocalRef(value)) {
+                    refs.add(value);
+                }
+            } else {
+                collectSchemaRefs(value, refs);
+            }
+        }
+    }
+
+    return refs;
+};
+
+// Substituir cada $ref do registro pelo schema registrado (refs: "nome@versão" -> schema), detectando ciclos.
+// Palavras-chave ao lado do $ref são mantidas, como no JSON Schema 2020-12.
+const dereferenceSchema = (schema, refs, chain = []) => {
+    if (Array.isArray(schema)) {
+        return schema.map(item => dereferenceSchema(item, refs, chain));
+    }
+
+    if (schema === null || typeof schema !== 'object') {
+        return schema;
+    }
+
+    const expanded = Object.fromEntries(Object.entries(schema).map(([field, value]) => [
+        field,
+        field === '$ref' ? value : dereferenceSchema(value, refs, chain)
+    ]));
+
+    if (typeof schema.$ref !== 'string' || isLocalRef(schema.$ref)) {
+        return expanded;
+    }
+
+    const { $ref: ref, ...siblings } = expanded;
+
+    if (chain.includes(ref)) {
+        throw new ServiceError(`Referência circular entre schemas: ${[...chain, ref].join(' → ')}`);
+    }
+    if (!refs.has(ref)) {
+        throw new ServiceError(`Schema não encontrado: ${ref}`);
+    }
+
+    return { ...dereferenceSchema(refs.get(ref), refs, [...chain, ref]), ...siblings };
+};
+
+module.exports = {
+    parseSchemaRef,
+    collectSchemaRefs,
+    dereferenceSchema
+};
@@ -0,0 +1,65 @@
+const { parseSchemaRef, collectSchemaRefs, dereferenceSchema } = require('./schemaRefs');
+
+const criterion = {
+    type: 'object',
+    properties: { type: { enum: ['deposit', 'bets', 'ggr'] }, value: { type: 'number', minimum: 0 } },
+    required: ['type', 'value']
+};
+
+describe('schemaRefs', () => {
+    it('interpreta referências nome@versão', () => {
+        expect(parseSchemaRef('cpa_criterion@2')).toEqual({ name: 'cpa_criterion', version: 2 });
+
+        for (const ref of ['cpa_criterion', 'cpa_criterion@0', 'CPA@1', '#/$defs/item', null]) {
+            expect(() => parseSchemaRef(ref)).toThrow(expect.objectContaining({ statusCode: 400 }));
+        }
+    });
+
+    it('coleta as referências ao registro, sem repetição e sem as locais', () => {
+        const schema = {
+            type: 'object',
+            $defs: { local: { type: 'string' } },
+            properties: {
+                first: { $ref: 'cpa_criterion@1' },
+                rest: { type: 'array', items: { $ref: 'cpa_criterion@1' } },
+                label: { $ref: '#/$defs/local' },
+                group: { anyOf: [{ $ref: 'cpa_group@3' }, { type: 'null' }] }
+            }
+        };
+
+        expect(Array.from(collectSchemaRefs(schema))).toEqual(['cpa_criterion@1', 'cpa_group@3']);
+    });
+
+    it('substitui cada referência pelo schema registrado, inclusive em referências aninhadas', () => {
+        const refs = new Map([
+            ['cpa_criterion@1', criterion],
+            ['cpa_group@1', { type: 'object', properties: { criteria: { type: 'array', items: { $ref: 'cpa_criterion@1' } } } }]
+        ]);
+
+        const expanded = dereferenceSchema({ type: 'array', items: { $ref: 'cpa_group@1' } }, refs);
+
+        expect(expanded).toEqual({
+            type: 'array',
+            items: { type: 'object', properties: { criteria: { type: 'array', items: criterion } } }
+        });
+    });
+
+    it('mantém as palavras-chave ao lado do $ref e as referências locais', () => {
+        const refs = new Map([['cpa_criterion@1', criterion]]);
+
+        expect(dereferenceSchema({ $ref: 'cpa_criterion@1', description: 'Critério', required: ['type'] }, refs))
+            .toEqual({ ...criterion, description: 'Critério', required: ['type'] });
+        expect(dereferenceSchema({ $ref: '#/$defs/local' }, refs)).toEqual({ $ref: '#/$defs/local' });
+    });
+
+    it('rejeita referências circulares e schemas ausentes', () => {
+        const refs = new Map([
+            ['a_schema@1', { properties: { b: { $ref: 'b_schema@1' } } }],
+            ['b_schema@1', { items: { $ref: 'a_schema@1' } }]
+        ]);
+
+        expect(() => dereferenceSchema({ $ref: 'a_schema@1' }, refs))
+            .toThrow('Referência circular entre schemas: a_schema@1 → b_schema@1 → a_schema@1');
+        expect(() => dereferenceSchema({ $ref: 'c_schema@1' }, refs)).toThrow('Schema não encontrado: c_schema@1');
+    });
+});
@@ -0,0 +1,62 @@
+const Joi = require('joi');
+const { COMPATIBILITY_MODES } = require('./schemaCompatibility');
+const { CPA_METRICS } = require('./cpaRules');
+
+// Campos Joi compartilhados entre a validação das rotas e a leitura do estado desejado
+const configKeySchema = Joi.string()
+    .min(3)
+    .max(100)
+    .pattern(/^[a-z0-9_]+$/)
+    .messages({
+        'string.pattern.base': 'config_key deve conter apenas letras minúsculas, números e underscore'
+    });
+
+const configTypeSchema = Joi.string()
+    .valid('cpa', 'system', 'mlm', 'integration', 'security', 'performance');
+
+const configCategorySchema = Joi.string()
+    .min(3)
+    .max(50);
+
+const configTagSchema = Joi.string()
+    .max(50)
+    .pattern(/^[a-z0-9]+(?:[-_][a-z0-9]+)*$/)
+    .messages({
+        'string.pattern.base': 'tags devem conter apenas letras minúsculas, números, hífen e underscore'
+    });
+
+// Lista completa de tags: em atualizações, substitui as tags atuais
+const configTagsSchema = Joi.array()
+    .items(configTagSchema)
+    .max(20)
+    .unique();
+
+const schemaCompatibilitySchema = Joi.string().valid(...COMPATIBILITY_MODES);
+
+// Métricas de um jogador para as regras de qualificação CPA
+const cpaMetricsSchema = Joi.object(Object.fromEntries(CPA_METRICS.map(metric => [metric, Joi.number().optional()])))
+    .min(1);
+
+// Configuração completa em pacotes de importação e arquivos de estado desejado
+const configEntrySchema = Joi.object({
+    config_key: configKeySchema.required(),
+    config_value: Joi.any().required(),
+    config_type: configTypeSchema.required(),
+    config_category: configCategorySchema.required(),
+    description: Joi.string().max(500).allow(null, '').optional(),
+    validation_schema: Joi.object().allow(null).optional(),
+    schema_compatibility: schemaCompatibilitySchema.optional(),
+    tags: configTagsSchema.optional(),
+    is_secret: Joi.boolean().optional()
+});
+
+module.exports = {
+    configKeySchema,
+    configTypeSchema,
+    configCategorySchema,
+    configTagSchema,
+    configTagsSchema,
+    schemaCompatibilitySchema,
+    cpaMetricsSchema,
+    configEntrySchema
+};
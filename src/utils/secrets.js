@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { ServiceError } = require('./errors');
+
+// Valor exibido no lugar de segredos; enviado de volta em uma escrita, mantém o valor cifrado atual
+const SECRET_MASK = '********';
+
+const ENVELOPE_VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+
+const isPlainObject = (value) => value !== null
+    && typeof value === 'object'
+    && [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+// Segredo cifrado, como fica gravado no JSONB: { "$secret": "v1:<key id>:<iv>:<tag>:<dados>" }
+const isEnvelope = (value) => isPlainObject(value)
+    && Object.keys(value).length === 1
+    && typeof value.$secret === 'string';
+
+const parseKey = (encoded) => {
+    const key = Buffer.from(encoded.trim(), 'base64');
+    if (key.length !== 32) {
+        throw new ServiceError('Chave mestra inválida: use 32 bytes codificados em base64', 500);
+    }
+    return key;
+};
+
+const keyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+
+// CONFIG_MASTER_KEY cifra; CONFIG_MASTER_KEY_PREVIOUS (separadas por vírgula) só decifram, durante a rotação
+const loadKeyring = () => {
+    const current = process.env.CONFIG_MASTER_KEY ? parseKey(process.env.CONFIG_MASTER_KEY) : null;
+    const previous = (process.env.CONFIG_MASTER_KEY_PREVIOUS || '')
+        .split(',')
+        .map(encoded => encoded.trim())
+        .filter(Boolean)
+        .map(parseKey);
+
+    return {
+        current: current && { id: keyId(current), key: current },
+        keys: new Map([current, ...previous].filter(Boolean).map(key => [keyId(key), key]))
+    };
+};
+
+const currentKey = () => {
+    const { current } = loadKeyring();
+    if (!current) {
+        throw new ServiceError('CONFIG_MASTER_KEY não configurada: não é possível gravar valores secretos', 500);
+    }
+    return current;
+};
+
+const encryptValue = (value, key = currentKey()) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+    return {
+        $secret: [ENVELOPE_VERSION, key.id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':')
+    };
+};
+
+const parseEnvelope = (envelope) => {
+    const [version, id, iv, tag, data] = envelope.$secret.split(':');
+    if (version !== ENVELOPE_VERSION || !data) {
+        throw new ServiceError('Valor secreto em formato desconhecido', 500);
+    }
+    return { id, iv, tag, data };
+};
+
+const decryptEnvelope = (envelope, keys) => {
+    const { id, iv, tag, data } = parseEnvelope(envelope);
+    const key = keys.get(id);
+    if (!key) {
+        throw new ServiceError(`Chave mestra '${id}' não disponível: configure-a em CONFIG_MASTER_KEY_PREVIOUS`, 500);
+    }
+
+    try {
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        const plain = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+        return JSON.parse(plain.toString('utf8'));
+    } catch (error) {
+        throw new ServiceError('Falha ao decifrar valor secreto', 500);
+    }
+};
+
+// Percorrer objetos e arrays simples, substituindo os envelopes (datas, buffers etc. ficam intactos)
+const mapEnvelopes = (value, replace) => {
+    if (isEnvelope(value)) {
+        return replace(value);
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => mapEnvelopes(item, replace));
+    }
+
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, mapEnvelopes(item, replace)]));
+    }
+
+    return value;
+};
+
+const protect = (value) => {
+    if (isEnvelope(value)) {
+        return value;
+    }
+
+    if (value === SECRET_MASK) {
+        throw new ServiceError('Valor secreto mascarado sem valor anterior: informe o valor real', 400);
+    }
+
+    return encryptValue(value);
+};
+
+// Cifrar os campos marcados com "x-secret": true no schema (ou o valor inteiro, se isSecret).
+// Envelopes já cifrados são mantidos como estão.
+const encryptSecrets = (value, validationSchema, isSecret = false) => {
+    const walk = (item, schema) => {
+        if (item === undefined || !isPlainObject(schema)) {
+            return item;
+        }
+
+        if (schema['x-secret']) {
+            return protect(item);
+        }
+
+        if (Array.isArray(item) && schema.items) {
+            return item.map(element => walk(element, schema.items));
+        }
+
+        if (isPlainObject(item) && isPlainObject(schema.properties)) {
+            return Object.fromEntries(Object.entries(item).map(([field, fieldValue]) => [
+                field,
+                schema.properties[field] ? walk(fieldValue, schema.properties[field]) : fieldValue
+            ]));
+        }
+
+        return item;
+    };
+
+    return isSecret ? protect(value) : walk(value, validationSchema);
+};
+
+// Trocar a máscara pelo envelope que ocupava a mesma posição no valor anterior
+const restoreMaskedSecrets = (value, previous) => {
+    if (value === SECRET_MASK && isEnvelope(previous)) {
+        return previous;
+    }
+
+    if (Array.isArray(value) && Array.isArray(previous)) {
+        return value.map((item, index) => restoreMaskedSecrets(item, previous[index]));
+    }
+
+    if (isPlainObject(value) && isPlainObject(previous)) {
+        return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, restoreMaskedSecrets(item, previous[field])]));
+    }
+
+    return value;
+};
+
+const hasSecrets = (value) => {
+    let found = false;
+    mapEnvelopes(value, (envelope) => {
+        found = true;
+        return envelope;
+    });
+    return found;
+};
+
+const maskSecrets = (value) => mapEnvelopes(value, () => SECRET_MASK);
+
+const decryptSecrets = (value) => {
+    const { keys } = loadKeyring();
+    return mapEnvelopes(value, envelope => decryptEnvelope(envelope, keys));
+};
+
+// Recifrar com a chave atual os envelopes de chaves anteriores
+const reencryptSecrets = (value) => {
+    const { keys } = loadKeyring();
+    const key = currentKey();
+
+    return mapEnvelopes(value, envelope => (parseEnvelope(envelope).id === key.id
+        ? envelope
+        : encryptValue(decryptEnvelope(envelope, keys), key)));
+};
+
+module.exports = {
+    SECRET_MASK,
+    isEnvelope,
+    currentKey,
+    encryptSecrets,
+    restoreMaskedSecrets,
+    hasSecrets,
+    maskSecrets,
+    decryptSecrets,
+    reencryptSecrets
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const {
+    SECRET_MASK,
+    isEnvelope,
+    encryptSecrets,
+    restoreMaskedSecrets,
+    hasSecrets,
+    maskSecrets,
+    decryptSecrets,
+    reencryptSecrets
+} = require('./secrets');
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+
+const schema = {
+    type: 'object',
+    properties: {
+        api_key: { type: 'string', 'x-secret': true },
+        endpoints: { type: 'array', items: { type: 'object', properties: { token: { type: 'string', 'x-secret': true } } } },
+        timeout: { type: 'number' }
+    }
+};
+
+const value = { api_key: 'chave-real', endpoints: [{ token: 't1', url: 'https://a' }], timeout: 10 };
+
+describe('secrets', () => {
+    const environment = { ...process.env };
+
+    beforeEach(() => {
+        process.env.CONFIG_MASTER_KEY = newKey();
+        delete process.env.CONFIG_MASTER_KEY_PREVIOUS;
+    });
+
+    afterAll(() => {
+        process.env = environment;
+    });
+
+    it('cifra apenas os campos marcados com x-secret e decifra de volta', () => {
+        const encrypted = encryptSecrets(value, schema);
+
+        expect(isEnvelope(encrypted.api_key)).toBe(true);
+        expect(isEnvelope(encrypted.endpoints[0].token)).toBe(true);
+        expect(encrypted.endpoints[0].url).toBe('https://a');
+        expect(encrypted.timeout).toBe(10);
+        expect(JSON.stringify(encrypted)).not.toContain('chave-real');
+        expect(decryptSecrets(encrypted)).toEqual(value);
+    });
+
+    it('is_secret cifra o valor inteiro', () => {
+        const encrypted = encryptSecrets({ user: 'a', password: 'b' }, null, true);
+
+        expect(isEnvelope(encrypted)).toBe(true);
+        expect(decryptSecrets(encrypted)).toEqual({ user: 'a', password: 'b' });
+    });
+
+    it('mantém envelopes já cifrados', () => {
+        const encrypted = encryptSecrets(value, schema);
+
+        expect(encryptSecrets(encrypted, schema)).toEqual(encrypted);
+    });
+
+    it('mascara os segredos e restaura a máscara pelo valor anterior', () => {
+        const encrypted = encryptSecrets(value, schema);
+        const masked = maskSecrets(encrypted);
+
+        expect(masked).toEqual({ ...value, api_key: SECRET_MASK, endpoints: [{ token: SECRET_MASK, url: 'https://a' }] });
+        expect(hasSecrets(encrypted)).toBe(true);
+        expect(hasSecrets(masked)).toBe(false);
+        expect(restoreMaskedSecrets({ ...masked, timeout: 20 }, encrypted)).toEqual({ ...encrypted, timeout: 20 });
+    });
+
+    it('máscara sem valor anterior é rejeitada', () => {
+        expect(() => encryptSecrets({ api_key: SECRET_MASK }, schema)).toThrow('Valor secreto mascarado');
+    });
+
+    it('sem CONFIG_MASTER_KEY não grava segredos', () => {
+        delete process.env.CONFIG_MASTER_KEY;
+
+        expect(() => encryptSecrets(value, schema)).toThrow('CONFIG_MASTER_KEY não configurada');
+        expect(encryptSecrets({ timeout: 1 }, schema)).toEqual({ timeout: 1 });
+    });
+
+    it('valor adulterado não é decifrado', () => {
+        const { api_key: envelope } = encryptSecrets(value, schema);
+        const parts = envelope.$secret.split(':');
+        parts[4] = Buffer.from('adulterado').toString('base64');
+
+        expect(() => decryptSecrets({ $secret: parts.join(':') })).toThrow('Falha ao decifrar valor secreto');
+    });
+
+    it('rotação: chaves anteriores decifram e reencryptSecrets usa a chave atual', () => {
+        const previousKey = process.env.CONFIG_MASTER_KEY;
+        const encrypted = encryptSecrets(value, schema);
+
+        process.env.CONFIG_MASTER_KEY = newKey();
+        expect(() => decryptSecrets(encrypted)).toThrow('CONFIG_MASTER_KEY_PREVIOUS');
+
+        process.env.CONFIG_MASTER_KEY_PREVIOUS = previousKey;
+        const reencrypted = reencryptSecrets(encrypted);
+
+        expect(reencrypted.api_key).not.toEqual(encrypted.api_key);
+        expect(reencryptSecrets(reencrypted)).toEqual(reencrypted);
+
+        delete process.env.CONFIG_MASTER_KEY_PREVIOUS;
+        expect(decryptSecrets(reencrypted)).toEqual(value);
+    });
+});
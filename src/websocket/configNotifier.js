@@ -1,5 +1,7 @@
 const { Server } = require('socket.io');
 const logger = require('../utils/logger');
+const { DEFAULT_ENVIRONMENT, isValidEnvironment } = require('../utils/environments');
+const { maskSecrets } = require('../utils/secrets');
 
 class ConfigNotifier {
     constructor(httpServer) {
@@ -11,8 +13,8 @@ class ConfigNotifier {
             path: '/ws/config'
         });
         
-        this.subscribers = new Map(); // configKey -> Set of socketIds
-        this.socketSubscriptions = new Map(); // socketId -> Set of configKeys
+        this.subscribers = new Map(); // environment:configKey ou environment:tag:<tag> -> Set of socketIds
+        this.socketSubscriptions = new Map(); // socketId -> Set of subscription keys
         
         this.setupEventHandlers();
         logger.info('WebSocket Config Notifier iniciado');
@@ -25,28 +27,48 @@ class ConfigNotifier {
             // Inicializar subscriptions para este socket
             this.socketSubscriptions.set(socket.id, new Set());
 
-            // Handler para subscrever configurações
+            // Handler para subscrever configurações (por chave e/ou por tag)
             socket.on('subscribe', (data) => {
                 try {
-                    const { keys } = data;
+                    const { keys = [], tags = [], environment = DEFAULT_ENVIRONMENT } = data;
                     
-                    if (!Array.isArray(keys)) {
+                    if (!Array.isArray(keys) || !Array.isArray(tags)) {
                         socket.emit('error', {
-                            message: 'Keys deve ser um array'
+                            message: 'Keys e tags devem ser arrays'
+                        });
+                        return;
+                    }
+
+                    if (keys.length === 0 && tags.length === 0) {
+                        socket.emit('error', {
+                            message: 'Informe keys ou tags'
+                        });
+                        return;
+                    }
+
+                    if (!isValidEnvironment(environment)) {
+                        socket.emit('error', {
+                            message: `Ambiente inválido: ${environment}`
                         });
                         return;
                     }
 
                     keys.forEach(key => {
-                        this.subscribeSocket(socket.id, key);
+                        this.subscribeSocket(socket.id, key, environment);
+                    });
+
+                    tags.forEach(tag => {
+                        this.subscribeSocketToTag(socket.id, tag, environment);
                     });
 
                     socket.emit('subscribed', {
                         keys,
-                        message: `Subscrito a ${keys.length} configurações`
+                        tags,
+                        environment,
+                        message: `Subscrito a ${keys.length} configurações e ${tags.length} tags`
                     });
 
-                    logger.info(`Socket ${socket.id} subscrito a: ${keys.join(', ')}`);
+                    logger.info(`Socket ${socket.id} subscrito a (${environment}): ${[...keys, ...tags.map(tag => `#${tag}`)].join(', ')}`);
                 } catch (error) {
                     logger.error('Erro ao processar subscribe:', error);
                     socket.emit('error', {
@@ -58,25 +80,31 @@ class ConfigNotifier {
             // Handler para cancelar subscrição
             socket.on('unsubscribe', (data) => {
                 try {
-                    const { keys } = data;
+                    const { keys = [], tags = [], environment = DEFAULT_ENVIRONMENT } = data;
                     
-                    if (!Array.isArray(keys)) {
+                    if (!Array.isArray(keys) || !Array.isArray(tags)) {
                         socket.emit('error', {
-                            message: 'Keys deve ser um array'
+                            message: 'Keys e tags devem ser arrays'
                         });
                         return;
                     }
 
                     keys.forEach(key => {
-                        this.unsubscribeSocket(socket.id, key);
+                        this.unsubscribeSocket(socket.id, key, environment);
+                    });
+
+                    tags.forEach(tag => {
+                        this.unsubscribeSocketFromTag(socket.id, tag, environment);
                     });
 
                     socket.emit('unsubscribed', {
                         keys,
-                        message: `Cancelada subscrição de ${keys.length} configurações`
+                        tags,
+                        environment,
+                        message: `Cancelada subscrição de ${keys.length} configurações e ${tags.length} tags`
                     });
 
-                    logger.info(`Socket ${socket.id} cancelou subscrição de: ${keys.join(', ')}`);
+                    logger.info(`Socket ${socket.id} cancelou subscrição de: ${[...keys, ...tags.map(tag => `#${tag}`)].join(', ')}`);
                 } catch (error) {
                     logger.error('Erro ao processar unsubscribe:', error);
                     socket.emit('error', {
@@ -116,36 +144,64 @@ class ConfigNotifier {
         });
     }
 
+    // Chave de subscrição: a mesma configuração em ambientes diferentes é independente
+    getSubscriptionKey(configKey, environment = DEFAULT_ENVIRONMENT) {
+        return `${environment}:${configKey}`;
+    }
+
+    // Chaves de configuração não contêm ':', então o prefixo de tag não colide com nenhuma chave
+    getTagSubscriptionKey(tag, environment = DEFAULT_ENVIRONMENT) {
+        return `${environment}:tag:${tag}`;
+    }
+
     // Subscrever socket a uma configuração
-    subscribeSocket(socketId, configKey) {
+    subscribeSocket(socketId, configKey, environment) {
+        this.addSubscription(socketId, this.getSubscriptionKey(configKey, environment));
+    }
+
+    // Subscrever socket a todas as configurações com uma tag
+    subscribeSocketToTag(socketId, tag, environment) {
+        this.addSubscription(socketId, this.getTagSubscriptionKey(tag, environment));
+    }
+
+    addSubscription(socketId, subscriptionKey) {
         // Adicionar socket à lista de subscribers da configuração
-        if (!this.subscribers.has(configKey)) {
-            this.subscribers.set(configKey, new Set());
+        if (!this.subscribers.has(subscriptionKey)) {
+            this.subscribers.set(subscriptionKey, new Set());
         }
-        this.subscribers.get(configKey).add(socketId);
+        this.subscribers.get(subscriptionKey).add(socketId);
 
         // Adicionar configuração à lista de subscriptions do socket
         if (!this.socketSubscriptions.has(socketId)) {
             this.socketSubscriptions.set(socketId, new Set());
         }
-        this.socketSubscriptions.get(socketId).add(configKey);
+        this.socketSubscriptions.get(socketId).add(subscriptionKey);
     }
 
     // Cancelar subscrição de socket a uma configuração
-    unsubscribeSocket(socketId, configKey) {
+    unsubscribeSocket(socketId, configKey, environment) {
+        this.removeSubscription(socketId, this.getSubscriptionKey(configKey, environment));
+    }
+
+    // Cancelar subscrição de socket a uma tag
+    unsubscribeSocketFromTag(socketId, tag, environment) {
+        this.removeSubscription(socketId, this.getTagSubscriptionKey(tag, environment));
+    }
+
+    removeSubscription(socketId, subscriptionKey) {
         // Remover socket da lista de subscribers da configuração
-        if (this.subscribers.has(configKey)) {
-            this.subscribers.get(configKey).delete(socketId);
+        if (this.subscribers.has(subscriptionKey)) {
+            this.subscribers.get(subscriptionKey).delete(socketId);
             
             // Se não há mais subscribers, remover a entrada
-            if (this.subscribers.get(configKey).size === 0) {
-                this.subscribers.delete(configKey);
+            if (this.subscribers.get(subscriptionKey).size === 0) {
+                this.subscribers.delete(subscriptionKey);
             }
         }
 
         // Remover configuração da lista de subscriptions do socket
         if (this.socketSubscriptions.has(socketId)) {
-            this.socketSubscriptions.get(socketId).delete(configKey);
+            this.socketSubscriptions.get(socketId).delete(subscriptionKey);
         }
     }
 
@@ -170,20 +226,38 @@ class ConfigNotifier {
         this.socketSubscriptions.delete(socketId);
     }
 
+    // Sockets interessados em uma configuração: subscritos à chave ou a alguma de suas tags
+    getConfigSubscribers(configKey, environment, tags = []) {
+        const subscriptionKeys = [
+            this.getSubscriptionKey(configKey, environment),
+            ...(tags || []).map(tag => this.getTagSubscriptionKey(tag, environment))
+        ];
+
+        const subscribers = new Set();
+        subscriptionKeys.forEach(subscriptionKey => {
+            (this.subscribers.get(subscriptionKey) || []).forEach(socketId => subscribers.add(socketId));
+        });
+
+        return subscribers;
+    }
+
     // Notificar mudança de configuração
-    notifyConfigChange(configKey, newValue, action = 'UPDATE') {
-        const subscribers = this.subscribers.get(configKey);
+    notifyConfigChange(configKey, newValue, action = 'UPDATE', environment = DEFAULT_ENVIRONMENT, tenant = null, tags = []) {
+        const subscribers = this.getConfigSubscribers(configKey, environment, tags);
         
-        if (!subscribers || subscribers.size === 0) {
-            logger.debug(`Nenhum subscriber para configuração: ${configKey}`);
+        if (subscribers.size === 0) {
+            logger.debug(`Nenhum subscriber para configuração: ${configKey} (${environment})`);
             return;
         }
 
         const notification = {
             type: 'config_changed',
             key: configKey,
-            value: newValue,
+            value: maskSecrets(newValue),
             action,
+            environment,
+            tenant,
+            tags: tags || [],
             timestamp: new Date().toISOString()
         };
 
@@ -194,21 +268,83 @@ class ConfigNotifier {
                 socket.emit('config_changed', notification);
                 notifiedCount++;
             } else {
-                // Socket não existe mais, remover da lista
-                this.unsubscribeSocket(socketId, configKey);
+                // Socket não existe mais, remover de todas as subscrições
+                this.cleanupSocket(socketId);
             }
         });
 
-        logger.info(`Notificação enviada para ${notifiedCount} clientes sobre mudança em: ${configKey}`);
+        logger.info(`Notificação enviada para ${notifiedCount} clientes sobre mudança em: ${configKey} (${environment})`);
+    }
+
+    // Notificar a falha de uma mudança agendada (o valor agendado pode continuar em vigor)
+    notifyScheduledChangeFailed(change) {
+        const subscribers = this.getConfigSubscribers(change.config_key, change.environment);
+        const notification = {
+            type: 'scheduled_change_failed',
+            key: change.config_key,
+            schedule_id: change.id,
+            environment: change.environment,
+            error: change.error,
+            effective_from: change.effective_from,
+            effective_until: change.effective_until,
+            timestamp: new Date().toISOString()
+        };
+
+        subscribers.forEach(socketId => {
+            const socket = this.io.sockets.sockets.get(socketId);
+            if (socket) {
+                socket.emit('scheduled_change_failed', notification);
+            } else {
+                this.cleanupSocket(socketId);
+            }
+        });
+
+        logger.warn(`Falha da mudança agendada ${change.id} avisada a ${subscribers.size} cliente(s): ${change.config_key} (${change.environment})`);
     }
 
     // Notificar múltiplas mudanças
     notifyMultipleChanges(changes) {
         changes.forEach(change => {
-            this.notifyConfigChange(change.key, change.value, change.action);
+            this.notifyConfigChange(change.key, change.value, change.action, change.environment, null, change.tags);
         });
     }
 
+    // Notificar um lote aplicado atomicamente: cada cliente recebe um único evento com as mudanças que subscreveu
+    notifyBatchChange(batchId, changes, environment = DEFAULT_ENVIRONMENT) {
+        const changesBySocket = new Map();
+
+        changes.forEach(change => {
+            this.getConfigSubscribers(change.key, environment, change.tags).forEach(socketId => {
+                if (!changesBySocket.has(socketId)) {
+                    changesBySocket.set(socketId, []);
+                }
+                changesBySocket.get(socketId).push(change);
+            });
+        });
+
+        const timestamp = new Date().toISOString();
+        let notifiedCount = 0;
+
+        changesBySocket.forEach((socketChanges, socketId) => {
+            const socket = this.io.sockets.sockets.get(socketId);
+            if (socket) {
+                socket.emit('config_batch_changed', {
+                    type: 'config_batch_changed',
+                    batch_id: batchId,
+                    environment,
+                    changes: maskSecrets(socketChanges),
+                    timestamp
+                });
+                notifiedCount++;
+            } else {
+                // Socket não existe mais, remover de todas as subscrições
+                this.cleanupSocket(socketId);
+            }
+        });
+
+        logger.info(`Lote ${batchId} notificado para ${notifiedCount} clientes (${changes.length} mudanças, ${environment})`);
+    }
+
     // Broadcast para todos os clientes conectados
     broadcast(event, data) {
         this.io.emit(event, {
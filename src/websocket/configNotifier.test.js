@@ -0,0 +1,48 @@
+jest.mock('../utils/logger');
+
+const ConfigNotifier = require('./configNotifier');
+
+describe('ConfigNotifier: subscrição por tag', () => {
+    let notifier;
+
+    // Sockets conectados simulados: só o emit importa aqui
+    const connect = (socketId) => {
+        const socket = { id: socketId, emit: jest.fn() };
+        notifier.io.sockets.sockets.set(socketId, socket);
+        return socket;
+    };
+
+    // Sem servidor HTTP: o socket.io não abre conexões, apenas registra as subscrições
+    beforeEach(() => {
+        notifier = new ConfigNotifier();
+    });
+
+    it('entrega a mudança a quem subscreveu a chave ou alguma tag dela, uma vez por socket', () => {
+        const byTag = connect('por-tag');
+        const byKeyAndTag = connect('por-chave-e-tag');
+        const otherTag = connect('outra-tag');
+        notifier.subscribeSocketToTag('por-tag', 'pagamentos', 'prod');
+        notifier.subscribeSocket('por-chave-e-tag', 'payment_gateway', 'prod');
+        notifier.subscribeSocketToTag('por-chave-e-tag', 'critico', 'prod');
+        notifier.subscribeSocketToTag('outra-tag', 'cpa', 'prod');
+
+        notifier.notifyConfigChange('payment_gateway', { timeout: 5000 }, 'UPDATE', 'prod', null, ['pagamentos', 'critico']);
+
+        expect(byTag.emit).toHaveBeenCalledWith('config_changed', expect.objectContaining({
+            key: 'payment_gateway',
+            tags: ['pagamentos', 'critico'],
+            environment: 'prod'
+        }));
+        expect(byKeyAndTag.emit).toHaveBeenCalledTimes(1);
+        expect(otherTag.emit).not.toHaveBeenCalled();
+    });
+
+    it('a tag vale apenas no ambiente subscrito', () => {
+        const socket = connect('staging');
+        notifier.subscribeSocketToTag('staging', 'pagamentos', 'staging');
+
+        notifier.notifyConfigChange('payment_gateway', {}, 'UPDATE', 'prod', null, ['pagamentos']);
+
+        expect(socket.emit).not.toHaveBeenCalled();
+    });
+});